@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol"; // L-1: Import SafeERC20
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
@@ -156,6 +157,26 @@ contract vSTRC is ERC4626, ERC20Permit, AccessControl, Pausable, ReentrancyGuard
         _deployToStrategy();
     }
 
+    /**
+     * @notice Deposit using an EIP-2612 permit on the asset, so approval and
+     *         deposit happen in a single transaction
+     * @dev The permit is wrapped in try/catch: if someone front-runs it with
+     *      the same signature the allowance is already in place and the
+     *      deposit still goes through. A bad or missing permit surfaces as
+     *      ERC20InsufficientAllowance from the transfer inside deposit().
+     */
+    function depositWithPermit(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        try IERC20Permit(asset()).permit(msg.sender, address(this), assets, deadline, v, r, s) {} catch {}
+        shares = deposit(assets, receiver);
+    }
+
     /**
      * @notice Override mint to add checks
      * @dev [H-4] Validates deposit limits BEFORE calling super.mint() to
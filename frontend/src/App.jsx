@@ -1,17 +1,94 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
-import { vSTRC_ABI, ERC20_ABI } from './abi';
-import config from './config';
+import { vSTRC_ABI, ERC20_ABI, STRATEGY_ABI, AGGREGATOR_ABI } from './abi';
+import { NETWORKS, CONFIGURED_NETWORKS, DEFAULT_CHAIN_ID, getNetwork, isConfigured, ZERO_ADDRESS } from './config';
 import Header from './components/Header';
 import HeroSection from './components/HeroSection';
 import StatsBar from './components/StatsBar';
 import VaultPanel from './components/VaultPanel';
 import YieldEngine from './components/YieldEngine';
 import TreasuryDashboard from './components/TreasuryDashboard';
+import EpochHistory from './components/EpochHistory';
+import AdminConsole from './components/AdminConsole';
+import KeeperConsole from './components/KeeperConsole';
+import RoleAudit from './components/RoleAudit';
+import Portfolio from './components/Portfolio';
+import WalletPicker from './components/WalletPicker';
+import useEpochHistory from './hooks/useEpochHistory';
+import useWalletProviders from './hooks/useWalletProviders';
+import { formatError } from './errors';
+import { getPermitDomain, signPermit, hasFunction } from './permit';
+import { switchToNetwork } from './wallet';
+import { verifyDeployment } from './deploymentCheck';
 import HowItWorks from './components/HowItWorks';
 import Footer from './components/Footer';
 import './App.css';
 
+// Treasury fields shown when no strategy is set (or before the first load)
+const EMPTY_TREASURY = {
+  btcTreasuryValue: '0',
+  cashReserveValue: '0',
+  totalWbtcHeld: null,
+  btcPrice: null,
+  btcPriceUpdatedAt: null,
+  btcAllocationBps: null,
+  cashAllocationBps: null,
+  circuitBreakerTripped: false,
+};
+
+// Protocol fields before the first load (and after switching networks).
+// Controller parameters stay null until read, so nothing shows a made-up rate.
+const EMPTY_PROTOCOL = {
+  totalAssets: '0',
+  totalSupply: '0',
+  currentRate: null,
+  targetPrice: '100',
+  epochCount: 0,
+  collateralRatio: '0',
+  projectedDividend: '0',
+  sharePrice: '100',
+  mintingPaused: false,
+  redeemingPaused: false,
+  paused: false,
+  minDeposit: '1',
+  maxSingleDeposit: ethers.formatUnits(ethers.MaxUint256, 6),
+  maxTotalDeposits: ethers.formatUnits(ethers.MaxUint256, 6),
+  ...EMPTY_TREASURY,
+  baseRate: null,
+  sensitivity: null,
+  minRate: null,
+  maxRate: null,
+  epochDuration: null,
+  lastEpochTimestamp: null,
+  clockOffset: 0,
+};
+
+const EMPTY_USER = {
+  vSTRCBalance: '0',
+  usdcBalance: '0',
+  usdcAllowance: '0',
+  shareValue: '0',
+  maxDeposit: '0',
+  maxMint: '0',
+  maxWithdraw: '0',
+  maxRedeem: '0',
+};
+
+// Visitor's last network choice
+const NETWORK_STORAGE_KEY = 'vstrc:network';
+
+function initialChainId() {
+  const saved = Number(window.localStorage.getItem(NETWORK_STORAGE_KEY));
+  return isConfigured(getNetwork(saved)) ? saved : DEFAULT_CHAIN_ID;
+}
+
+// rdns of the wallet to reconnect silently on the next visit (EIP-6963 uuids
+// change on every page load, rdns does not)
+const WALLET_STORAGE_KEY = 'vstrc:wallet';
+
+// Extra USDC approved for mint(), in bps of previewMint
+const MINT_ALLOWANCE_BUFFER_BPS = 50n;
+
 function App() {
   // Wallet state
   const [provider, setProvider] = useState(null);
@@ -19,39 +96,52 @@ function App() {
   const [account, setAccount] = useState(null);
   const [chainId, setChainId] = useState(null);
 
+  // EIP-6963 discovery — `wallet` is the connected EIP6963ProviderDetail
+  const walletProviders = useWalletProviders();
+  const [wallet, setWallet] = useState(null);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [connecting, setConnecting] = useState(null);
+  const [connectError, setConnectError] = useState('');
+  const restoreAttempted = useRef(false);
+
+  // Active deployment — follows the wallet when it is on a configured chain,
+  // otherwise the network selector in the Header
+  const [activeChainId, setActiveChainId] = useState(initialChainId);
+  const network = NETWORKS[activeChainId];
+  const vaultAddress = network.contracts.vault;
+
   // Contract state
-  const [vaultAddress, setVaultAddress] = useState(config.vaultAddress);
   const [vaultContract, setVaultContract] = useState(null);
   const [usdcContract, setUsdcContract] = useState(null);
 
   // Protocol data
-  const [protocolData, setProtocolData] = useState({
-    totalAssets: '0',
-    totalSupply: '0',
-    currentRate: 800,
-    targetPrice: '100',
-    epochCount: 0,
-    collateralRatio: '0',
-    projectedDividend: '0',
-    sharePrice: '100',
-    mintingPaused: false,
-    redeemingPaused: false,
-  });
+  const [protocolData, setProtocolData] = useState(EMPTY_PROTOCOL);
 
   // User data
-  const [userData, setUserData] = useState({
-    vSTRCBalance: '0',
-    usdcBalance: '0',
-    usdcAllowance: '0',
-    shareValue: '0',
-  });
+  const [userData, setUserData] = useState(EMPTY_USER);
 
   // Loading state
   const [loading, setLoading] = useState(false);
   const [txStatus, setTxStatus] = useState('');
 
-  // Demo mode (when no wallet connected, show simulated data)
-  const [demoMode, setDemoMode] = useState(true);
+  // Manifest vs on-chain mismatches for the active network
+  const [deploymentIssues, setDeploymentIssues] = useState([]);
+
+  // EIP-712 domain of the asset when deposits can use an EIP-2612 permit
+  const [permitDomain, setPermitDomain] = useState(null);
+
+  // Demo mode (only when the active network has no contract addresses configured)
+  const demoMode = !isConfigured(network);
+
+  // Read-only provider — lets visitors without a wallet see live on-chain data
+  const readProvider = useMemo(
+    () => new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true }),
+    [network]
+  );
+  const readVault = useMemo(
+    () => (isConfigured(network) ? new ethers.Contract(vaultAddress, vSTRC_ABI, readProvider) : null),
+    [network, vaultAddress, readProvider]
+  );
 
   const DEMO_DATA = {
     totalAssets: '12458932',
@@ -64,47 +154,234 @@ function App() {
     sharePrice: '100.12',
     mintingPaused: false,
     redeemingPaused: false,
+    paused: false,
+    minDeposit: '1',
+    maxSingleDeposit: ethers.formatUnits(ethers.MaxUint256, 6),
+    maxTotalDeposits: ethers.formatUnits(ethers.MaxUint256, 6),
     btcTreasuryValue: '9967146',
     cashReserveValue: '2491786',
+    totalWbtcHeld: '102.7541',
     btcPrice: '97000',
+    btcPriceUpdatedAt: null,
+    btcAllocationBps: 8000,
+    cashAllocationBps: 2000,
+    circuitBreakerTripped: false,
+    baseRate: 800,
+    sensitivity: 2000,
+    minRate: 100,
+    maxRate: 2500,
+    epochDuration: 604800,
+    lastEpochTimestamp: null,
+    clockOffset: 0,
   };
 
-  // ─── Connect Wallet ──────────────────────────────────
-  const connectWallet = useCallback(async () => {
-    if (!window.ethereum) {
-      alert('Please install MetaMask or another Web3 wallet');
+  // ─── Wallet Session ──────────────────────────────────
+  // Rebuilds provider and signer for the wallet's current account and chain.
+  // BrowserProvider is pinned to the network it was created on, so this runs
+  // again on every chainChanged instead of reloading the page.
+  const syncWallet = useCallback(async (ethereum, accounts) => {
+    if (!ethereum || accounts.length === 0) {
+      setProvider(null);
+      setSigner(null);
+      setAccount(null);
+      setChainId(null);
       return;
     }
 
-    try {
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const accounts = await provider.send('eth_requestAccounts', []);
-      const signer = await provider.getSigner();
-      const network = await provider.getNetwork();
-
-      setProvider(provider);
-      setSigner(signer);
-      setAccount(accounts[0]);
-      setChainId(Number(network.chainId));
-      setDemoMode(false);
-
-      // Setup contract instances
-      if (config.isConfigured) {
-        const vault = new ethers.Contract(vaultAddress, vSTRC_ABI, signer);
+    const provider = new ethers.BrowserProvider(ethereum);
+    const signer = await provider.getSigner(accounts[0]);
+    const walletChainId = Number((await provider.getNetwork()).chainId);
+
+    setProvider(provider);
+    setSigner(signer);
+    setAccount(accounts[0]);
+    setChainId(walletChainId);
+
+    // Follow the wallet onto any chain we have a deployment for
+    if (isConfigured(getNetwork(walletChainId))) {
+      setActiveChainId(walletChainId);
+    }
+  }, []);
+
+  // Write contracts only exist while the wallet is on the active network
+  useEffect(() => {
+    setVaultContract(null);
+    setUsdcContract(null);
+    setUserData(EMPTY_USER);
+    if (!signer || chainId !== network.chainId || !isConfigured(network)) return;
+
+    let cancelled = false;
+    const vault = new ethers.Contract(vaultAddress, vSTRC_ABI, signer);
+    vault.asset()
+      .then((assetAddr) => {
+        if (cancelled) return;
         setVaultContract(vault);
+        setUsdcContract(new ethers.Contract(assetAddr, ERC20_ABI, signer));
+      })
+      .catch((err) => console.error('Failed to set up vault contracts:', err));
+    return () => { cancelled = true; };
+  }, [signer, chainId, network, vaultAddress]);
 
-        const assetAddr = await vault.asset();
-        const usdc = new ethers.Contract(assetAddr, ERC20_ABI, signer);
-        setUsdcContract(usdc);
-      }
+  // ─── Connect Wallet ──────────────────────────────────
+  const connectWallet = useCallback(() => {
+    setConnectError('');
+    setPickerOpen(true);
+  }, []);
+
+  const connectWith = useCallback(async (uuid) => {
+    const detail = walletProviders.find((p) => p.info.uuid === uuid);
+    if (!detail) return;
+
+    setConnecting(uuid);
+    setConnectError('');
+    try {
+      const accounts = await detail.provider.request({ method: 'eth_requestAccounts' });
+      await syncWallet(detail.provider, accounts);
+      setWallet(detail);
+      window.localStorage.setItem(WALLET_STORAGE_KEY, detail.info.rdns);
+      setPickerOpen(false);
     } catch (err) {
       console.error('Connection failed:', err);
+      setConnectError(formatError(err));
+    } finally {
+      setConnecting(null);
     }
-  }, [vaultAddress]);
+  }, [walletProviders, syncWallet]);
+
+  const closePicker = useCallback(() => setPickerOpen(false), []);
+
+  const disconnectWallet = useCallback(() => {
+    window.localStorage.removeItem(WALLET_STORAGE_KEY);
+    // EIP-2255 revocation, where supported, so the wallet forgets the site too
+    wallet?.provider
+      .request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] })
+      .catch(() => {});
+    setWallet(null);
+    syncWallet(null, []);
+  }, [wallet, syncWallet]);
+
+  // Reconnect the remembered wallet without a prompt: eth_accounts only
+  // returns accounts the site is already authorised for
+  useEffect(() => {
+    if (restoreAttempted.current || wallet) return;
+    const rdns = window.localStorage.getItem(WALLET_STORAGE_KEY);
+    if (!rdns) {
+      restoreAttempted.current = true;
+      return;
+    }
+    // Extensions can announce late — wait until the remembered one shows up
+    const detail = walletProviders.find((p) => p.info.rdns === rdns);
+    if (!detail) return;
+
+    restoreAttempted.current = true;
+    detail.provider.request({ method: 'eth_accounts' })
+      .then(async (accounts) => {
+        if (accounts.length === 0) return;
+        await syncWallet(detail.provider, accounts);
+        setWallet(detail);
+      })
+      .catch((err) => console.error('Wallet reconnect failed:', err));
+  }, [walletProviders, wallet, syncWallet]);
+
+  // ─── Switch Network ──────────────────────────────────
+  const wrongNetwork = Boolean(isConfigured(network) && account && chainId && chainId !== network.chainId);
+
+  const switchNetwork = useCallback(async (target = network) => {
+    if (!wallet) return;
+    try {
+      // chainChanged fires on success and re-syncs the session
+      await switchToNetwork(wallet.provider, target);
+    } catch (err) {
+      console.error('Network switch failed:', err);
+      setTxStatus(`Error: ${formatError(err)}`);
+      setTimeout(() => setTxStatus(''), 5000);
+    }
+  }, [network, wallet]);
+
+  // Header selector: change the read-only view, and move the wallet with it
+  const selectNetwork = useCallback((nextChainId) => {
+    setActiveChainId(nextChainId);
+    window.localStorage.setItem(NETWORK_STORAGE_KEY, String(nextChainId));
+    if (account && chainId !== nextChainId) {
+      switchNetwork(NETWORKS[nextChainId]);
+    }
+  }, [account, chainId, switchNetwork]);
+
+  // Never show one network's numbers under another's name
+  useEffect(() => {
+    setProtocolData(EMPTY_PROTOCOL);
+  }, [activeChainId]);
+
+  // Catch builds whose manifest no longer matches the vault's wiring
+  useEffect(() => {
+    setDeploymentIssues([]);
+    if (!readVault) return;
+    let cancelled = false;
+    verifyDeployment(readVault, network).then((issues) => {
+      if (!cancelled) setDeploymentIssues(issues);
+    });
+    return () => { cancelled = true; };
+  }, [readVault, network]);
+
+  // ─── Load Treasury Data ───────────────────────────────
+  // BTCStrategy-only getters (WBTC held, allocation targets, circuit breaker,
+  // price feed) are missing on MockStrategy, so each read degrades to null.
+  const loadTreasuryData = useCallback(async (strategyAddress) => {
+    const strategy = new ethers.Contract(strategyAddress, STRATEGY_ABI, readProvider);
+    const optional = (call) => call.catch(() => null);
+
+    const [
+      btcTreasuryValue,
+      cashReserveValue,
+      totalWbtcHeld,
+      circuitBreakerTripped,
+      btcAllocationBps,
+      cashAllocationBps,
+      strategyFeed,
+    ] = await Promise.all([
+      strategy.btcTreasuryValue().catch(() => 0n),
+      strategy.cashReserveValue().catch(() => 0n),
+      optional(strategy.totalWbtcHeld()),
+      optional(strategy.circuitBreakerTripped()),
+      optional(strategy.btcAllocationBps()),
+      optional(strategy.cashAllocationBps()),
+      optional(strategy.btcUsdPriceFeed()),
+    ]);
+
+    // MockStrategy has no feed getter — fall back to the registry's feed
+    const btcFeedAddress = strategyFeed
+      || (network.feeds.btcUsd !== ZERO_ADDRESS ? network.feeds.btcUsd : null);
+
+    let btcPrice = null;
+    let btcPriceUpdatedAt = null;
+    if (btcFeedAddress) {
+      const feed = new ethers.Contract(btcFeedAddress, AGGREGATOR_ABI, readProvider);
+      const [feedDecimals, round] = await Promise.all([
+        optional(feed.decimals()),
+        optional(feed.latestRoundData()),
+      ]);
+      if (feedDecimals !== null && round && round.answer > 0n) {
+        btcPrice = ethers.formatUnits(round.answer, feedDecimals);
+        btcPriceUpdatedAt = Number(round.updatedAt);
+      }
+    }
+
+    return {
+      btcTreasuryValue: ethers.formatUnits(btcTreasuryValue, 6),
+      cashReserveValue: ethers.formatUnits(cashReserveValue, 6),
+      totalWbtcHeld: totalWbtcHeld !== null ? ethers.formatUnits(totalWbtcHeld, 8) : null,
+      btcPrice,
+      btcPriceUpdatedAt,
+      btcAllocationBps: btcAllocationBps !== null ? Number(btcAllocationBps) : null,
+      cashAllocationBps: cashAllocationBps !== null ? Number(cashAllocationBps) : null,
+      circuitBreakerTripped: Boolean(circuitBreakerTripped),
+    };
+  }, [readProvider, network]);
 
   // ─── Load Protocol Data ───────────────────────────────
+  // Always reads through the public RPC, so it works with or without a wallet
   const loadProtocolData = useCallback(async () => {
-    if (!vaultContract) return;
+    if (!readVault) return;
     try {
       const [
         totalAssets,
@@ -113,15 +390,47 @@ function App() {
         targetPrice,
         epochCount,
         collateralRatio,
+        strategyAddress,
+        baseRate,
+        sensitivity,
+        minRate,
+        maxRate,
+        epochDuration,
+        lastEpochTimestamp,
+        latestBlock,
+        paused,
+        mintingPaused,
+        redeemingPaused,
+        minDeposit,
+        maxSingleDeposit,
+        maxTotalDeposits,
       ] = await Promise.all([
-        vaultContract.totalAssets(),
-        vaultContract.totalSupply(),
-        vaultContract.currentRateBps(),
-        vaultContract.targetPrice(),
-        vaultContract.epochCount(),
-        vaultContract.collateralRatio().catch(() => 0n),
+        readVault.totalAssets(),
+        readVault.totalSupply(),
+        readVault.currentRateBps(),
+        readVault.targetPrice(),
+        readVault.epochCount(),
+        readVault.collateralRatio().catch(() => 0n),
+        readVault.strategy(),
+        readVault.baseRateBps(),
+        readVault.sensitivityBps(),
+        readVault.minRateBps(),
+        readVault.maxRateBps(),
+        readVault.epochDuration(),
+        readVault.lastEpochTimestamp(),
+        readProvider.getBlock('latest'),
+        readVault.paused(),
+        readVault.mintingPaused(),
+        readVault.redeemingPaused(),
+        readVault.minDeposit(),
+        readVault.maxSingleDeposit(),
+        readVault.maxTotalDeposits(),
       ]);
 
+      const treasury = strategyAddress !== ethers.ZeroAddress
+        ? await loadTreasuryData(strategyAddress)
+        : EMPTY_TREASURY;
+
       const sharePrice = totalSupply > 0n
         ? Number(totalAssets) / Number(totalSupply) * 100
         : 100;
@@ -136,22 +445,39 @@ function App() {
           ? (Number(collateralRatio) / 1e18).toFixed(2)
           : '0',
         sharePrice: sharePrice.toFixed(2),
-        mintingPaused: false,
-        redeemingPaused: false,
+        mintingPaused,
+        redeemingPaused,
+        paused,
+        minDeposit: ethers.formatUnits(minDeposit, 6),
+        maxSingleDeposit: ethers.formatUnits(maxSingleDeposit, 6),
+        maxTotalDeposits: ethers.formatUnits(maxTotalDeposits, 6),
+        ...treasury,
+        baseRate: Number(baseRate),
+        sensitivity: Number(sensitivity),
+        minRate: Number(minRate),
+        maxRate: Number(maxRate),
+        epochDuration: Number(epochDuration),
+        lastEpochTimestamp: Number(lastEpochTimestamp),
+        // Countdowns tick on chain time, not the visitor's clock
+        clockOffset: latestBlock ? latestBlock.timestamp - Math.floor(Date.now() / 1000) : 0,
       });
     } catch (err) {
       console.error('Failed to load protocol data:', err);
     }
-  }, [vaultContract]);
+  }, [readVault, readProvider, loadTreasuryData]);
 
   // ─── Load User Data ────────────────────────────────────
   const loadUserData = useCallback(async () => {
     if (!vaultContract || !usdcContract || !account) return;
     try {
-      const [vSTRCBalance, usdcBalance, usdcAllowance] = await Promise.all([
+      const [vSTRCBalance, usdcBalance, usdcAllowance, maxDeposit, maxMint, maxWithdraw, maxRedeem] = await Promise.all([
         vaultContract.balanceOf(account),
         usdcContract.balanceOf(account),
         usdcContract.allowance(account, vaultAddress),
+        vaultContract.maxDeposit(account),
+        vaultContract.maxMint(account),
+        vaultContract.maxWithdraw(account),
+        vaultContract.maxRedeem(account),
       ]);
 
       const shareValue = vSTRCBalance > 0n
@@ -163,6 +489,10 @@ function App() {
         usdcBalance: ethers.formatUnits(usdcBalance, 6),
         usdcAllowance: ethers.formatUnits(usdcAllowance, 6),
         shareValue: ethers.formatUnits(shareValue, 6),
+        maxDeposit: ethers.formatUnits(maxDeposit, 6),
+        maxMint: ethers.formatUnits(maxMint, 6),
+        maxWithdraw: ethers.formatUnits(maxWithdraw, 6),
+        maxRedeem: ethers.formatUnits(maxRedeem, 6),
       });
     } catch (err) {
       console.error('Failed to load user data:', err);
@@ -170,23 +500,37 @@ function App() {
   }, [vaultContract, usdcContract, account, vaultAddress]);
 
   // ─── Deposit ─────────────────────────────────────────
-  const handleDeposit = async (amount) => {
+  const handleDeposit = async (amount, { receiver = account } = {}) => {
     if (!vaultContract || !usdcContract) return;
     setLoading(true);
-    setTxStatus('Approving USDC...');
 
     try {
       const parsedAmount = ethers.parseUnits(amount, 6);
+      let depositTx;
 
       // Check allowance
       const currentAllowance = await usdcContract.allowance(account, vaultAddress);
-      if (currentAllowance < parsedAmount) {
-        const approveTx = await usdcContract.approve(vaultAddress, parsedAmount);
-        await approveTx.wait();
-        setTxStatus('USDC approved. Depositing...');
-      }
+      if (currentAllowance < parsedAmount && permitDomain) {
+        // One signature + one transaction instead of approve + deposit
+        setTxStatus('Sign the USDC permit in your wallet...');
+        const { deadline, v, r, s } = await signPermit(signer, usdcContract, permitDomain, vaultAddress, parsedAmount);
+        setTxStatus('Permit signed. Depositing...');
+        await vaultContract.depositWithPermit.staticCall(parsedAmount, receiver, deadline, v, r, s);
+        depositTx = await vaultContract.depositWithPermit(parsedAmount, receiver, deadline, v, r, s);
+      } else {
+        if (currentAllowance < parsedAmount) {
+          setTxStatus('Approving USDC...');
+          const approveTx = await usdcContract.approve(vaultAddress, parsedAmount);
+          await approveTx.wait();
+          setTxStatus('USDC approved. Depositing...');
+        } else {
+          setTxStatus('Depositing...');
+        }
 
-      const depositTx = await vaultContract.deposit(parsedAmount, account);
+        // Simulate first so a revert surfaces here instead of on-chain
+        await vaultContract.deposit.staticCall(parsedAmount, receiver);
+        depositTx = await vaultContract.deposit(parsedAmount, receiver);
+      }
       setTxStatus('Waiting for confirmation...');
       await depositTx.wait();
       setTxStatus('Deposit successful!');
@@ -195,7 +539,71 @@ function App() {
       await loadProtocolData();
     } catch (err) {
       console.error('Deposit failed:', err);
-      setTxStatus(`Error: ${err.reason || err.message}`);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setTxStatus(''), 5000);
+    }
+  };
+
+  // ─── Mint ────────────────────────────────────────────
+  const handleMint = async (shares, { receiver = account } = {}) => {
+    if (!vaultContract || !usdcContract) return;
+    setLoading(true);
+
+    try {
+      const parsedShares = ethers.parseUnits(shares, 6);
+
+      // mint() pulls previewMint(shares) USDC, which moves with the strategy's
+      // mark-to-market, so approve with a little headroom
+      const requiredAssets = await vaultContract.previewMint(parsedShares);
+      const currentAllowance = await usdcContract.allowance(account, vaultAddress);
+      if (currentAllowance < requiredAssets) {
+        setTxStatus('Approving USDC...');
+        const approval = requiredAssets + (requiredAssets * MINT_ALLOWANCE_BUFFER_BPS) / 10000n;
+        const approveTx = await usdcContract.approve(vaultAddress, approval);
+        await approveTx.wait();
+        setTxStatus('USDC approved. Minting...');
+      } else {
+        setTxStatus('Minting...');
+      }
+
+      await vaultContract.mint.staticCall(parsedShares, receiver);
+      const mintTx = await vaultContract.mint(parsedShares, receiver);
+      setTxStatus('Waiting for confirmation...');
+      await mintTx.wait();
+      setTxStatus('Mint successful!');
+
+      await loadUserData();
+      await loadProtocolData();
+    } catch (err) {
+      console.error('Mint failed:', err);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setTxStatus(''), 5000);
+    }
+  };
+
+  // ─── Withdraw ────────────────────────────────────────
+  const handleWithdraw = async (assets, { receiver = account, owner = account } = {}) => {
+    if (!vaultContract) return;
+    setLoading(true);
+    setTxStatus('Withdrawing USDC...');
+
+    try {
+      const parsedAssets = ethers.parseUnits(assets, 6);
+      await vaultContract.withdraw.staticCall(parsedAssets, receiver, owner);
+      const withdrawTx = await vaultContract.withdraw(parsedAssets, receiver, owner);
+      setTxStatus('Waiting for confirmation...');
+      await withdrawTx.wait();
+      setTxStatus('Withdrawal successful!');
+
+      await loadUserData();
+      await loadProtocolData();
+    } catch (err) {
+      console.error('Withdraw failed:', err);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
     } finally {
       setLoading(false);
       setTimeout(() => setTxStatus(''), 5000);
@@ -203,14 +611,15 @@ function App() {
   };
 
   // ─── Redeem ──────────────────────────────────────────
-  const handleRedeem = async (shares) => {
+  const handleRedeem = async (shares, { receiver = account, owner = account } = {}) => {
     if (!vaultContract) return;
     setLoading(true);
     setTxStatus('Redeeming vSTRC...');
 
     try {
       const parsedShares = ethers.parseUnits(shares, 6);
-      const redeemTx = await vaultContract.redeem(parsedShares, account, account);
+      await vaultContract.redeem.staticCall(parsedShares, receiver, owner);
+      const redeemTx = await vaultContract.redeem(parsedShares, receiver, owner);
       setTxStatus('Waiting for confirmation...');
       await redeemTx.wait();
       setTxStatus('Redemption successful!');
@@ -219,7 +628,54 @@ function App() {
       await loadProtocolData();
     } catch (err) {
       console.error('Redeem failed:', err);
-      setTxStatus(`Error: ${err.reason || err.message}`);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setTxStatus(''), 5000);
+    }
+  };
+
+  // ─── Share Allowance ─────────────────────────────────
+  // Lets another address withdraw/redeem this account's vSTRC; '0' revokes
+  const handleApproveShares = async (spender, shares) => {
+    if (!vaultContract) return;
+    const parsedShares = ethers.parseUnits(shares, 6);
+    setLoading(true);
+    setTxStatus(parsedShares === 0n ? 'Revoking vSTRC allowance...' : 'Approving vSTRC...');
+
+    try {
+      const approveTx = await vaultContract.approve(spender, parsedShares);
+      setTxStatus('Waiting for confirmation...');
+      await approveTx.wait();
+      setTxStatus(parsedShares === 0n ? 'Allowance revoked!' : 'Allowance updated!');
+    } catch (err) {
+      console.error('Share approval failed:', err);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
+    } finally {
+      setLoading(false);
+      setTimeout(() => setTxStatus(''), 5000);
+    }
+  };
+
+  // ─── Manager & Keeper Actions ────────────────────────
+  // AdminConsole has already validated the arguments against the contract's
+  // bounds; KeeperConsole has dry-run rebalanceYield()
+  const handleAdminAction = async ({ title, contract, method, args }) => {
+    if (!contract) return;
+    setLoading(true);
+    setTxStatus(`Sending ${method}...`);
+
+    try {
+      await contract[method].staticCall(...args);
+      const tx = await contract[method](...args);
+      setTxStatus('Waiting for confirmation...');
+      await tx.wait();
+      setTxStatus(`${title} updated!`);
+
+      await loadProtocolData();
+    } catch (err) {
+      console.error(`${method} failed:`, err);
+      setTxStatus(`Error: ${formatError(err, protocolData)}`);
     } finally {
       setLoading(false);
       setTimeout(() => setTxStatus(''), 5000);
@@ -228,12 +684,23 @@ function App() {
 
   // ─── Effects ──────────────────────────────────────────
   useEffect(() => {
-    if (vaultContract) {
+    if (readVault) {
       loadProtocolData();
       const interval = setInterval(loadProtocolData, 30000);
       return () => clearInterval(interval);
     }
-  }, [vaultContract, loadProtocolData]);
+  }, [readVault, loadProtocolData]);
+
+  // Refresh immediately when the manager changes controller parameters
+  useEffect(() => {
+    if (!readVault) return;
+    const PARAM_EVENTS = ['DividendParamsUpdated', 'TargetPriceUpdated', 'EpochDurationUpdated'];
+    const onParamsUpdated = () => loadProtocolData();
+    PARAM_EVENTS.forEach((name) => readVault.on(name, onParamsUpdated));
+    return () => {
+      PARAM_EVENTS.forEach((name) => readVault.off(name, onParamsUpdated));
+    };
+  }, [readVault, loadProtocolData]);
 
   useEffect(() => {
     if (account && vaultContract) {
@@ -241,54 +708,141 @@ function App() {
     }
   }, [account, vaultContract, loadUserData]);
 
-  // Listen for account changes
+  // Use permits only when both the asset and the deployed vault support them
   useEffect(() => {
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-          setAccount(null);
-          setDemoMode(true);
-        } else {
-          setAccount(accounts[0]);
-        }
-      });
-      window.ethereum.on('chainChanged', () => window.location.reload());
-    }
-  }, []);
+    setPermitDomain(null);
+    if (!usdcContract || !vaultContract || !account || !chainId) return;
+    let cancelled = false;
+    Promise.all([
+      getPermitDomain(usdcContract, account, chainId),
+      hasFunction(vaultContract, 'depositWithPermit'),
+    ]).then(([domain, vaultSupportsPermit]) => {
+      if (!cancelled) setPermitDomain(domain && vaultSupportsPermit ? domain : null);
+    });
+    return () => { cancelled = true; };
+  }, [usdcContract, vaultContract, account, chainId]);
+
+  // Follow account and chain changes from the connected wallet
+  useEffect(() => {
+    if (!wallet) return;
+    const ethereum = wallet.provider;
+
+    const onAccountsChanged = (accounts) => {
+      // Disconnected from inside the wallet
+      if (accounts.length === 0) setWallet(null);
+      syncWallet(ethereum, accounts).catch((err) => console.error('Account sync failed:', err));
+    };
+    const onChainChanged = () => {
+      if (!account) return;
+      ethereum.request({ method: 'eth_accounts' })
+        .then((accounts) => syncWallet(ethereum, accounts))
+        .catch((err) => console.error('Chain sync failed:', err));
+    };
+
+    ethereum.on('accountsChanged', onAccountsChanged);
+    ethereum.on('chainChanged', onChainChanged);
+    return () => {
+      ethereum.removeListener('accountsChanged', onAccountsChanged);
+      ethereum.removeListener('chainChanged', onChainChanged);
+    };
+  }, [wallet, account, syncWallet]);
 
   const displayData = demoMode ? DEMO_DATA : protocolData;
 
+  const epochHistory = useEpochHistory(readVault, network.chainId, network.deployBlock, protocolData.epochCount);
+  const lastAdvancedAt = epochHistory.epochs.length > 0
+    ? epochHistory.epochs[epochHistory.epochs.length - 1].timestamp
+    : null;
+
   return (
     <div className="app">
       <div className="bg-glow" />
       <Header
         account={account}
         chainId={chainId}
+        walletInfo={wallet?.info}
+        network={network}
+        networks={CONFIGURED_NETWORKS}
+        wrongNetwork={wrongNetwork}
         onConnect={connectWallet}
+        onDisconnect={disconnectWallet}
+        onSwitchNetwork={() => switchNetwork()}
+        onSelectNetwork={selectNetwork}
       />
       <main>
         <HeroSection />
-        <StatsBar data={displayData} demoMode={demoMode} />
+        <StatsBar
+          data={displayData}
+          demoMode={demoMode}
+          lastAdvancedAt={lastAdvancedAt}
+          deploymentIssues={deploymentIssues}
+        />
         <div className="main-grid">
           <VaultPanel
             account={account}
             userData={userData}
             protocolData={displayData}
+            readVault={readVault}
+            vaultContract={vaultContract}
             onDeposit={handleDeposit}
+            onMint={handleMint}
+            onWithdraw={handleWithdraw}
             onRedeem={handleRedeem}
+            onApproveShares={handleApproveShares}
+            permitSupported={Boolean(permitDomain)}
             loading={loading}
             txStatus={txStatus}
             demoMode={demoMode}
             onConnect={connectWallet}
+            network={network}
+            wrongNetwork={wrongNetwork}
+            onSwitchNetwork={() => switchNetwork()}
           />
           <div className="side-panels">
-            <YieldEngine data={displayData} demoMode={demoMode} />
+            <YieldEngine data={displayData} demoMode={demoMode} lastAdvancedAt={lastAdvancedAt} />
             <TreasuryDashboard data={displayData} demoMode={demoMode} />
           </div>
         </div>
+        <Portfolio
+          account={account}
+          readVault={readVault}
+          network={network}
+          userData={userData}
+          epochs={epochHistory.epochs}
+          baseRate={protocolData.baseRate}
+          clockOffset={protocolData.clockOffset}
+        />
+        <EpochHistory vault={readVault} history={epochHistory} />
+        <AdminConsole
+          account={account}
+          readVault={readVault}
+          vaultContract={vaultContract}
+          network={network}
+          onExecute={handleAdminAction}
+          loading={loading}
+          txStatus={txStatus}
+        />
+        <KeeperConsole
+          account={account}
+          readVault={readVault}
+          vaultContract={vaultContract}
+          onExecute={handleAdminAction}
+          loading={loading}
+          txStatus={txStatus}
+        />
+        <RoleAudit readVault={readVault} network={network} />
         <HowItWorks />
       </main>
       <Footer />
+      {pickerOpen && (
+        <WalletPicker
+          providers={walletProviders}
+          connecting={connecting}
+          error={connectError}
+          onSelect={connectWith}
+          onClose={closePicker}
+        />
+      )}
     </div>
   );
 }
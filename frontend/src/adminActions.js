@@ -0,0 +1,458 @@
+/**
+ * vSTRC Protocol — Admin Actions
+ *
+ * One entry per MANAGER_ROLE function on vSTRC and BTCStrategy, plus
+ * DEFAULT_ADMIN_ROLE grantRole/revokeRole on each. Each action
+ * declares its form fields, mirrors the contract's own revert conditions
+ * (InvalidParams, InvalidAllocation, InvalidStrategy, ZeroAddress) in
+ * `validate`, and maps the parsed form values to call arguments. Values are
+ * raw on-chain units: bigints for numbers, booleans, checksummed addresses.
+ */
+import { ethers } from 'ethers';
+import { ZERO_ADDRESS } from './config';
+
+export const MANAGER_ROLE = ethers.id('MANAGER_ROLE');
+
+// Roles an action can require or a role field can name
+export const ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  MANAGER_ROLE,
+  KEEPER_ROLE: ethers.id('KEEPER_ROLE'),
+  VAULT_ROLE: ethers.id('VAULT_ROLE'),
+};
+
+const ROLE_OPTIONS = {
+  vault: ['DEFAULT_ADMIN_ROLE', 'MANAGER_ROLE', 'KEEPER_ROLE'],
+  strategy: ['DEFAULT_ADMIN_ROLE', 'MANAGER_ROLE', 'VAULT_ROLE'],
+};
+
+const roleName = (hash) => Object.keys(ROLES).find((name) => ROLES[name] === hash);
+
+const DECIMALS = 6;
+
+// Contract bounds (vSTRC.sol, BTCStrategy.sol)
+const MAX_SENSITIVITY_BPS = 10000n;
+const MIN_EPOCH_DURATION = 3600n;
+const MAX_SLIPPAGE_BPS = 1000n;
+const MAX_CB_THRESHOLD_BPS = 5000n;
+const MIN_CB_WINDOW = 300n;
+
+// ─── Field Kinds ──────────────────────────────────────
+// parse: form string → raw value, or undefined when malformed
+// format: raw value → form string / display text
+
+const parseUint = (input) => {
+  const text = String(input).trim();
+  return /^\d+$/.test(text) ? BigInt(text) : undefined;
+};
+
+function formatDuration(seconds) {
+  const s = Number(seconds);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const parts = [d && `${d}d`, h && `${h}h`, m && `${m}m`].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : `${s}s`;
+}
+
+const FIELD_KINDS = {
+  bps: {
+    parse: parseUint,
+    format: (v) => v.toString(),
+    display: (v) => `${v} bps (${(Number(v) / 100).toFixed(2)}%)`,
+  },
+  usdc: {
+    parse: (input) => {
+      try {
+        return ethers.parseUnits(String(input).trim(), DECIMALS);
+      } catch {
+        return undefined;
+      }
+    },
+    format: (v) => ethers.formatUnits(v, DECIMALS),
+    display: (v) => `$${Number(ethers.formatUnits(v, DECIMALS)).toLocaleString('en-US', { maximumFractionDigits: 6 })}`,
+  },
+  // USDC amount where "max" (or blank) means no cap
+  usdcCap: {
+    parse: (input) => {
+      const text = String(input).trim().toLowerCase();
+      if (text === '' || text === 'max') return ethers.MaxUint256;
+      return FIELD_KINDS.usdc.parse(text);
+    },
+    format: (v) => (v === ethers.MaxUint256 ? 'max' : ethers.formatUnits(v, DECIMALS)),
+    display: (v) => (v === ethers.MaxUint256 ? 'Unlimited' : FIELD_KINDS.usdc.display(v)),
+  },
+  seconds: {
+    parse: parseUint,
+    format: (v) => v.toString(),
+    display: (v) => `${v} s (${formatDuration(v)})`,
+  },
+  address: {
+    parse: (input) => {
+      const text = String(input).trim();
+      return ethers.isAddress(text) ? ethers.getAddress(text) : undefined;
+    },
+    format: (v) => v,
+    display: (v) => (v === ZERO_ADDRESS ? 'None (0x0)' : v),
+  },
+  bool: {
+    parse: (input) => input === true || input === 'true',
+    format: (v) => v,
+    display: (v) => (v ? 'Yes' : 'No'),
+  },
+  // Role name from the field's options, or a raw bytes32 id
+  role: {
+    parse: (input) => {
+      const text = String(input).trim();
+      if (ROLES[text] !== undefined) return ROLES[text];
+      return ethers.isHexString(text, 32) ? text.toLowerCase() : undefined;
+    },
+    format: (v) => roleName(v) || v,
+    display: (v) => roleName(v) || v,
+  },
+};
+
+export function displayValue(field, value) {
+  if (value === undefined || value === null) return '—';
+  return FIELD_KINDS[field.kind].display(value);
+}
+
+const err = (message) => ({ level: 'error', message });
+const warn = (message) => ({ level: 'warn', message });
+
+// ─── Actions ──────────────────────────────────────────
+
+export const ADMIN_ACTIONS = [
+  {
+    id: 'dividendParams',
+    target: 'vault',
+    title: 'Dividend rate',
+    method: 'setDividendParams',
+    fields: [
+      { key: 'baseRateBps', label: 'Base rate', kind: 'bps' },
+      { key: 'sensitivityBps', label: 'Sensitivity (K)', kind: 'bps' },
+      { key: 'minRateBps', label: 'Minimum rate', kind: 'bps' },
+      { key: 'maxRateBps', label: 'Maximum rate', kind: 'bps' },
+    ],
+    validate: (v) => [
+      ...(v.minRateBps > v.maxRateBps ? [err('Minimum rate must not exceed the maximum rate.')] : []),
+      ...(v.baseRateBps < v.minRateBps || v.baseRateBps > v.maxRateBps
+        ? [err('Base rate must lie between the minimum and maximum rates.')]
+        : []),
+      ...(v.sensitivityBps > MAX_SENSITIVITY_BPS ? [err('Sensitivity is capped at 10000 bps (100%).')] : []),
+    ],
+    args: (v) => [v.baseRateBps, v.sensitivityBps, v.minRateBps, v.maxRateBps],
+  },
+  {
+    id: 'targetPrice',
+    target: 'vault',
+    title: 'Target price',
+    method: 'setTargetPrice',
+    fields: [{ key: 'targetPrice', label: 'Target price (USDC)', kind: 'usdc' }],
+    validate: (v) => (v.targetPrice === 0n ? [err('Target price must be greater than zero.')] : []),
+    args: (v) => [v.targetPrice],
+  },
+  {
+    id: 'epochDuration',
+    target: 'vault',
+    title: 'Epoch duration',
+    method: 'setEpochDuration',
+    fields: [{ key: 'epochDuration', label: 'Epoch duration (seconds)', kind: 'seconds' }],
+    validate: (v) => (v.epochDuration < MIN_EPOCH_DURATION
+      ? [err('Epoch duration must be at least 1 hour (3600 seconds).')]
+      : []),
+    args: (v) => [v.epochDuration],
+  },
+  {
+    id: 'depositCaps',
+    target: 'vault',
+    title: 'Deposit caps',
+    method: 'setDepositCaps',
+    fields: [
+      { key: 'maxTotalDeposits', label: 'Max total deposits (USDC or "max")', kind: 'usdcCap' },
+      { key: 'maxSingleDeposit', label: 'Max single deposit (USDC or "max")', kind: 'usdcCap' },
+      { key: 'minDeposit', label: 'Minimum deposit (USDC)', kind: 'usdc' },
+    ],
+    validate: (v, current) => [
+      ...(v.minDeposit === 0n ? [err('Minimum deposit must be greater than zero.')] : []),
+      ...(v.maxSingleDeposit < v.minDeposit
+        ? [warn('Max single deposit is below the minimum — every deposit would revert.')]
+        : []),
+      ...(current.totalAssets !== undefined && v.maxTotalDeposits < current.totalAssets
+        ? [warn(`Max total is below current total assets (${FIELD_KINDS.usdc.display(current.totalAssets)}) — deposits stay closed until assets fall under it.`)]
+        : []),
+    ],
+    args: (v) => [v.maxTotalDeposits, v.maxSingleDeposit, v.minDeposit],
+  },
+  {
+    id: 'circuitBreaker',
+    target: 'vault',
+    title: 'Mint / redeem switches',
+    method: 'setCircuitBreaker',
+    fields: [
+      { key: 'mintingPaused', label: 'Pause minting', kind: 'bool' },
+      { key: 'redeemingPaused', label: 'Pause redemptions', kind: 'bool' },
+    ],
+    validate: (v) => (v.redeemingPaused ? [warn('Holders will not be able to withdraw or redeem.')] : []),
+    args: (v) => [v.mintingPaused, v.redeemingPaused],
+  },
+  {
+    id: 'pause',
+    target: 'vault',
+    title: 'Pause vault',
+    // pause() and unpause() revert unless they change the state
+    method: (v) => (v.paused ? 'pause' : 'unpause'),
+    fields: [{ key: 'paused', label: 'Vault paused', kind: 'bool' }],
+    validate: (v) => (v.paused ? [warn('Pausing blocks deposits, mints, withdrawals and redemptions.')] : []),
+    args: () => [],
+  },
+  {
+    id: 'strategy',
+    target: 'vault',
+    title: 'Strategy',
+    method: 'setStrategy',
+    fields: [{ key: 'strategy', label: 'Strategy address', kind: 'address' }],
+    validate: (v) => (v.strategy === ZERO_ADDRESS
+      ? [err('Strategy cannot be the zero address.')]
+      : [warn('Funds in the current strategy are not moved — withdraw them before switching.')]),
+    args: (v) => [v.strategy],
+    danger: true,
+  },
+  {
+    id: 'oracle',
+    target: 'vault',
+    title: 'vSTRC price oracle',
+    method: 'setVSTRCOracle',
+    fields: [{ key: 'vSTRCPriceOracle', label: 'Oracle address (0x0 for NAV pricing)', kind: 'address' }],
+    validate: (v) => (v.vSTRCPriceOracle === ZERO_ADDRESS
+      ? [warn('No oracle — the rate controller will price vSTRC at NAV.')]
+      : [warn('The oracle must return a 6-decimal price updated within the last hour, or rebalanceYield() reverts.')]),
+    args: (v) => [v.vSTRCPriceOracle],
+  },
+  {
+    id: 'allocation',
+    target: 'strategy',
+    title: 'Allocation',
+    method: 'setAllocation',
+    fields: [
+      { key: 'btcAllocationBps', label: 'BTC allocation', kind: 'bps' },
+      { key: 'cashAllocationBps', label: 'Cash allocation', kind: 'bps' },
+    ],
+    validate: (v) => (v.btcAllocationBps + v.cashAllocationBps !== 10000n
+      ? [err('BTC and cash allocations must add up to 10000 bps.')]
+      : []),
+    args: (v) => [v.btcAllocationBps, v.cashAllocationBps],
+  },
+  {
+    id: 'maxSlippage',
+    target: 'strategy',
+    title: 'Max slippage',
+    method: 'setMaxSlippage',
+    fields: [{ key: 'maxSlippageBps', label: 'Max swap slippage', kind: 'bps' }],
+    validate: (v) => (v.maxSlippageBps > MAX_SLIPPAGE_BPS
+      ? [err('Slippage is capped at 1000 bps (10%).')]
+      : []),
+    args: (v) => [v.maxSlippageBps],
+  },
+  {
+    id: 'circuitBreakerParams',
+    target: 'strategy',
+    title: 'Circuit breaker',
+    method: 'setCircuitBreakerParams',
+    fields: [
+      { key: 'circuitBreakerThresholdBps', label: 'BTC drop threshold', kind: 'bps' },
+      { key: 'circuitBreakerWindow', label: 'Window (seconds)', kind: 'seconds' },
+    ],
+    validate: (v) => [
+      ...(v.circuitBreakerThresholdBps === 0n || v.circuitBreakerThresholdBps > MAX_CB_THRESHOLD_BPS
+        ? [err('Threshold must be between 1 and 5000 bps (50%).')]
+        : []),
+      ...(v.circuitBreakerWindow < MIN_CB_WINDOW ? [err('Window must be at least 5 minutes (300 seconds).')] : []),
+    ],
+    args: (v) => [v.circuitBreakerThresholdBps, v.circuitBreakerWindow],
+  },
+  {
+    id: 'resetCircuitBreaker',
+    target: 'strategy',
+    title: 'Reset circuit breaker',
+    method: 'resetCircuitBreaker',
+    fields: [],
+    validate: (v, current) => (current.circuitBreakerTripped
+      ? []
+      : [warn('The circuit breaker is not tripped — this only refreshes the reference BTC price.')]),
+    args: () => [],
+  },
+  {
+    id: 'emergencyWithdraw',
+    target: 'strategy',
+    title: 'Emergency withdraw',
+    method: 'emergencyWithdraw',
+    fields: [{ key: 'emergencyRecipient', label: 'Send all strategy funds to', kind: 'address', noCurrent: true }],
+    validate: (v) => (v.emergencyRecipient === ZERO_ADDRESS
+      ? [err('Recipient cannot be the zero address.')]
+      : [warn('Moves every WBTC, aUSDC and USDC held by the strategy to this address.')]),
+    args: (v) => [v.emergencyRecipient],
+    danger: true,
+  },
+  ...roleActions('vault'),
+  ...roleActions('strategy'),
+];
+
+// grantRole / revokeRole — role admin is DEFAULT_ADMIN_ROLE for every role
+function roleActions(target) {
+  const fields = [
+    { key: 'role', label: 'Role', kind: 'role', options: ROLE_OPTIONS[target], noCurrent: true },
+    { key: 'account', label: 'Account', kind: 'address', noCurrent: true },
+  ];
+  return [
+    {
+      id: `${target}GrantRole`,
+      target,
+      title: 'Grant role',
+      method: 'grantRole',
+      role: 'DEFAULT_ADMIN_ROLE',
+      fields,
+      validate: (v) => [
+        ...(v.account === ZERO_ADDRESS ? [err('Account cannot be the zero address.')] : []),
+        ...(v.role === ROLES.DEFAULT_ADMIN_ROLE
+          ? [warn('DEFAULT_ADMIN_ROLE can grant and revoke every role, including its own.')]
+          : []),
+      ],
+      args: (v) => [v.role, v.account],
+    },
+    {
+      id: `${target}RevokeRole`,
+      target,
+      title: 'Revoke role',
+      method: 'revokeRole',
+      role: 'DEFAULT_ADMIN_ROLE',
+      fields,
+      validate: (v) => [
+        ...(v.role === ROLES.DEFAULT_ADMIN_ROLE
+          ? [warn('Revoking the last DEFAULT_ADMIN_ROLE holder makes roles permanent.')]
+          : []),
+        ...(v.role === ROLES.VAULT_ROLE
+          ? [warn('Without VAULT_ROLE the vault can no longer deploy to or withdraw from the strategy.')]
+          : []),
+      ],
+      args: (v) => [v.role, v.account],
+      danger: true,
+    },
+  ];
+}
+
+/** Role the caller needs for `action` (MANAGER_ROLE unless stated) */
+export const requiredRole = (action) => action.role || 'MANAGER_ROLE';
+
+export const methodName = (action, values) =>
+  typeof action.method === 'function' ? action.method(values) : action.method;
+
+// ─── Form Helpers ─────────────────────────────────────
+
+/** Form strings prefilled from current on-chain values */
+export function initialInputs(action, current) {
+  return Object.fromEntries(action.fields.map((field) => {
+    const value = field.noCurrent ? undefined : current[field.key];
+    return [field.key, value === undefined ? (field.kind === 'bool' ? false : '') : FIELD_KINDS[field.kind].format(value)];
+  }));
+}
+
+/**
+ * Parse the form and run the action's checks.
+ * @returns {{ values: object|null, issues: Array<{level, message}>, diff: Array, unchanged: boolean }}
+ *   `values` is null while any field is blank or malformed; sending is blocked
+ *   by an `error` issue or when nothing would change
+ */
+export function reviewAction(action, inputs, current) {
+  const values = {};
+  const issues = [];
+  let incomplete = false;
+
+  for (const field of action.fields) {
+    const input = inputs[field.key] ?? '';
+    const value = FIELD_KINDS[field.kind].parse(input);
+    if (input === '' && field.kind !== 'usdcCap') {
+      incomplete = true;
+    } else if (value === undefined) {
+      issues.push(err(`${field.label}: invalid ${field.kind === 'address' ? 'address' : 'value'}.`));
+    } else {
+      values[field.key] = value;
+    }
+  }
+  if (incomplete || issues.length > 0) return { values: null, issues, diff: [], unchanged: false };
+
+  const diff = action.fields.map((field) => {
+    const before = field.noCurrent ? undefined : current[field.key];
+    return {
+      field,
+      before,
+      after: values[field.key],
+      changed: before === undefined || before !== values[field.key],
+    };
+  });
+
+  const unchanged = action.fields.length > 0 && !diff.some((row) => row.changed);
+  if (!unchanged) issues.push(...action.validate(values, current));
+
+  return { values, issues, diff, unchanged };
+}
+
+// ─── On-chain State ───────────────────────────────────
+
+const VAULT_KEYS = [
+  'baseRateBps', 'sensitivityBps', 'minRateBps', 'maxRateBps', 'targetPrice', 'epochDuration',
+  'maxTotalDeposits', 'maxSingleDeposit', 'minDeposit', 'mintingPaused', 'redeemingPaused',
+  'paused', 'strategy', 'vSTRCPriceOracle', 'totalAssets',
+];
+
+const STRATEGY_KEYS = [
+  'btcAllocationBps', 'cashAllocationBps', 'maxSlippageBps',
+  'circuitBreakerThresholdBps', 'circuitBreakerWindow', 'circuitBreakerTripped',
+];
+
+/**
+ * Current values for every action field.
+ * @param {ethers.Contract} vault
+ * @param {ethers.Contract|null} strategy  null unless it has the BTCStrategy admin surface
+ */
+export async function loadAdminState(vault, strategy) {
+  const read = (contract, keys) => Promise.all(keys.map((key) => contract[key]()));
+
+  const vaultValues = await read(vault, VAULT_KEYS);
+  const state = Object.fromEntries(VAULT_KEYS.map((key, i) => [key, vaultValues[i]]));
+
+  if (strategy) {
+    const strategyValues = await read(strategy, STRATEGY_KEYS);
+    STRATEGY_KEYS.forEach((key, i) => { state[key] = strategyValues[i]; });
+  }
+  return state;
+}
+
+/**
+ * Whether the strategy exposes the BTCStrategy admin surface.
+ * MockStrategy has no AccessControl, so hasRole reverts.
+ */
+export async function hasAccessControl(contract) {
+  try {
+    await contract.hasRole(MANAGER_ROLE, ethers.ZeroAddress);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * MANAGER_ROLE / DEFAULT_ADMIN_ROLE membership of `account` on each target.
+ * @param {{ vault: ethers.Contract, strategy: ethers.Contract|null }} targets
+ * @returns {Promise<{ vault: object, strategy: object }>} e.g. `{ vault: { MANAGER_ROLE: true, … }, strategy: {} }`
+ */
+export async function loadRoles(targets, account) {
+  const check = async (contract) => {
+    if (!contract) return {};
+    const names = ['MANAGER_ROLE', 'DEFAULT_ADMIN_ROLE'];
+    const held = await Promise.all(names.map((name) => contract.hasRole(ROLES[name], account).catch(() => false)));
+    return Object.fromEntries(names.map((name, i) => [name, held[i]]));
+  };
+  const [vault, strategy] = await Promise.all([check(targets.vault), check(targets.strategy)]);
+  return { vault, strategy };
+}
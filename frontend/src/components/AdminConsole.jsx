@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import './AdminConsole.css';
+import { STRATEGY_ABI } from '../abi';
+import {
+  ADMIN_ACTIONS,
+  displayValue,
+  hasAccessControl,
+  initialInputs,
+  loadAdminState,
+  loadRoles,
+  methodName,
+  requiredRole,
+  reviewAction,
+} from '../adminActions';
+import SafeBatch from './SafeBatch';
+
+const GROUPS = [
+  { target: 'vault', title: 'Vault' },
+  { target: 'strategy', title: 'Strategy' },
+];
+
+// Multisig operators hold no role in the browser wallet — #admin opens the
+// console anyway so they can compose a Safe batch
+const ADMIN_HASH = '#admin';
+
+/**
+ * Admin console for vault and strategy parameters. Shown when hasRole
+ * confirms the connected account is a manager or admin, or when the page is
+ * opened at #admin. Each form shows current vs proposed values; the call is
+ * then sent from the wallet (if it holds the role) or queued into a Safe
+ * Transaction Builder batch.
+ */
+function AdminConsole({ account, readVault, vaultContract, network, onExecute, loading, txStatus }) {
+  const [requested, setRequested] = useState(() => window.location.hash === ADMIN_HASH);
+  const [targets, setTargets] = useState(null);
+  const [roles, setRoles] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [actionId, setActionId] = useState(ADMIN_ACTIONS[0].id);
+  const [inputs, setInputs] = useState({});
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [batch, setBatch] = useState([]);
+
+  useEffect(() => {
+    const onHashChange = () => {
+      if (window.location.hash === ADMIN_HASH) setRequested(true);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // A batch only makes sense for one deployment
+  useEffect(() => {
+    setTargets(null);
+    setCurrent(null);
+    setBatch([]);
+  }, [readVault]);
+
+  // Re-resolved after setStrategy so the strategy forms follow the new contract
+  const strategyAddress = current?.strategy;
+
+  useEffect(() => {
+    if (!readVault) return;
+    let cancelled = false;
+    (async () => {
+      const addr = await readVault.strategy();
+      const strategy = addr === ethers.ZeroAddress
+        ? null
+        : new ethers.Contract(addr, STRATEGY_ABI, readVault.runner);
+      const managed = strategy && await hasAccessControl(strategy);
+      if (!cancelled) setTargets({ vault: readVault, strategy: managed ? strategy : null });
+    })().catch((err) => console.error('Failed to resolve admin targets:', err));
+    return () => { cancelled = true; };
+  }, [readVault, strategyAddress]);
+
+  useEffect(() => {
+    setRoles(null);
+    if (!targets || !account) return;
+    let cancelled = false;
+    loadRoles(targets, account)
+      .then((result) => { if (!cancelled) setRoles(result); })
+      .catch((err) => console.error('Role check failed:', err));
+    return () => { cancelled = true; };
+  }, [targets, account]);
+
+  const holdsAnyRole = Boolean(roles) && [roles.vault, roles.strategy]
+    .some((held) => Object.values(held).some(Boolean));
+  const visible = Boolean(targets) && (requested || holdsAnyRole);
+
+  // The #admin anchor did not exist when the link was followed
+  useEffect(() => {
+    if (visible && window.location.hash === ADMIN_HASH) {
+      document.getElementById('admin')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [visible, requested]);
+
+  // Current values; refetched after each tx (loading flips back to false)
+  useEffect(() => {
+    if (!visible || loading) return;
+    let cancelled = false;
+    loadAdminState(targets.vault, targets.strategy)
+      .then((state) => { if (!cancelled) setCurrent(state); })
+      .catch((err) => console.error('Failed to load admin state:', err));
+    return () => { cancelled = true; };
+  }, [visible, targets, loading]);
+
+  // Write contracts exist only while the wallet is on this network
+  const writeContracts = useMemo(() => {
+    if (!vaultContract || !targets) return null;
+    return {
+      vault: vaultContract,
+      strategy: targets.strategy && targets.strategy.connect(vaultContract.runner),
+    };
+  }, [vaultContract, targets]);
+
+  const available = useMemo(
+    () => ADMIN_ACTIONS.filter((a) => a.target === 'vault' || targets?.strategy),
+    [targets]
+  );
+  const action = available.find((a) => a.id === actionId) || available[0];
+
+  // Start every form from the live values
+  useEffect(() => {
+    if (current) setInputs(initialInputs(action, current));
+    setAcknowledged(false);
+  }, [action, current]);
+
+  const review = useMemo(
+    () => (current ? reviewAction(action, inputs, current) : null),
+    [action, inputs, current]
+  );
+
+  if (!visible) return null;
+
+  const blocked = !review || !review.values || review.unchanged
+    || review.issues.some((i) => i.level === 'error');
+  const changedRows = review?.diff.filter((row) => row.changed) || [];
+  const method = methodName(action, review?.values || {});
+  const canSend = Boolean(writeContracts?.[action.target]) && Boolean(roles?.[action.target][requiredRole(action)]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSend || blocked || (action.danger && !acknowledged)) return;
+    onExecute({
+      title: action.title,
+      contract: writeContracts[action.target],
+      method,
+      args: action.args(review.values),
+    });
+  };
+
+  const addToBatch = async () => {
+    if (blocked) return;
+    const contract = targets[action.target];
+    const call = {
+      id: `${Date.now()}-${batch.length}`,
+      title: action.title,
+      target: action.target,
+      to: await contract.getAddress(),
+      abi: contract.interface,
+      method,
+      args: action.args(review.values),
+      changes: changedRows.map((row) => `${row.field.label}: ${displayValue(row.field, row.after)}`),
+    };
+    setBatch((prev) => [...prev, call]);
+    setInputs(initialInputs(action, current));
+  };
+
+  return (
+    <section className="admin-console card" id="admin">
+      <div className="panel-header">
+        <h2 className="panel-title">Admin Console</h2>
+        <span className="panel-badge">{holdsAnyRole ? 'Role holder' : 'Safe batch only'}</span>
+      </div>
+
+      <div className="admin-layout">
+        <nav className="admin-actions">
+          {GROUPS.filter((g) => g.target === 'vault' || targets.strategy).map((group) => (
+            <div key={group.target} className="admin-group">
+              <div className="admin-group-title">{group.title}</div>
+              {available.filter((a) => a.target === group.target).map((a) => (
+                <button
+                  key={a.id}
+                  type="button"
+                  className={`admin-action ${a.id === action.id ? 'active' : ''} ${a.danger ? 'danger' : ''}`}
+                  onClick={() => setActionId(a.id)}
+                >
+                  {a.title}
+                </button>
+              ))}
+            </div>
+          ))}
+          {!targets.strategy && (
+            <p className="admin-note">
+              Strategy actions are hidden: the current strategy has no role-based access
+              control (MockStrategy).
+            </p>
+          )}
+        </nav>
+
+        <form className="admin-form" onSubmit={handleSubmit}>
+          <div className="admin-method">
+            {action.target}.{method}() · requires {requiredRole(action)}
+          </div>
+
+          {!current ? (
+            <div className="admin-note">Loading current values…</div>
+          ) : (
+            <>
+              {action.fields.map((field) => (
+                <label key={field.key} className="admin-field">
+                  <span className="advanced-label">{field.label}</span>
+                  {field.kind === 'bool' && (
+                    <input
+                      type="checkbox"
+                      checked={Boolean(inputs[field.key])}
+                      onChange={(e) => setInputs({ ...inputs, [field.key]: e.target.checked })}
+                    />
+                  )}
+                  {field.options && (
+                    <select
+                      className="advanced-input"
+                      value={inputs[field.key] ?? ''}
+                      onChange={(e) => setInputs({ ...inputs, [field.key]: e.target.value })}
+                    >
+                      <option value="">Select…</option>
+                      {field.options.map((option) => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  )}
+                  {field.kind !== 'bool' && !field.options && (
+                    <input
+                      className="advanced-input"
+                      value={inputs[field.key] ?? ''}
+                      onChange={(e) => setInputs({ ...inputs, [field.key]: e.target.value })}
+                      spellCheck={false}
+                    />
+                  )}
+                </label>
+              ))}
+
+              {review?.unchanged && (
+                <div className="admin-note">Edit a value to propose a change.</div>
+              )}
+
+              {changedRows.length > 0 && (
+                <table className="admin-diff">
+                  <thead>
+                    <tr><th>Parameter</th><th>Current</th><th>Proposed</th></tr>
+                  </thead>
+                  <tbody>
+                    {review.diff.map((row) => (
+                      <tr key={row.field.key} className={row.changed ? 'changed' : ''}>
+                        <td>{row.field.label}</td>
+                        <td>{displayValue(row.field, row.before)}</td>
+                        <td>{displayValue(row.field, row.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {review?.issues.length > 0 && (
+                <ul className="preflight-list">
+                  {review.issues.map((issue) => (
+                    <li key={issue.message} className={`preflight-item ${issue.level}`}>{issue.message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {action.danger && canSend && (
+                <label className="admin-ack">
+                  <input
+                    type="checkbox"
+                    checked={acknowledged}
+                    onChange={(e) => setAcknowledged(e.target.checked)}
+                  />
+                  I have reviewed this change and want to send it
+                </label>
+              )}
+
+              <div className="admin-buttons">
+                {canSend && (
+                  <button
+                    type="submit"
+                    className={`admin-submit ${action.danger ? 'danger' : ''}`}
+                    disabled={loading || blocked || (action.danger && !acknowledged)}
+                  >
+                    {loading ? 'Processing…' : `Send ${method}`}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="admin-submit secondary"
+                  disabled={blocked}
+                  onClick={addToBatch}
+                >
+                  Add to Safe batch
+                </button>
+              </div>
+            </>
+          )}
+
+          {txStatus && <div className="admin-status">{txStatus}</div>}
+        </form>
+      </div>
+
+      <SafeBatch
+        calls={batch}
+        network={network}
+        targets={targets}
+        onRemove={(id) => setBatch(batch.filter((call) => call.id !== id))}
+        onClear={() => setBatch([])}
+      />
+    </section>
+  );
+}
+
+export default AdminConsole;
@@ -0,0 +1,70 @@
+import React from 'react';
+import './EpochCountdown.css';
+import useNow from '../hooks/useNow';
+import { getEpochTiming, formatCountdown } from '../epochTiming';
+
+/**
+ * Live countdown to the next rebalanceYield() window, switching to an
+ * overdue-keeper warning once the window has passed.
+ *
+ * @param {object} props
+ * @param {number|null} props.lastEpochTimestamp
+ * @param {number} props.epochDuration
+ * @param {number} props.clockOffset       Chain time minus local time (seconds)
+ * @param {number|null} props.lastAdvancedAt  Timestamp of the latest EpochAdvanced event
+ * @param {'compact'|'full'} [props.variant]
+ */
+function EpochCountdown({ lastEpochTimestamp, epochDuration, clockOffset, lastAdvancedAt, variant = 'full' }) {
+  const now = useNow(clockOffset);
+  const timing = getEpochTiming(lastEpochTimestamp, epochDuration, now);
+
+  if (!timing) {
+    return variant === 'compact'
+      ? <span className="epoch-countdown compact">Next epoch —</span>
+      : null;
+  }
+
+  const sinceLast = lastAdvancedAt ? `${formatCountdown(now - lastAdvancedAt)} ago` : 'unknown';
+
+  if (variant === 'compact') {
+    return timing.overdue ? (
+      <span className="epoch-countdown compact overdue">
+        Overdue · {timing.pendingEpochs} pending
+      </span>
+    ) : (
+      <span className="epoch-countdown compact">
+        Next in {formatCountdown(timing.secondsRemaining)}
+      </span>
+    );
+  }
+
+  return (
+    <div className={`epoch-countdown full ${timing.overdue ? 'overdue' : ''}`}>
+      <div className="countdown-head">
+        <span className="countdown-title">
+          {timing.overdue ? 'Keeper Overdue' : 'Next Rate Update'}
+        </span>
+        <span className="countdown-value">
+          {timing.overdue
+            ? `+${formatCountdown(timing.overdueBy)}`
+            : formatCountdown(timing.secondsRemaining)}
+        </span>
+      </div>
+      <div className="countdown-detail">
+        {timing.overdue ? (
+          <>
+            {timing.pendingEpochs} epoch{timing.pendingEpochs === 1 ? '' : 's'} pending
+            {' · '}last rebalance {sinceLast}
+          </>
+        ) : (
+          <>
+            Callable from {new Date(timing.nextEpochAt * 1000).toLocaleString()}
+            {lastAdvancedAt && <> · last rebalance {sinceLast}</>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EpochCountdown;
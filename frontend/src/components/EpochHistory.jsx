@@ -0,0 +1,148 @@
+import React, { useMemo } from 'react';
+import './EpochHistory.css';
+import { EpochClockIcon } from './ProtocolIcons';
+
+const TABLE_ROWS = 12;
+const TREND_WINDOW = 4; // epochs compared when judging peg convergence
+
+// Chart geometry (SVG user units)
+const CHART_W = 640;
+const CHART_H = 220;
+const PAD = { top: 16, right: 44, bottom: 24, left: 52 };
+
+function formatUSD(value) {
+  const num = parseFloat(value);
+  if (isNaN(num)) return '—';
+  if (num >= 1e6) return `$${(num / 1e6).toFixed(2)}M`;
+  if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+  return `$${num.toFixed(2)}`;
+}
+
+function meanAbsDeviation(epochs) {
+  if (epochs.length === 0) return null;
+  const sum = epochs.reduce((acc, e) => {
+    const target = parseFloat(e.targetPrice);
+    return acc + Math.abs(parseFloat(e.marketPrice) - target) / target;
+  }, 0);
+  return (sum / epochs.length) * 100;
+}
+
+function RateChart({ epochs }) {
+  const prices = epochs.flatMap((e) => [parseFloat(e.marketPrice), parseFloat(e.targetPrice)]);
+  const rates = epochs.map((e) => e.rateBps / 100);
+
+  const priceMin = Math.min(...prices) * 0.98;
+  const priceMax = Math.max(...prices) * 1.02;
+  const rateMax = Math.max(...rates) * 1.15 || 1;
+
+  const innerW = CHART_W - PAD.left - PAD.right;
+  const innerH = CHART_H - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (epochs.length > 1 ? (i / (epochs.length - 1)) * innerW : innerW / 2);
+  const yPrice = (p) => PAD.top + innerH - ((p - priceMin) / (priceMax - priceMin || 1)) * innerH;
+  const yRate = (r) => PAD.top + innerH - (r / rateMax) * innerH;
+
+  const line = (values, y) => values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+
+  return (
+    <svg className="history-chart" viewBox={`0 0 ${CHART_W} ${CHART_H}`} role="img" aria-label="Set rate versus oracle and target price per epoch">
+      <line className="axis" x1={PAD.left} y1={PAD.top + innerH} x2={PAD.left + innerW} y2={PAD.top + innerH} />
+      <text className="axis-label" x={PAD.left - 6} y={PAD.top + 4} textAnchor="end">${priceMax.toFixed(0)}</text>
+      <text className="axis-label" x={PAD.left - 6} y={PAD.top + innerH} textAnchor="end">${priceMin.toFixed(0)}</text>
+      <text className="axis-label" x={PAD.left + innerW + 6} y={PAD.top + 4}>{rateMax.toFixed(0)}%</text>
+      <text className="axis-label" x={PAD.left + innerW + 6} y={PAD.top + innerH}>0%</text>
+      <text className="axis-label" x={PAD.left} y={CHART_H - 6}>#{epochs[0].epoch}</text>
+      <text className="axis-label" x={PAD.left + innerW} y={CHART_H - 6} textAnchor="end">#{epochs[epochs.length - 1].epoch}</text>
+
+      <polyline className="series target" points={line(epochs.map((e) => parseFloat(e.targetPrice)), yPrice)} />
+      <polyline className="series market" points={line(epochs.map((e) => parseFloat(e.marketPrice)), yPrice)} />
+      <polyline className="series rate" points={line(rates, yRate)} />
+      {epochs.length === 1 && (
+        <>
+          <circle className="dot market" cx={x(0)} cy={yPrice(parseFloat(epochs[0].marketPrice))} r="3" />
+          <circle className="dot rate" cx={x(0)} cy={yRate(rates[0])} r="3" />
+        </>
+      )}
+    </svg>
+  );
+}
+
+function EpochHistory({ vault, history }) {
+  const { epochs, syncing, progress, error } = history;
+
+  const trend = useMemo(() => {
+    if (epochs.length < TREND_WINDOW * 2) return null;
+    const recent = meanAbsDeviation(epochs.slice(-TREND_WINDOW));
+    const earlier = meanAbsDeviation(epochs.slice(-TREND_WINDOW * 2, -TREND_WINDOW));
+    return { recent, earlier, converging: recent <= earlier };
+  }, [epochs]);
+
+  const rows = epochs.slice(-TABLE_ROWS).reverse();
+
+  return (
+    <section className="epoch-history card" id="history">
+      <div className="panel-header">
+        <h2 className="panel-title">Epoch History</h2>
+        <div className="panel-badge">
+          {syncing ? `Syncing${progress ? ` ${progress}%` : '…'}` : `${epochs.length} epochs`}
+        </div>
+      </div>
+
+      {!vault ? (
+        <div className="history-empty">Epoch history is available once contract addresses are configured.</div>
+      ) : epochs.length === 0 ? (
+        <div className="history-empty">
+          <EpochClockIcon className="history-empty-icon" />
+          {error || (syncing ? 'Scanning vault events…' : 'No epochs have been rebalanced yet.')}
+        </div>
+      ) : (
+        <>
+          <div className="history-legend">
+            <span className="legend-item market">Oracle price</span>
+            <span className="legend-item target">Target price</span>
+            <span className="legend-item rate">Set rate (right axis)</span>
+            {trend && (
+              <span className={`history-trend ${trend.converging ? 'green' : 'yellow'}`}>
+                Avg peg deviation {trend.recent.toFixed(2)}% (last {TREND_WINDOW}) vs {trend.earlier.toFixed(2)}% before
+              </span>
+            )}
+          </div>
+
+          <RateChart epochs={epochs} />
+
+          <div className="history-table-wrap">
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>Epoch</th>
+                  <th>Date</th>
+                  <th>Rate</th>
+                  <th>Oracle</th>
+                  <th>Target Dividend</th>
+                  <th>Funded to Vault</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((e) => {
+                  const shortfall = parseFloat(e.funded) < parseFloat(e.dividend);
+                  return (
+                    <tr key={e.epoch}>
+                      <td className="mono">#{e.epoch}</td>
+                      <td>{e.timestamp ? new Date(e.timestamp * 1000).toLocaleDateString() : '—'}</td>
+                      <td className="mono">{(e.rateBps / 100).toFixed(2)}%</td>
+                      <td className="mono">${parseFloat(e.marketPrice).toFixed(2)}</td>
+                      <td className="mono">{formatUSD(e.dividend)}</td>
+                      <td className={`mono ${shortfall ? 'muted' : 'green'}`}>{formatUSD(e.funded)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {error && <div className="history-error">{error}</div>}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default EpochHistory;
@@ -30,9 +30,13 @@ function Footer() {
               Protocol
             </h4>
             <a href="#vault">Vault</a>
+            <a href="#portfolio">Portfolio</a>
             <a href="#yield">Yield Engine</a>
             <a href="#treasury">Treasury</a>
             <a href="#how-it-works">Documentation</a>
+            <a href="#admin">Admin</a>
+            <a href="#keeper">Keeper</a>
+            <a href="#roles">Roles</a>
           </div>
           <div className="footer-col">
             <h4 className="footer-col-title">
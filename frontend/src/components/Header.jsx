@@ -9,9 +9,21 @@ const CHAIN_NAMES = {
   11155111: 'Sepolia',
   5: 'Goerli',
   137: 'Polygon',
+  31337: 'Hardhat',
 };
 
-function Header({ account, chainId, onConnect }) {
+function Header({
+  account,
+  chainId,
+  walletInfo,
+  network,
+  networks,
+  wrongNetwork,
+  onConnect,
+  onDisconnect,
+  onSwitchNetwork,
+  onSelectNetwork,
+}) {
   const shortenAddress = (addr) =>
     addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '';
 
@@ -30,24 +42,47 @@ function Header({ account, chainId, onConnect }) {
           <a href="#vault" className="nav-link">Vault</a>
           <a href="#yield" className="nav-link">Yield</a>
           <a href="#treasury" className="nav-link">Treasury</a>
+          <a href="#history" className="nav-link">History</a>
           <a href="#how-it-works" className="nav-link">How It Works</a>
           <a href={WHITEPAPER_URL} className="nav-link" target="_blank" rel="noopener">Whitepaper</a>
         </nav>
 
         <div className="header-actions">
+          {networks.length > 1 && (
+            <select
+              className="network-select"
+              value={network.chainId}
+              onChange={(e) => onSelectNetwork(Number(e.target.value))}
+              aria-label="Network"
+            >
+              {networks.map((n) => (
+                <option key={n.chainId} value={n.chainId}>{n.chainName}</option>
+              ))}
+            </select>
+          )}
           {account ? (
             <div className="wallet-info">
               {chainId && (
-                <span className="chain-badge">
+                <span className={`chain-badge ${wrongNetwork ? 'wrong' : ''}`}>
                   <NetworkChainIcon className="chain-icon" />
                   {CHAIN_NAMES[chainId] || `Chain ${chainId}`}
                 </span>
               )}
-              <button className="wallet-btn connected">
-                <NetworkChainIcon className="header-btn-icon" />
+              {wrongNetwork && (
+                <button className="wallet-btn switch" onClick={onSwitchNetwork}>
+                  Switch to {network.chainName}
+                </button>
+              )}
+              <button className="wallet-btn connected" title={walletInfo?.name}>
+                {walletInfo?.icon
+                  ? <img src={walletInfo.icon} alt="" className="header-btn-icon" />
+                  : <NetworkChainIcon className="header-btn-icon" />}
                 <span className="wallet-dot" />
                 {shortenAddress(account)}
               </button>
+              <button className="wallet-btn disconnect" onClick={onDisconnect} title="Disconnect wallet">
+                Disconnect
+              </button>
             </div>
           ) : (
             <button className="wallet-btn connect" onClick={onConnect}>
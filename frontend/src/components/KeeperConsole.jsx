@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import './KeeperConsole.css';
+import { ROLES } from '../adminActions';
+import { decodeError } from '../errors';
+import { formatCountdown } from '../epochTiming';
+import { projectRebalance, readRebalanceInputs } from '../rebalancePlan.mjs';
+
+// Operators checking a bot's next run hold no role in the browser wallet —
+// #keeper opens the console anyway and simulates from any address
+const KEEPER_HASH = '#keeper';
+
+const fmtUSDC = (units) =>
+  `$${Number(ethers.formatUnits(units, 6)).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const fmtRate = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+const PRICE_SOURCES = {
+  oracle: 'vSTRC oracle',
+  nav: 'NAV (no oracle set)',
+  target: 'target price (no supply)',
+};
+
+const DIRECTIONS = {
+  below: 'Below target — boost yield and fund the dividend from the strategy',
+  above: 'Above target — deploy idle vault USDC to the strategy',
+  peg: 'At target — harvest only',
+};
+
+function describeStep({ method, args }) {
+  switch (method) {
+    case 'harvestYield': return 'strategy.harvestYield()';
+    case 'rebalance': return `strategy.rebalance(true, ${fmtUSDC(args[1])}) — sell BTC for USDC`;
+    case 'withdraw': return `strategy.withdraw(${fmtUSDC(args[0])}) — USDC to the vault`;
+    case 'deploy': return `strategy.deploy(${fmtUSDC(args[0])})`;
+    default: return `strategy.${method}()`;
+  }
+}
+
+/**
+ * rebalanceYield() dry run for keepers. Shows the market price, the new rate,
+ * the epoch dividend and the strategy calls the vault will make, simulates the
+ * call with staticCall, and lets a KEEPER_ROLE holder send it. Shown when the
+ * connected account holds KEEPER_ROLE, or when the page is opened at #keeper.
+ */
+function KeeperConsole({ account, readVault, vaultContract, onExecute, loading, txStatus }) {
+  const [requested, setRequested] = useState(() => window.location.hash === KEEPER_HASH);
+  const [isKeeper, setIsKeeper] = useState(false);
+  const [simulateAs, setSimulateAs] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    const onHashChange = () => {
+      if (window.location.hash === KEEPER_HASH) setRequested(true);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  useEffect(() => {
+    setIsKeeper(false);
+    if (!readVault || !account) return;
+    let cancelled = false;
+    readVault.hasRole(ROLES.KEEPER_ROLE, account)
+      .then((held) => { if (!cancelled) setIsKeeper(held); })
+      .catch((err) => console.error('Keeper role check failed:', err));
+    return () => { cancelled = true; };
+  }, [readVault, account]);
+
+  const visible = Boolean(readVault) && (requested || isKeeper);
+
+  useEffect(() => {
+    if (visible && window.location.hash === KEEPER_HASH) {
+      document.getElementById('keeper')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [visible, requested]);
+
+  // Half-typed addresses fall back to the connected account
+  const from = ethers.isAddress(simulateAs.trim()) ? simulateAs.trim() : account;
+
+  const refresh = useCallback(async () => {
+    setRefreshing(true);
+    setLoadError('');
+    try {
+      const inputs = await readRebalanceInputs(readVault);
+      setPlan({ inputs, projection: projectRebalance(inputs) });
+
+      if (!from) {
+        setSimulation(null);
+      } else {
+        try {
+          await readVault.rebalanceYield.staticCall({ from });
+          setSimulation({ ok: true, from });
+        } catch (err) {
+          setSimulation({ ok: false, from, error: decodeError(err) });
+        }
+      }
+    } catch (err) {
+      console.error('Failed to load rebalance inputs:', err);
+      setLoadError(decodeError(err).message);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [readVault, from]);
+
+  // Re-run after each tx (loading flips back to false)
+  useEffect(() => {
+    if (visible && !loading) refresh();
+  }, [visible, loading, refresh]);
+
+  if (!visible) return null;
+
+  const projection = plan?.projection;
+  const canSend = isKeeper && Boolean(vaultContract);
+  const blocked = !projection || projection.blockers.length > 0 || !simulation?.ok
+    || simulation.from.toLowerCase() !== account?.toLowerCase();
+
+  const handleExecute = () => {
+    if (!canSend || blocked) return;
+    onExecute({ title: 'Yield rate', contract: vaultContract, method: 'rebalanceYield', args: [] });
+  };
+
+  return (
+    <section className="keeper-console card" id="keeper">
+      <div className="panel-header">
+        <h2 className="panel-title">Keeper Console</h2>
+        <span className="panel-badge">{isKeeper ? 'Keeper' : 'Dry run only'}</span>
+      </div>
+
+      <div className="keeper-body">
+        <div className="admin-method">vault.rebalanceYield() · requires KEEPER_ROLE</div>
+
+        <label className="admin-field">
+          <span className="advanced-label">Simulate as</span>
+          <input
+            className="advanced-input"
+            placeholder={account || 'Keeper address'}
+            value={simulateAs}
+            onChange={(e) => setSimulateAs(e.target.value)}
+            spellCheck={false}
+          />
+        </label>
+
+        {loadError && <div className="preflight-item error">{loadError}</div>}
+        {!projection && !loadError && <div className="admin-note">Loading vault state…</div>}
+
+        {projection && (
+          <>
+            <table className="admin-diff keeper-table">
+              <tbody>
+                <tr>
+                  <td>Market price</td>
+                  <td>
+                    {fmtUSDC(projection.marketPrice)} via {PRICE_SOURCES[projection.priceSource]}
+                    {projection.oracleAge !== null && ` · updated ${formatCountdown(Number(projection.oracleAge))} ago`}
+                  </td>
+                </tr>
+                <tr><td>Target price</td><td>{fmtUSDC(plan.inputs.targetPrice)}</td></tr>
+                <tr className="changed">
+                  <td>Rate</td>
+                  <td>{fmtRate(projection.currentRateBps)} → {fmtRate(projection.newRateBps)}</td>
+                </tr>
+                <tr className="changed"><td>Epoch dividend</td><td>{fmtUSDC(projection.epochDividend)}</td></tr>
+                <tr><td>Branch</td><td>{DIRECTIONS[projection.direction]}</td></tr>
+                <tr>
+                  <td>Sells BTC</td>
+                  <td>{projection.sellsBtc ? `Yes — ${fmtUSDC(projection.btcToSell)} of USDC` : 'No'}</td>
+                </tr>
+                <tr>
+                  <td>USDC to vault</td>
+                  <td>
+                    {fmtUSDC(projection.usdcToVault)}
+                    {projection.harvested === null && plan.inputs.strategy && ' + unknown harvest'}
+                  </td>
+                </tr>
+                {projection.deployedToStrategy > 0n && (
+                  <tr><td>USDC to strategy</td><td>{fmtUSDC(projection.deployedToStrategy)}</td></tr>
+                )}
+              </tbody>
+            </table>
+
+            {projection.steps.length > 0 ? (
+              <ol className="keeper-steps">
+                {projection.steps.map((step) => <li key={step.method}>{describeStep(step)}</li>)}
+              </ol>
+            ) : (
+              <div className="admin-note">No strategy set — only the rate and epoch advance.</div>
+            )}
+
+            <ul className="preflight-list">
+              {projection.blockers.includes('EpochNotElapsed') && (
+                <li className="preflight-item error">
+                  Epoch not elapsed — callable in {formatCountdown(Number(projection.nextEpochAt - plan.inputs.now))}.
+                </li>
+              )}
+              {projection.blockers.includes('InvalidPrice') && (
+                <li className="preflight-item error">Oracle returned a zero or negative price (InvalidPrice).</li>
+              )}
+              {projection.blockers.includes('StalePrice') && (
+                <li className="preflight-item error">Oracle is older than one hour (StalePrice).</li>
+              )}
+              {projection.pendingEpochs > 1n && (
+                <li className="preflight-item warn">
+                  {projection.pendingEpochs.toString()} epochs are pending; each call advances one.
+                </li>
+              )}
+              {simulation && !simulation.ok && (
+                <li className="preflight-item error">
+                  Simulation from {simulation.from.slice(0, 8)}… reverted: {simulation.error.message}
+                </li>
+              )}
+              {simulation?.ok && (
+                <li className="preflight-item ok">Simulation from {simulation.from.slice(0, 8)}… succeeded.</li>
+              )}
+              {!simulation && (
+                <li className="preflight-item warn">Connect a wallet or enter an address to simulate the call.</li>
+              )}
+            </ul>
+          </>
+        )}
+
+        <div className="admin-buttons">
+          <button type="button" className="admin-submit secondary" disabled={refreshing} onClick={refresh}>
+            {refreshing ? 'Simulating…' : 'Refresh dry run'}
+          </button>
+          {canSend && (
+            <button
+              type="button"
+              className="admin-submit"
+              disabled={loading || blocked}
+              onClick={handleExecute}
+            >
+              {loading ? 'Processing…' : 'Send rebalanceYield'}
+            </button>
+          )}
+        </div>
+
+        {txStatus && <div className="admin-status">{txStatus}</div>}
+      </div>
+    </section>
+  );
+}
+
+export default KeeperConsole;
@@ -0,0 +1,182 @@
+import React, { useMemo } from 'react';
+import { ethers } from 'ethers';
+import './Portfolio.css';
+import usePortfolio from '../hooks/usePortfolio';
+import { attributeBoostedGain, buildPortfolio } from '../portfolio.mjs';
+
+const TABLE_ROWS = 20;
+
+const TYPE_LABELS = {
+  in: 'Deposit',
+  out: 'Withdraw',
+  'transfer-in': 'Transfer in',
+  'transfer-out': 'Transfer out',
+  paid: 'Deposit for another account',
+  received: 'Received from another account',
+};
+
+const fmtUSDC = (units) =>
+  `$${Number(ethers.formatUnits(units, 6)).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtSigned = (units) => `${units < 0n ? '−' : '+'}${fmtUSDC(units < 0n ? -units : units)}`;
+const fmtShares = (units) =>
+  Number(ethers.formatUnits(units, 6)).toLocaleString(undefined, { maximumFractionDigits: 4 });
+const fmtPct = (ratio) => `${ratio >= 0 ? '+' : ''}${(ratio * 100).toFixed(2)}%`;
+const tone = (units) => (units > 0n ? 'green' : units < 0n ? 'red' : '');
+const short = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+function counterparty(row) {
+  switch (row.type) {
+    case 'paid': return `for ${short(row.owner)}`;
+    case 'received': return `from ${short(row.owner)}`;
+    case 'transfer-in': return `from ${short(row.from)}`;
+    case 'transfer-out': return `to ${short(row.to)}`;
+    case 'out': return row.receiver.toLowerCase() !== row.owner.toLowerCase() ? `USDC to ${short(row.receiver)}` : '';
+    default: return row.sender.toLowerCase() !== row.owner.toLowerCase() ? `paid by ${short(row.sender)}` : '';
+  }
+}
+
+/**
+ * The connected account's position rebuilt from its Deposit, Withdraw and
+ * share Transfer events: cost basis, realized and unrealized gain,
+ * time-weighted return, and the part of the gain earned while the rate was
+ * boosted above base.
+ */
+function Portfolio({ account, readVault, network, userData, epochs, baseRate, clockOffset }) {
+  const history = usePortfolio(readVault, account, network.chainId, network.deployBlock, userData.vSTRCBalance);
+
+  const portfolio = useMemo(() => {
+    if (history.records.length === 0) return null;
+    const now = Math.floor(Date.now() / 1000) + (clockOffset || 0);
+    const result = buildPortfolio(history.records, {
+      account,
+      shares: ethers.parseUnits(userData.vSTRCBalance, 6),
+      value: ethers.parseUnits(userData.shareValue, 6),
+      now,
+    });
+    // Epochs whose EpochAdvanced log has not been synced yet carry no timestamp
+    const timed = epochs.filter((e) => e.timestamp);
+    const boost = baseRate != null ? attributeBoostedGain(result, timed, baseRate, now) : null;
+    return { ...result, boost };
+  }, [history.records, account, userData, epochs, baseRate, clockOffset]);
+
+  if (!readVault || !account) return null;
+
+  const rows = portfolio ? portfolio.rows.slice(-TABLE_ROWS).reverse() : [];
+  const explorer = network.blockExplorer;
+
+  return (
+    <section className="portfolio card" id="portfolio">
+      <div className="panel-header">
+        <h2 className="panel-title">Your Portfolio</h2>
+        <div className="panel-badge">
+          {history.syncing ? `Syncing${history.progress ? ` ${history.progress}%` : '…'}` : `${history.records.length} events`}
+        </div>
+      </div>
+
+      {!portfolio ? (
+        <div className="history-empty">
+          {history.error || (history.syncing ? 'Scanning your vault activity…' : 'No deposits or withdrawals yet.')}
+        </div>
+      ) : (
+        <>
+          <div className="portfolio-stats">
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Current value</span>
+              <span className="portfolio-value">{fmtUSDC(portfolio.currentValue)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Cost basis</span>
+              <span className="portfolio-value">{fmtUSDC(portfolio.costBasis)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Unrealized</span>
+              <span className={`portfolio-value ${tone(portfolio.unrealized)}`}>{fmtSigned(portfolio.unrealized)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Realized</span>
+              <span className={`portfolio-value ${tone(portfolio.realized)}`}>{fmtSigned(portfolio.realized)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Total earned</span>
+              <span className={`portfolio-value ${tone(portfolio.totalGain)}`}>{fmtSigned(portfolio.totalGain)}</span>
+            </div>
+            <div className="portfolio-stat">
+              <span className="portfolio-label">Time-weighted return</span>
+              <span className="portfolio-value">
+                {fmtPct(portfolio.twr)}
+                {portfolio.annualizedTwr !== null && (
+                  <small> · {fmtPct(portfolio.annualizedTwr)} / yr</small>
+                )}
+              </span>
+            </div>
+          </div>
+
+          {portfolio.boost && (
+            <div className="portfolio-boost">
+              {fmtUSDC(portfolio.boost.boostedGain)} of your gain accrued during{' '}
+              {portfolio.boost.boostedEpochs} boosted-rate epoch{portfolio.boost.boostedEpochs === 1 ? '' : 's'}
+              {' '}(rate above the {(baseRate / 100).toFixed(2)}% base), of which{' '}
+              {fmtUSDC(portfolio.boost.boostPremium)} is attributable to the boost itself.
+              <span className="portfolio-note"> Estimate: gain split by shares held × time × epoch rate.</span>
+            </div>
+          )}
+
+          {(!portfolio.reconciled || portfolio.approximate) && (
+            <ul className="preflight-list">
+              {!portfolio.reconciled && (
+                <li className="preflight-item warn">
+                  Replayed events give {fmtShares(portfolio.shares)} vSTRC but your balance is{' '}
+                  {userData.vSTRCBalance}. Some activity predates the scanned range, so figures may be off.
+                </li>
+              )}
+              {portfolio.approximate && (
+                <li className="preflight-item warn">
+                  Some share transfers could not be priced at their block (the RPC is not an archive
+                  node) and were valued at the previous known share price.
+                </li>
+              )}
+            </ul>
+          )}
+
+          <div className="history-table-wrap">
+            <table className="history-table portfolio-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>USDC</th>
+                  <th>vSTRC</th>
+                  <th>Realized</th>
+                  <th>Tx</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={`${row.txHash}:${row.logIndex}`}>
+                    <td>{row.timestamp ? new Date(row.timestamp * 1000).toLocaleDateString() : '—'}</td>
+                    <td>
+                      {TYPE_LABELS[row.type]}
+                      <span className="portfolio-note"> {counterparty(row)}</span>
+                    </td>
+                    <td className="mono">{row.assets === null ? '—' : fmtUSDC(row.assets)}</td>
+                    <td className="mono">{fmtShares(BigInt(row.shares))}</td>
+                    <td className={`mono ${row.gain != null ? tone(row.gain) : ''}`}>
+                      {row.gain != null ? fmtSigned(row.gain) : ''}
+                    </td>
+                    <td className="mono">
+                      {explorer
+                        ? <a href={`${explorer}/tx/${row.txHash}`} target="_blank" rel="noopener">{row.txHash.slice(0, 10)}…</a>
+                        : `${row.txHash.slice(0, 10)}…`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default Portfolio;
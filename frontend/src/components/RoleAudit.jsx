@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import './RoleAudit.css';
+import { STRATEGY_ABI } from '../abi';
+import { hasAccessControl } from '../adminActions';
+import { queryFilterChunked, readLogCache, writeLogCache, logCacheKey } from '../eventLogs';
+import {
+  ROLE_EVENTS,
+  auditRoles,
+  loadAccountKinds,
+  replayRoleEvents,
+  roleEventRecord,
+  roleName,
+  sortRoleEvents,
+} from '../roleAudit.mjs';
+
+// Loaded on demand — a full log scan is too heavy for every visit
+const ROLES_HASH = '#roles';
+
+const short = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * Role records for one contract, synced from the last cached block.
+ */
+async function syncRoleEvents(contract, chainId, deployBlock, latest, onProgress) {
+  const key = logCacheKey('roles', chainId, contract.target);
+  const cached = readLogCache(key);
+  const fromBlock = cached ? cached.lastBlock + 1 : deployBlock;
+  const records = [...(cached?.items || [])];
+
+  if (fromBlock <= latest) {
+    // Sequential to stay within public RPC rate limits
+    for (const eventName of ROLE_EVENTS) {
+      const logs = await queryFilterChunked(contract, eventName, fromBlock, latest, { onProgress });
+      records.push(...logs.map(roleEventRecord));
+    }
+  }
+
+  const sorted = sortRoleEvents(records);
+  writeLogCache(key, latest, sorted);
+  return sorted;
+}
+
+function describeRecord(record) {
+  if (record.event === 'RoleAdminChanged') {
+    return `admin ${roleName(record.previousAdminRole)} → ${roleName(record.newAdminRole)}`;
+  }
+  const verb = record.event === 'RoleGranted' ? 'granted to' : 'revoked from';
+  return `${verb} ${short(record.account)} by ${short(record.sender)}`;
+}
+
+/**
+ * Who holds each role on the vault and strategy, rebuilt from AccessControl
+ * logs because the contracts are not enumerable, with the full grant/revoke
+ * history and flags for risky setups. Opened at #roles (Footer → Roles).
+ */
+function RoleAudit({ readVault, network }) {
+  const [requested, setRequested] = useState(() => window.location.hash === ROLES_HASH);
+  const [audit, setAudit] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const onHashChange = () => {
+      if (window.location.hash === ROLES_HASH) setRequested(true);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const visible = Boolean(readVault) && requested;
+
+  useEffect(() => {
+    if (visible) document.getElementById('roles')?.scrollIntoView({ behavior: 'smooth' });
+  }, [visible]);
+
+  useEffect(() => {
+    setAudit(null);
+    if (!visible) return;
+    let cancelled = false;
+
+    (async () => {
+      setSyncing(true);
+      setError('');
+      try {
+        const provider = readVault.runner.provider;
+        const latest = await provider.getBlockNumber();
+        const onProgress = (done, total) => !cancelled && setProgress(Math.round(done / total * 100));
+
+        const vaultAddress = await readVault.getAddress();
+        const targets = [{ name: 'vSTRC', contract: readVault }];
+        const strategyAddress = await readVault.strategy();
+        if (strategyAddress !== ethers.ZeroAddress) {
+          const strategy = new ethers.Contract(strategyAddress, STRATEGY_ABI, readVault.runner);
+          if (await hasAccessControl(strategy)) targets.push({ name: 'BTCStrategy', contract: strategy });
+        }
+
+        const contracts = [];
+        for (const { name, contract } of targets) {
+          const records = await syncRoleEvents(contract, network.chainId, network.deployBlock, latest, onProgress);
+          contracts.push({ name, address: contract.target, roles: replayRoleEvents(records) });
+        }
+
+        const accounts = contracts.flatMap((c) => Object.values(c.roles).flatMap((r) => r.holders.map((h) => h.account)));
+        const isContract = await loadAccountKinds(provider, accounts);
+        if (!cancelled) {
+          setAudit({
+            contracts,
+            isContract,
+            latest,
+            issues: auditRoles(contracts, { isContract, vault: vaultAddress }),
+          });
+        }
+      } catch (err) {
+        console.error('Role audit failed:', err);
+        if (!cancelled) setError('Could not load role events from the RPC endpoint.');
+      } finally {
+        if (!cancelled) {
+          setSyncing(false);
+          setProgress(0);
+        }
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [visible, readVault, network]);
+
+  if (!visible) return null;
+
+  return (
+    <section className="role-audit card" id="roles">
+      <div className="panel-header">
+        <h2 className="panel-title">Role Audit</h2>
+        <span className="panel-badge">
+          {syncing ? `Scanning${progress ? ` ${progress}%` : '…'}` : audit ? `Block ${audit.latest}` : '—'}
+        </span>
+      </div>
+
+      <div className="role-audit-body">
+        {error && <div className="preflight-item error">{error}</div>}
+        {!audit && !error && <div className="admin-note">Replaying RoleGranted / RoleRevoked / RoleAdminChanged…</div>}
+
+        {audit && (
+          <>
+            {audit.issues.length === 0 ? (
+              <div className="preflight-item ok">No risky role setups found.</div>
+            ) : (
+              <ul className="preflight-list">
+                {audit.issues.map((issue) => (
+                  <li key={`${issue.contract}:${issue.message}`} className={`preflight-item ${issue.level}`}>
+                    {issue.contract}: {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {audit.contracts.map(({ name, address, roles }) => (
+              <div key={address} className="role-audit-contract">
+                <div className="admin-group-title">{name} · {address}</div>
+                <table className="admin-diff">
+                  <thead>
+                    <tr><th>Role</th><th>Holder</th><th>Since block</th><th>Granted by</th></tr>
+                  </thead>
+                  <tbody>
+                    {Object.values(roles).map((state) => (
+                      state.holders.length === 0 ? (
+                        <tr key={state.role}>
+                          <td>{state.name}</td>
+                          <td colSpan={3}>none</td>
+                        </tr>
+                      ) : state.holders.map((holder, i) => (
+                        <tr key={`${state.role}:${holder.account}`} className="changed">
+                          <td>{i === 0 ? state.name : ''}</td>
+                          <td>
+                            {holder.account}
+                            <span className="role-audit-kind">{audit.isContract[holder.account] ? 'contract' : 'EOA'}</span>
+                          </td>
+                          <td>{holder.since}</td>
+                          <td>{short(holder.grantedBy)}</td>
+                        </tr>
+                      ))
+                    ))}
+                  </tbody>
+                </table>
+
+                <details className="role-audit-history">
+                  <summary>History ({Object.values(roles).reduce((n, r) => n + r.history.length, 0)} events)</summary>
+                  <ol>
+                    {sortRoleEvents(Object.values(roles).flatMap((r) => r.history)).map((record) => (
+                      <li key={`${record.txHash}:${record.logIndex}`}>
+                        <span className="mono">#{record.block}</span> {roleName(record.role)} {describeRecord(record)}
+                      </li>
+                    ))}
+                  </ol>
+                </details>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default RoleAudit;
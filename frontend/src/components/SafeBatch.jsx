@@ -0,0 +1,149 @@
+import React, { useState, useMemo } from 'react';
+import { buildSafeBatch, decodeSafeBatch } from '../safeBatch.mjs';
+import { ROLE_NAMES } from '../errors';
+import { checkAddress } from '../vaultChecks';
+
+/**
+ * Queued admin calls exported as a Safe Transaction Builder batch, plus a
+ * reviewer view that decodes any batch file back into readable calls.
+ */
+function SafeBatch({ calls, network, targets, onRemove, onClear }) {
+  const [safeAddress, setSafeAddress] = useState('');
+  const [name, setName] = useState('');
+  const [decoded, setDecoded] = useState(null);
+  const [decodeError, setDecodeError] = useState('');
+
+  const safeIssues = safeAddress.trim() ? checkAddress(safeAddress, 'Safe address') : [];
+
+  const knownContracts = useMemo(() => [
+    { name: 'vSTRC', address: targets.vault.target, abi: targets.vault.interface },
+    ...(targets.strategy
+      ? [{ name: 'BTCStrategy', address: targets.strategy.target, abi: targets.strategy.interface }]
+      : []),
+  ], [targets]);
+
+  const downloadBatch = () => {
+    const batch = buildSafeBatch({
+      chainId: network.chainId,
+      safeAddress: safeAddress.trim(),
+      name: name.trim() || undefined,
+      description: calls.map((call) => `${call.target}.${call.method}`).join(', '),
+      calls,
+    });
+    const blob = new Blob([JSON.stringify(batch, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vstrc-${network.key}-safe-batch-${batch.createdAt}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const reviewFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setDecoded(null);
+    setDecodeError('');
+    try {
+      setDecoded(decodeSafeBatch(await file.text(), {
+        contracts: knownContracts,
+        chainId: network.chainId,
+        roleNames: ROLE_NAMES,
+      }));
+    } catch (err) {
+      setDecodeError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="safe-batch">
+      <div className="admin-group-title">Safe Transaction Builder batch</div>
+
+      {calls.length === 0 ? (
+        <p className="admin-note">
+          Use “Add to Safe batch” to queue calls for a multisig. Current values in each
+          form are on-chain values and do not include earlier queued calls.
+        </p>
+      ) : (
+        <>
+          <ol className="safe-batch-list">
+            {calls.map((call) => (
+              <li key={call.id}>
+                <div className="safe-batch-call">
+                  <span className="admin-method">{call.target}.{call.method}()</span>
+                  <button type="button" className="advanced-btn" onClick={() => onRemove(call.id)}>
+                    Remove
+                  </button>
+                </div>
+                {call.changes.length > 0 && (
+                  <div className="advanced-hint">{call.changes.join(' · ')}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          <div className="safe-batch-row">
+            <input
+              className="advanced-input"
+              placeholder="Safe address (optional)"
+              value={safeAddress}
+              onChange={(e) => setSafeAddress(e.target.value)}
+              spellCheck={false}
+            />
+            <input
+              className="advanced-input"
+              placeholder="Batch name (optional)"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </div>
+          {safeIssues.length > 0 && <div className="advanced-hint error">{safeIssues[0].message}</div>}
+
+          <div className="safe-batch-row">
+            <button
+              type="button"
+              className="advanced-btn"
+              disabled={safeIssues.some((i) => i.level === 'error')}
+              onClick={downloadBatch}
+            >
+              Download batch JSON ({calls.length} call{calls.length === 1 ? '' : 's'}, chain {network.chainId})
+            </button>
+            <button type="button" className="advanced-btn" onClick={onClear}>Clear</button>
+          </div>
+        </>
+      )}
+
+      <label className="safe-batch-review">
+        <span className="advanced-label">Review a batch file</span>
+        <input type="file" accept="application/json,.json" onChange={reviewFile} />
+      </label>
+      {decodeError && <div className="preflight-item error">{decodeError}</div>}
+      {decoded && (
+        <div className="safe-batch-decoded">
+          <div className="advanced-hint">
+            {decoded.name || 'Unnamed batch'} · chain {decoded.chainId} · {decoded.calls.length} call(s)
+          </div>
+          {decoded.warnings.map((w) => (
+            <div key={w} className="preflight-item warn">{w}</div>
+          ))}
+          <ol className="safe-batch-list">
+            {decoded.calls.map((call) => (
+              <li key={call.index}>
+                <div className="admin-method">
+                  {call.target || call.to}.{call.method || '?'}(
+                  {call.args.map((arg) => `${arg.name}: ${arg.value}`).join(', ')})
+                </div>
+                {call.warnings.map((w) => (
+                  <div key={w} className="preflight-item warn">{w}</div>
+                ))}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SafeBatch;
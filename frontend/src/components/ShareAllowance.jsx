@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { parseAmount, checkAddress } from '../vaultChecks';
+
+/**
+ * Approve / revoke another address to withdraw or redeem the connected
+ * account's vSTRC (ERC-20 allowance on the vault shares).
+ */
+function ShareAllowance({ account, readVault, onApprove, loading }) {
+  const [spender, setSpender] = useState('');
+  const [amount, setAmount] = useState('');
+  const [current, setCurrent] = useState(null);
+
+  const spenderValid = spender.trim() !== '' && checkAddress(spender, 'Spender').length === 0;
+
+  // Refetch after each tx (loading flips back to false when it settles)
+  useEffect(() => {
+    setCurrent(null);
+    if (!spenderValid || !account || !readVault || loading) return;
+    let cancelled = false;
+    readVault.allowance(account, spender.trim())
+      .then((value) => { if (!cancelled) setCurrent(value); })
+      .catch((err) => console.error('Failed to load share allowance:', err));
+    return () => { cancelled = true; };
+  }, [spender, spenderValid, account, readVault, loading]);
+
+  // Rendered inside the vault form — Enter here must not submit a deposit
+  const preventSubmit = (e) => {
+    if (e.key === 'Enter') e.preventDefault();
+  };
+
+  const formatAllowance = (value) => {
+    if (value === null) return '…';
+    if (value === ethers.MaxUint256) return 'Unlimited';
+    return `${Number(ethers.formatUnits(value, 6)).toLocaleString('en-US', { maximumFractionDigits: 6 })} vSTRC`;
+  };
+
+  return (
+    <div className="share-allowance">
+      <div className="advanced-label">Share allowance</div>
+      <input
+        className="advanced-input"
+        placeholder="Spender address (0x…)"
+        value={spender}
+        onChange={(e) => setSpender(e.target.value)}
+        onKeyDown={preventSubmit}
+        spellCheck={false}
+      />
+      {spender.trim() !== '' && !spenderValid && (
+        <div className="advanced-hint error">{checkAddress(spender, 'Spender')[0].message}</div>
+      )}
+      {spenderValid && (
+        <div className="advanced-hint">Current allowance: {formatAllowance(current)}</div>
+      )}
+      <div className="share-allowance-row">
+        <input
+          type="number"
+          className="advanced-input"
+          placeholder="vSTRC amount"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          onKeyDown={preventSubmit}
+          min="0"
+          step="0.01"
+        />
+        <button
+          type="button"
+          className="advanced-btn"
+          disabled={loading || !spenderValid || parseAmount(amount) === null}
+          onClick={() => { onApprove(spender.trim(), amount); setAmount(''); }}
+        >
+          Approve
+        </button>
+        <button
+          type="button"
+          className="advanced-btn"
+          disabled={loading || !spenderValid || !current}
+          onClick={() => onApprove(spender.trim(), '0')}
+        >
+          Revoke
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ShareAllowance;
@@ -7,8 +7,9 @@ import {
   ShieldCheckIcon,
   EpochClockIcon,
 } from './ProtocolIcons';
+import EpochCountdown from './EpochCountdown';
 
-function StatsBar({ data, demoMode }) {
+function StatsBar({ data, demoMode, lastAdvancedAt, deploymentIssues = [] }) {
   const formatUSD = (value) => {
     const num = parseFloat(value);
     if (isNaN(num)) return '$0.00';
@@ -33,7 +34,7 @@ function StatsBar({ data, demoMode }) {
     },
     {
       label: 'Live APY',
-      value: `${((data.currentRate || 800) / 100).toFixed(1)}%`,
+      value: data.currentRate != null ? `${(data.currentRate / 100).toFixed(1)}%` : '—',
       icon: TrendUpIcon,
       iconTone: 'green',
       color: 'green',
@@ -50,6 +51,15 @@ function StatsBar({ data, demoMode }) {
       value: `#${data.epochCount || 0}`,
       icon: EpochClockIcon,
       iconTone: 'blue',
+      sub: (
+        <EpochCountdown
+          variant="compact"
+          lastEpochTimestamp={data.lastEpochTimestamp}
+          epochDuration={data.epochDuration}
+          clockOffset={data.clockOffset}
+          lastAdvancedAt={lastAdvancedAt}
+        />
+      ),
     },
   ];
 
@@ -58,9 +68,15 @@ function StatsBar({ data, demoMode }) {
       {demoMode && (
         <div className="demo-banner">
           <span className="demo-dot" />
-          Preview Mode - connect wallet for live on-chain data
+          Preview Mode - contract addresses not configured, showing sample data
         </div>
       )}
+      {deploymentIssues.map((issue) => (
+        <div key={issue} className="demo-banner error">
+          <span className="demo-dot" />
+          {issue}
+        </div>
+      ))}
       <div className="stats-grid">
         {stats.map((stat, i) => (
           <div key={i} className={`stat-item ${stat.highlight ? 'highlight' : ''}`}>
@@ -72,6 +88,7 @@ function StatsBar({ data, demoMode }) {
                 {stat.value}
               </div>
               <div className="stat-label">{stat.label}</div>
+              {stat.sub}
             </div>
           </div>
         ))}
@@ -16,14 +16,26 @@ function TreasuryDashboard({ data, demoMode }) {
     return `$${num.toFixed(2)}`;
   };
 
-  const btcValue = parseFloat(data.btcTreasuryValue || (parseFloat(data.totalAssets) * 0.8));
-  const cashValue = parseFloat(data.cashReserveValue || (parseFloat(data.totalAssets) * 0.2));
+  const btcValue = parseFloat(data.btcTreasuryValue || 0);
+  const cashValue = parseFloat(data.cashReserveValue || 0);
   const totalValue = btcValue + cashValue;
 
-  const btcPercent = totalValue > 0 ? (btcValue / totalValue * 100).toFixed(1) : 80;
-  const cashPercent = totalValue > 0 ? (cashValue / totalValue * 100).toFixed(1) : 20;
+  // Targets come from BTCStrategy; MockStrategy has no allocation getters
+  const hasTargets = data.btcAllocationBps != null && data.cashAllocationBps != null;
+  const btcTarget = hasTargets ? data.btcAllocationBps / 100 : null;
+  const cashTarget = hasTargets ? data.cashAllocationBps / 100 : null;
 
-  const cr = parseFloat(data.collateralRatio || 1.23);
+  // Bar shows the actual split; with nothing deployed it falls back to the target
+  const btcPercent = totalValue > 0 ? (btcValue / totalValue * 100).toFixed(1) : (btcTarget ?? 0).toFixed(1);
+  const cashPercent = totalValue > 0 ? (cashValue / totalValue * 100).toFixed(1) : (cashTarget ?? 0).toFixed(1);
+  const btcDrift = hasTargets && totalValue > 0 ? parseFloat(btcPercent) - btcTarget : null;
+
+  const btcPrice = data.btcPrice != null ? parseFloat(data.btcPrice) : null;
+  const priceUpdated = data.btcPriceUpdatedAt
+    ? new Date(data.btcPriceUpdatedAt * 1000).toLocaleTimeString()
+    : null;
+
+  const cr = parseFloat(data.collateralRatio || 0);
   const crStatus = cr >= 1.5 ? 'healthy' : cr >= 1.0 ? 'adequate' : 'critical';
   const crColor = cr >= 1.5 ? 'green' : cr >= 1.0 ? 'yellow' : 'red';
 
@@ -36,6 +48,16 @@ function TreasuryDashboard({ data, demoMode }) {
         </div>
       </div>
 
+      {data.circuitBreakerTripped && (
+        <div className="breaker-banner" role="alert">
+          <strong>Strategy circuit breaker tripped</strong>
+          <span>
+            BTC dropped past the configured threshold. New deployments and rebalances are
+            halted until the manager calls resetCircuitBreaker().
+          </span>
+        </div>
+      )}
+
       {/* Allocation Bar */}
       <div className="alloc-bar">
         <div className="alloc-btc" style={{ width: `${btcPercent}%` }}>
@@ -45,6 +67,20 @@ function TreasuryDashboard({ data, demoMode }) {
           <span className="alloc-label">Cash {cashPercent}%</span>
         </div>
       </div>
+      <div className="alloc-target">
+        {hasTargets ? (
+          <>
+            <span>Target {btcTarget.toFixed(0)}% / {cashTarget.toFixed(0)}%</span>
+            {btcDrift !== null && (
+              <span className={Math.abs(btcDrift) >= 5 ? 'drift warn' : 'drift'}>
+                BTC drift {btcDrift >= 0 ? '+' : ''}{btcDrift.toFixed(1)}%
+              </span>
+            )}
+          </>
+        ) : (
+          <span>Target allocation unavailable for this strategy</span>
+        )}
+      </div>
 
       {/* Treasury Details */}
       <div className="treasury-details">
@@ -58,7 +94,11 @@ function TreasuryDashboard({ data, demoMode }) {
               <span className="treasury-value">{formatUSD(btcValue)}</span>
             </div>
           </div>
-          <span className="treasury-sub">Uniswap V3 routed exposure</span>
+          <span className="treasury-sub">
+            {data.totalWbtcHeld != null
+              ? `${parseFloat(data.totalWbtcHeld).toLocaleString('en-US', { maximumFractionDigits: 4 })} WBTC held`
+              : 'Uniswap V3 routed exposure'}
+          </span>
         </div>
 
         <div className="treasury-row">
@@ -116,9 +156,13 @@ function TreasuryDashboard({ data, demoMode }) {
         <PriceFeedIcon className="btc-price-icon" />
         <span className="btc-price-label">BTC Price</span>
         <span className="btc-price-value">
-          ${parseFloat(data.btcPrice || 97000).toLocaleString()}
+          {btcPrice !== null ? `$${btcPrice.toLocaleString('en-US', { maximumFractionDigits: 2 })}` : '—'}
+        </span>
+        <span className="btc-price-source">
+          {btcPrice !== null
+            ? `Chainlink BTC/USD feed${priceUpdated ? ` · ${priceUpdated}` : ''}`
+            : 'Price feed unavailable'}
         </span>
-        <span className="btc-price-source">Chainlink BTC/USD feed</span>
       </div>
     </div>
   );
@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
 import './VaultPanel.css';
 import {
   DepositActionIcon,
@@ -6,10 +7,231 @@ import {
   SparkIcon,
   WalletConnectIcon,
 } from './ProtocolIcons';
+import {
+  parseAmount,
+  checkDeposit,
+  checkMint,
+  checkWithdraw,
+  checkRedeem,
+  checkAddress,
+  checkShareAllowance,
+} from '../vaultChecks';
+import { formatError } from '../errors';
+import ShareAllowance from './ShareAllowance';
+
+const PREVIEW_DEBOUNCE_MS = 350;
+
+// Formatted 6-decimal strings from App state back to exact units
+const toUnits = (value) => ethers.parseUnits(value || '0', 6);
+
+// The four ERC-4626 entry points. `tab` groups them by direction; the mode
+// picks which side of the trade the user fixes.
+const MODES = {
+  deposit: {
+    tab: 'deposit', exact: 'USDC', input: 'USDC', output: 'vSTRC',
+    inputLabel: 'Deposit Amount', previewLabel: 'You will receive', submitLabel: 'Deposit USDC',
+    preview: 'previewDeposit',
+  },
+  mint: {
+    tab: 'deposit', exact: 'vSTRC', input: 'vSTRC', output: 'USDC',
+    inputLabel: 'Shares to Mint', previewLabel: 'You will pay', submitLabel: 'Mint vSTRC',
+    preview: 'previewMint',
+  },
+  withdraw: {
+    tab: 'redeem', exact: 'USDC', input: 'USDC', output: 'vSTRC',
+    inputLabel: 'Withdraw Amount', previewLabel: 'Shares burned', submitLabel: 'Withdraw USDC',
+    preview: 'previewWithdraw',
+  },
+  redeem: {
+    tab: 'redeem', exact: 'vSTRC', input: 'vSTRC', output: 'USDC',
+    inputLabel: 'Redeem Shares', previewLabel: 'You will receive', submitLabel: 'Redeem vSTRC',
+    preview: 'previewRedeem',
+  },
+};
 
-function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, loading, txStatus, demoMode, onConnect }) {
-  const [activeTab, setActiveTab] = useState('deposit');
+const TAB_MODES = {
+  deposit: ['deposit', 'mint'],
+  redeem: ['withdraw', 'redeem'],
+};
+
+function VaultPanel({
+  account,
+  userData,
+  protocolData,
+  readVault,
+  vaultContract,
+  onDeposit,
+  onMint,
+  onWithdraw,
+  onRedeem,
+  onApproveShares,
+  permitSupported,
+  loading,
+  txStatus,
+  demoMode,
+  onConnect,
+  network,
+  wrongNetwork,
+  onSwitchNetwork,
+}) {
+  const [mode, setMode] = useState('deposit');
   const [amount, setAmount] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [simulation, setSimulation] = useState({ status: 'idle', message: '' });
+  const [receiverInput, setReceiverInput] = useState('');
+  const [ownerInput, setOwnerInput] = useState('');
+  // { maxWithdraw, maxRedeem, allowance } when redeeming another owner's shares
+  const [ownerState, setOwnerState] = useState(null);
+
+  const activeTab = MODES[mode].tab;
+
+  // Derived from the input string; effects below depend on `amount` itself
+  const parsedAmount = parseAmount(amount);
+
+  // Blank advanced fields fall back to the connected account
+  const addressIssues = [
+    ...checkAddress(receiverInput, 'Receiver'),
+    ...(activeTab === 'redeem' ? checkAddress(ownerInput, 'Owner') : []),
+  ];
+  const receiver = (addressIssues.length === 0 && receiverInput.trim()) || account;
+  const owner = (activeTab === 'redeem' && addressIssues.length === 0 && ownerInput.trim()) || account;
+  const thirdPartyOwner = Boolean(account && owner && owner.toLowerCase() !== account.toLowerCase());
+
+  // Mirror of the contract's revert conditions for the entered amount
+  const issues = useMemo(() => {
+    if (parsedAmount === null || demoMode) return [];
+    const depositLimits = {
+      paused: protocolData.paused,
+      mintingPaused: protocolData.mintingPaused,
+      minDeposit: toUnits(protocolData.minDeposit),
+      maxSingleDeposit: toUnits(protocolData.maxSingleDeposit),
+      maxTotalDeposits: toUnits(protocolData.maxTotalDeposits),
+      totalAssets: toUnits(protocolData.totalAssets),
+    };
+    const redeemLimits = {
+      paused: protocolData.paused,
+      redeemingPaused: protocolData.redeemingPaused,
+    };
+    const user = account
+      ? {
+          usdcBalance: toUnits(userData.usdcBalance),
+          maxDeposit: toUnits(userData.maxDeposit),
+          maxMint: toUnits(userData.maxMint),
+          maxWithdraw: toUnits(userData.maxWithdraw),
+          maxRedeem: toUnits(userData.maxRedeem),
+        }
+      : {};
+    // withdraw/redeem limits belong to the owner whose shares are burned
+    const ownerLimits = thirdPartyOwner
+      ? { maxWithdraw: ownerState?.maxWithdraw, maxRedeem: ownerState?.maxRedeem }
+      : user;
+
+    const result = [...addressIssues];
+    switch (mode) {
+      case 'deposit': result.push(...checkDeposit(parsedAmount, depositLimits, user)); break;
+      case 'mint': result.push(...checkMint(parsedAmount, preview, depositLimits, user)); break;
+      case 'withdraw': result.push(...checkWithdraw(parsedAmount, redeemLimits, ownerLimits)); break;
+      default: result.push(...checkRedeem(parsedAmount, redeemLimits, ownerLimits));
+    }
+    if (thirdPartyOwner && ownerState) {
+      const sharesBurned = mode === 'redeem' ? parsedAmount : preview;
+      result.push(...checkShareAllowance(sharesBurned, ownerState.allowance));
+    }
+    if (account && receiver.toLowerCase() !== account.toLowerCase()) {
+      const sent = activeTab === 'deposit' ? 'vSTRC' : 'USDC';
+      result.push({ level: 'warn', message: `${sent} will be sent to ${receiver}.` });
+    }
+    return result;
+  }, [amount, mode, preview, protocolData, userData, account, demoMode, receiverInput, ownerInput, ownerState]);
+
+  const blocked = issues.some((issue) => issue.level === 'error');
+
+  // Limits and allowance for a third-party owner
+  useEffect(() => {
+    setOwnerState(null);
+    if (!thirdPartyOwner || !readVault) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const [maxWithdraw, maxRedeem, allowance] = await Promise.all([
+          readVault.maxWithdraw(owner),
+          readVault.maxRedeem(owner),
+          readVault.allowance(owner, account),
+        ]);
+        if (!cancelled) setOwnerState({ maxWithdraw, maxRedeem, allowance });
+      } catch (err) {
+        console.error('Failed to load owner limits:', err);
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [owner, account, thirdPartyOwner, readVault, loading]);
+
+  // Exact on-chain preview for the entered amount
+  useEffect(() => {
+    setPreview(null);
+    if (parsedAmount === null || !readVault) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const out = await readVault[MODES[mode].preview](parsedAmount);
+        if (!cancelled) setPreview(out);
+      } catch (err) {
+        console.error('Preview failed:', err);
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [amount, mode, readVault]);
+
+  // eth_call dry run of the real transaction once the preview is in
+  useEffect(() => {
+    setSimulation({ status: 'idle', message: '' });
+    if (preview === null || parsedAmount === null || !vaultContract || !account || blocked) return;
+
+    // deposit() and mint() pull USDC via transferFrom, so they can only be
+    // simulated once the allowance covers what will be pulled
+    const pulled = mode === 'deposit' ? parsedAmount : mode === 'mint' ? preview : null;
+    if (pulled !== null && toUnits(userData.usdcAllowance) < pulled) {
+      setSimulation({
+        status: 'skipped',
+        message: mode === 'deposit' && permitSupported
+          ? 'You will sign a USDC permit; approval and deposit happen in one transaction.'
+          : `USDC approval will be requested first; the ${mode} is simulated after approval.`,
+      });
+      return;
+    }
+
+    let cancelled = false;
+    setSimulation({ status: 'running', message: '' });
+    (async () => {
+      try {
+        switch (mode) {
+          case 'deposit': await vaultContract.deposit.staticCall(parsedAmount, receiver); break;
+          case 'mint': await vaultContract.mint.staticCall(parsedAmount, receiver); break;
+          case 'withdraw': await vaultContract.withdraw.staticCall(parsedAmount, receiver, owner); break;
+          default: await vaultContract.redeem.staticCall(parsedAmount, receiver, owner);
+        }
+        if (!cancelled) setSimulation({ status: 'ok', message: 'Simulation passed' });
+      } catch (err) {
+        if (!cancelled) {
+          setSimulation({ status: 'failed', message: formatError(err, protocolData) });
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [preview, blocked, vaultContract, account, receiver, owner, userData.usdcAllowance, permitSupported]);
 
   const formatNum = (val) => {
     const num = parseFloat(val);
@@ -19,33 +241,67 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!amount || parseFloat(amount) <= 0) return;
-    if (activeTab === 'deposit') {
-      onDeposit(amount);
-    } else {
-      onRedeem(amount);
-    }
+    if (parsedAmount === null || blocked) return;
+    const handlers = { deposit: onDeposit, mint: onMint, withdraw: onWithdraw, redeem: onRedeem };
+    handlers[mode](amount, { receiver, owner });
+    setAmount('');
+  };
+
+  const selectMode = (next) => {
+    setMode(next);
     setAmount('');
   };
 
-  const setMaxAmount = () => {
-    if (demoMode) return;
-    if (activeTab === 'deposit') {
-      setAmount(userData.usdcBalance);
-    } else {
-      setAmount(userData.vSTRCBalance);
+  // Largest amount the contract will accept for this account in the current mode
+  const setMaxAmount = async () => {
+    if (demoMode || !account) return;
+    const min = (a, b) => (a < b ? a : b);
+    const balance = toUnits(userData.usdcBalance);
+    let max;
+    switch (mode) {
+      case 'deposit':
+        max = min(balance, toUnits(userData.maxDeposit));
+        break;
+      case 'mint':
+        // Shares the USDC balance can pay for; previewDeposit rounds down so
+        // previewMint of the result never exceeds the balance
+        try {
+          max = min(await readVault.previewDeposit(balance), toUnits(userData.maxMint));
+        } catch (err) {
+          console.error('Failed to compute max mint:', err);
+          return;
+        }
+        break;
+      case 'withdraw':
+        if (!thirdPartyOwner) {
+          max = toUnits(userData.maxWithdraw);
+        } else if (ownerState) {
+          // Bounded by both the owner's balance and what they approved us for
+          try {
+            max = min(ownerState.maxWithdraw, await readVault.previewRedeem(ownerState.allowance));
+          } catch (err) {
+            console.error('Failed to compute max withdraw:', err);
+            return;
+          }
+        } else {
+          return;
+        }
+        break;
+      default:
+        if (!thirdPartyOwner) {
+          max = toUnits(userData.maxRedeem);
+        } else if (ownerState) {
+          max = min(ownerState.maxRedeem, ownerState.allowance);
+        } else {
+          return;
+        }
     }
+    setAmount(ethers.formatUnits(max, 6));
   };
 
   const previewOutput = () => {
-    const num = parseFloat(amount) || 0;
-    if (activeTab === 'deposit') {
-      const price = parseFloat(protocolData.sharePrice) || 100;
-      return (num / price * 100).toFixed(4);
-    } else {
-      const price = parseFloat(protocolData.sharePrice) || 100;
-      return (num * price / 100).toFixed(2);
-    }
+    if (preview === null) return '…';
+    return formatNum(ethers.formatUnits(preview, 6));
   };
 
   return (
@@ -59,20 +315,34 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
       <div className="vault-tabs">
         <button
           className={`vault-tab ${activeTab === 'deposit' ? 'active' : ''}`}
-          onClick={() => { setActiveTab('deposit'); setAmount(''); }}
+          onClick={() => selectMode('deposit')}
         >
           <DepositActionIcon className="tab-icon" />
           Deposit
         </button>
         <button
           className={`vault-tab ${activeTab === 'redeem' ? 'active' : ''}`}
-          onClick={() => { setActiveTab('redeem'); setAmount(''); }}
+          onClick={() => selectMode('redeem')}
         >
           <RedeemActionIcon className="tab-icon" />
           Redeem
         </button>
       </div>
 
+      {/* Exact-in / exact-out */}
+      <div className="vault-modes">
+        {TAB_MODES[activeTab].map((m) => (
+          <button
+            key={m}
+            type="button"
+            className={`vault-mode ${mode === m ? 'active' : ''}`}
+            onClick={() => selectMode(m)}
+          >
+            Exact {MODES[m].exact}
+          </button>
+        ))}
+      </div>
+
       {/* Balances */}
       {!demoMode && account && (
         <div className="vault-balances">
@@ -95,7 +365,7 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
       <form onSubmit={handleSubmit} className="vault-form">
         <div className="input-group">
           <label className="input-label">
-            {activeTab === 'deposit' ? 'Deposit Amount' : 'Redeem Shares'}
+            {MODES[mode].inputLabel}
           </label>
           <div className="input-wrapper">
             <input
@@ -112,20 +382,18 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
                 <SparkIcon className="max-icon" />
                 MAX
               </button>
-              <span className="input-token">
-                {activeTab === 'deposit' ? 'USDC' : 'vSTRC'}
-              </span>
+              <span className="input-token">{MODES[mode].input}</span>
             </div>
           </div>
         </div>
 
         {/* Preview */}
-        {amount && parseFloat(amount) > 0 && (
+        {parsedAmount !== null && (
           <div className="preview-box">
             <div className="preview-row">
-              <span>You will receive</span>
+              <span>{MODES[mode].previewLabel}</span>
               <span className="preview-value">
-                ~{previewOutput()} {activeTab === 'deposit' ? 'vSTRC' : 'USDC'}
+                {previewOutput()} {MODES[mode].output}
               </span>
             </div>
             <div className="preview-row">
@@ -137,12 +405,80 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
             <div className="preview-row">
               <span>Current APY</span>
               <span className="preview-value green">
-                {((protocolData.currentRate || 800) / 100).toFixed(1)}%
+                {protocolData.currentRate != null ? `${(protocolData.currentRate / 100).toFixed(1)}%` : '—'}
               </span>
             </div>
           </div>
         )}
 
+        {/* Preflight */}
+        {issues.length > 0 && (
+          <ul className="preflight-list">
+            {issues.map((issue) => (
+              <li key={issue.message} className={`preflight-item ${issue.level}`}>{issue.message}</li>
+            ))}
+          </ul>
+        )}
+        {simulation.status !== 'idle' && !blocked && (
+          <div className={`preflight-sim ${simulation.status}`}>
+            {simulation.status === 'running' ? 'Simulating transaction…' : simulation.message}
+          </div>
+        )}
+
+        {/* Advanced: receiver / owner */}
+        {wrongNetwork && (
+          <div className="preflight-item error">
+            Wallet is on the wrong network. Switch to {network.chainName} to deposit or redeem.
+          </div>
+        )}
+
+        {!demoMode && account && !wrongNetwork && (
+          <details className="vault-advanced">
+            <summary>Advanced</summary>
+            <label className="advanced-label" htmlFor="vault-receiver">
+              Receiver {activeTab === 'deposit' ? '(gets the vSTRC)' : '(gets the USDC)'}
+            </label>
+            <input
+              id="vault-receiver"
+              className="advanced-input"
+              placeholder={account}
+              value={receiverInput}
+              onChange={(e) => setReceiverInput(e.target.value)}
+              spellCheck={false}
+            />
+            {activeTab === 'redeem' && (
+              <>
+                <label className="advanced-label" htmlFor="vault-owner">
+                  Owner (whose vSTRC is burned)
+                </label>
+                <input
+                  id="vault-owner"
+                  className="advanced-input"
+                  placeholder={account}
+                  value={ownerInput}
+                  onChange={(e) => setOwnerInput(e.target.value)}
+                  spellCheck={false}
+                />
+                {thirdPartyOwner && ownerState && (
+                  <div className="advanced-hint">
+                    Owner holds {formatNum(ethers.formatUnits(ownerState.maxRedeem, 6))} vSTRC, approved{' '}
+                    {ownerState.allowance === ethers.MaxUint256
+                      ? 'unlimited'
+                      : formatNum(ethers.formatUnits(ownerState.allowance, 6))}{' '}
+                    for this account
+                  </div>
+                )}
+              </>
+            )}
+            <ShareAllowance
+              account={account}
+              readVault={readVault}
+              onApprove={onApproveShares}
+              loading={loading}
+            />
+          </details>
+        )}
+
         {/* Status message */}
         {txStatus && (
           <div className={`tx-status ${txStatus.includes('Error') ? 'error' : 'success'}`}>
@@ -156,11 +492,16 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
             <WalletConnectIcon className="vault-btn-icon" />
             Connect Wallet
           </button>
+        ) : wrongNetwork ? (
+          <button type="button" className="submit-btn" onClick={onSwitchNetwork}>
+            <WalletConnectIcon className="vault-btn-icon" />
+            Switch to {network.chainName}
+          </button>
         ) : (
           <button
             type="submit"
             className={`submit-btn ${loading ? 'loading' : ''}`}
-            disabled={loading || !amount || parseFloat(amount) <= 0}
+            disabled={loading || parsedAmount === null || blocked || simulation.status === 'failed'}
           >
             {loading ? (
               <span className="spinner" />
@@ -171,7 +512,7 @@ function VaultPanel({ account, userData, protocolData, onDeposit, onRedeem, load
                 ) : (
                   <RedeemActionIcon className="vault-btn-icon" />
                 )}
-                {activeTab === 'deposit' ? 'Deposit USDC' : 'Redeem vSTRC'}
+                {MODES[mode].submitLabel}
               </>
             )}
           </button>
@@ -0,0 +1,65 @@
+import React, { useEffect } from 'react';
+import './WalletPicker.css';
+import { WalletConnectIcon } from './ProtocolIcons';
+
+/**
+ * Modal listing the wallets found through EIP-6963 discovery.
+ */
+function WalletPicker({ providers, connecting, error, onSelect, onClose }) {
+  // Escape closes the picker
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="wallet-picker-backdrop" onClick={onClose}>
+      <div
+        className="wallet-picker card"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="wallet-picker-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="panel-header">
+          <h2 id="wallet-picker-title" className="panel-title">Connect a wallet</h2>
+          <button className="wallet-picker-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {providers.length === 0 ? (
+          <p className="wallet-picker-empty">
+            No browser wallet detected. Install MetaMask, Rabby, Coinbase Wallet or
+            another Ethereum wallet extension, then reload this page.
+          </p>
+        ) : (
+          <ul className="wallet-picker-list">
+            {providers.map(({ info }) => (
+              <li key={info.uuid}>
+                <button
+                  className="wallet-option"
+                  disabled={Boolean(connecting)}
+                  onClick={() => onSelect(info.uuid)}
+                >
+                  {info.icon
+                    ? <img src={info.icon} alt="" className="wallet-option-icon" />
+                    : <WalletConnectIcon className="wallet-option-icon" />}
+                  <span className="wallet-option-name">{info.name}</span>
+                  {connecting === info.uuid && (
+                    <span className="wallet-option-status">Check your wallet…</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <div className="wallet-picker-error">{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+export default WalletPicker;
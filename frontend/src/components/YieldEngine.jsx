@@ -1,28 +1,77 @@
 import React from 'react';
 import './YieldEngine.css';
 import { ArrowRightIcon, LoopIcon } from './ProtocolIcons';
+import EpochCountdown from './EpochCountdown';
 
-function YieldEngine({ data, demoMode }) {
-  const currentRate = (data.currentRate || 800) / 100;
-  const baseRate = 8;
-  const minRate = 1;
-  const maxRate = 25;
+// Status bands expressed as the oracle price deviation implied by the current
+// rate, so they scale with whatever sensitivity (K) is configured on-chain
+const STRONG_BOOST_DEVIATION = 15; // % below peg
+const COOLDOWN_DEVIATION = 10;     // % above peg
+
+const formatPct = (bps) => `${Number((bps / 100).toFixed(2))}%`;
+
+const formatDuration = (seconds) => {
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+  ];
+  for (const [unit, size] of units) {
+    if (seconds >= size && seconds % size === 0) {
+      const n = seconds / size;
+      return `${n} ${unit}${n === 1 ? '' : 's'}`;
+    }
+  }
+  return `${seconds} seconds`;
+};
+
+function YieldEngine({ data, demoMode, lastAdvancedAt }) {
+  // Null until loadProtocolData has read them from the vault
+  const loaded = [data.currentRate, data.baseRate, data.sensitivity, data.minRate, data.maxRate, data.epochDuration]
+    .every((value) => value != null);
+  if (!loaded) {
+    return (
+      <div className="yield-engine card" id="yield">
+        <div className="panel-header">
+          <h2 className="panel-title">Adaptive Yield Controller</h2>
+        </div>
+        <div className="yield-loading">Loading controller parameters…</div>
+      </div>
+    );
+  }
+
+  const baseRateBps = data.baseRate;
+  const sensitivityBps = data.sensitivity;
+
+  const currentRate = data.currentRate / 100;
+  const baseRate = baseRateBps / 100;
+  const minRate = data.minRate / 100;
+  const maxRate = data.maxRate / 100;
+  const sensitivity = sensitivityBps / 100;
+  const targetPrice = parseFloat(data.targetPrice || '100');
+  const targetLabel = `$${Number(targetPrice.toFixed(2))}`;
+
+  // Rate deltas that correspond to the status bands above
+  const boostThreshold = sensitivity * STRONG_BOOST_DEVIATION / 100;
+  const cooldownThreshold = sensitivity * COOLDOWN_DEVIATION / 100;
 
   // Calculate position on the rate gauge (0-100%)
-  const gaugePercent = ((currentRate - minRate) / (maxRate - minRate)) * 100;
+  const rateSpan = maxRate - minRate;
+  const toGauge = (rate) => (rateSpan > 0 ? ((rate - minRate) / rateSpan) * 100 : 0);
+  const gaugePercent = Math.min(Math.max(toGauge(currentRate), 0), 100);
 
   // Determine status color
   const getStatusColor = () => {
-    if (currentRate > baseRate + 3) return 'red'; // Aggressively boosting (price well below peg)
+    if (currentRate > baseRate + boostThreshold) return 'red'; // Aggressively boosting (price well below peg)
     if (currentRate > baseRate) return 'yellow';   // Slightly boosting
-    if (currentRate < baseRate - 2) return 'blue'; // Reducing (price above peg)
+    if (currentRate < baseRate - cooldownThreshold) return 'blue'; // Reducing (price above peg)
     return 'green'; // Normal
   };
 
   const getStatusText = () => {
-    if (currentRate > baseRate + 3) return 'Strong Boost (Below Peg)';
+    if (currentRate > baseRate + boostThreshold) return 'Strong Boost (Below Peg)';
     if (currentRate > baseRate) return 'Mild Boost (Below Peg)';
-    if (currentRate < baseRate - 2) return 'Cooldown (Above Peg)';
+    if (currentRate < baseRate - cooldownThreshold) return 'Cooldown (Above Peg)';
     return 'Peg Aligned';
   };
 
@@ -44,17 +93,24 @@ function YieldEngine({ data, demoMode }) {
         </div>
         <div className="gauge-track">
           <div className="gauge-fill" style={{ width: `${gaugePercent}%` }} />
-          <div className="gauge-marker base" style={{ left: `${((baseRate - minRate) / (maxRate - minRate)) * 100}%` }}>
+          <div className="gauge-marker base" style={{ left: `${toGauge(baseRate)}%` }}>
             <span className="marker-label">Base</span>
           </div>
         </div>
       </div>
 
+      <EpochCountdown
+        lastEpochTimestamp={data.lastEpochTimestamp}
+        epochDuration={data.epochDuration}
+        clockOffset={data.clockOffset}
+        lastAdvancedAt={lastAdvancedAt}
+      />
+
       {/* Formula */}
       <div className="formula-box">
         <div className="formula-title">Rate Control Formula</div>
         <code className="formula-code">
-          VDR = 8% + 20% × ($100 - P<sub>market</sub>) / $100
+          VDR = {formatPct(baseRateBps)} + {formatPct(sensitivityBps)} × ({targetLabel} - P<sub>market</sub>) / {targetLabel}
         </code>
       </div>
 
@@ -62,23 +118,23 @@ function YieldEngine({ data, demoMode }) {
       <div className="param-grid">
         <div className="param-item">
           <span className="param-label">Base Rate</span>
-          <span className="param-value">8.0%</span>
+          <span className="param-value">{baseRate.toFixed(1)}%</span>
         </div>
         <div className="param-item">
           <span className="param-label">Sensitivity (K)</span>
-          <span className="param-value">20%</span>
+          <span className="param-value">{formatPct(sensitivityBps)}</span>
         </div>
         <div className="param-item">
           <span className="param-label">Min Rate</span>
-          <span className="param-value">1.0%</span>
+          <span className="param-value">{minRate.toFixed(1)}%</span>
         </div>
         <div className="param-item">
           <span className="param-label">Max Rate</span>
-          <span className="param-value">25.0%</span>
+          <span className="param-value">{maxRate.toFixed(1)}%</span>
         </div>
         <div className="param-item">
           <span className="param-label">Epoch Duration</span>
-          <span className="param-value">7 days</span>
+          <span className="param-value">{formatDuration(data.epochDuration)}</span>
         </div>
         <div className="param-item">
           <span className="param-label">Epoch Count</span>
@@ -1,71 +1,139 @@
 /**
  * vSTRC Protocol — Frontend Configuration
  *
- * After deploying contracts, paste the addresses from deployment-sepolia.json
- * into the appropriate network section below.
+ * Network registry keyed by chainId. One build can serve every network that
+ * has a vault address configured; the active one is picked at runtime from
+ * the connected wallet or the network selector in the Header.
  *
- * For production, create a .env file in the frontend/ directory:
- *   VITE_NETWORK=sepolia
- *   VITE_VAULT_ADDRESS=0x...
- *   VITE_USDC_ADDRESS=0x...
+ * Addresses come from the deployment manifests in deployments/<network>.json,
+ * written by the deploy scripts. Networks without a manifest fall back to
+ * per-network env variables in frontend/.env, e.g.:
+ *   VITE_SEPOLIA_VAULT_ADDRESS=0x...
+ *   VITE_SEPOLIA_USDC_ADDRESS=0x...
+ *   VITE_SEPOLIA_STRATEGY_ADDRESS=0x...
+ *   VITE_SEPOLIA_DEPLOY_BLOCK=...   (vault deployment block — start of event history scans)
+ *   VITE_LOCALHOST_VAULT_ADDRESS=0x...
+ *
+ * The single-network variables (VITE_VAULT_ADDRESS, VITE_USDC_ADDRESS, …)
+ * still work and apply to the network named by VITE_NETWORK.
+ */
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const env = import.meta.env;
+
+// Network used when neither the wallet nor the visitor has picked one
+const DEFAULT_NETWORK = env.VITE_NETWORK || "sepolia";
+
+// VITE_<NETWORK>_<KEY>, falling back to the legacy VITE_<KEY> for DEFAULT_NETWORK
+const setting = (network, key, fallback = ZERO_ADDRESS) =>
+  env[`VITE_${network.toUpperCase()}_${key}`]
+  || (network === DEFAULT_NETWORK ? env[`VITE_${key}`] : undefined)
+  || fallback;
+
+const ETH = { name: "Ether", symbol: "ETH", decimals: 18 };
+
+// Must match MANIFEST_VERSION in scripts/lib/manifest.js
+const MANIFEST_VERSION = 1;
+
+// deployments/*.json keyed by chainId (bundled at build time)
+const MANIFESTS = {};
+for (const [file, manifest] of Object.entries(
+  import.meta.glob("../../deployments/*.json", { eager: true, import: "default" })
+)) {
+  if (manifest.version !== MANIFEST_VERSION) {
+    console.warn(`Ignoring ${file}: manifest version ${manifest.version}, expected ${MANIFEST_VERSION}`);
+    continue;
+  }
+  MANIFESTS[manifest.chainId] = manifest;
+}
+
+/**
+ * Contract, feed and deploy-block fields for one network.
+ * Precedence: `fixed` (canonical mainnet addresses) → manifest → env.
  */
+function deployment(key, chainId, fixed = {}) {
+  const manifest = MANIFESTS[chainId] || null;
+  const pick = (name, envKey) =>
+    fixed[name] || manifest?.contracts[name]?.address || setting(key, envKey);
+
+  return {
+    contracts: {
+      vault: pick("vault", "VAULT_ADDRESS"),
+      usdc: pick("usdc", "USDC_ADDRESS"),
+      strategy: pick("strategy", "STRATEGY_ADDRESS"),
+    },
+    feeds: {
+      btcUsd: pick("btcUsdFeed", "BTC_USD_FEED"),
+      usdcUsd: pick("usdcUsdFeed", "USDC_USD_FEED"),
+      vstrcUsd: pick("vstrcUsdFeed", "VSTRC_USD_FEED"),
+    },
+    // "MockStrategy" | "BTCStrategy" | null when not deployed from a manifest
+    strategyKind: manifest?.contracts.strategy?.kind || null,
+    deployBlock: manifest?.deployBlock ?? Number(setting(key, "DEPLOY_BLOCK", 0)),
+    manifest,
+  };
+}
 
-const NETWORKS = {
+export const NETWORKS = {
   // ─── Sepolia Testnet ────────────────────────────────────────
-  sepolia: {
+  11155111: {
+    key: "sepolia",
     chainId: 11155111,
     chainName: "Sepolia",
-    rpcUrl: "https://rpc.sepolia.org",
+    rpcUrl: setting("sepolia", "RPC_URL", "https://rpc.sepolia.org"),
     blockExplorer: "https://sepolia.etherscan.io",
-    contracts: {
-      vault: import.meta.env.VITE_VAULT_ADDRESS || "0x0000000000000000000000000000000000000000",
-      usdc: import.meta.env.VITE_USDC_ADDRESS || "0x0000000000000000000000000000000000000000",
-      strategy: import.meta.env.VITE_STRATEGY_ADDRESS || "0x0000000000000000000000000000000000000000",
-    },
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    // Testnet deployments use MockPriceFeed and MockStrategy
+    ...deployment("sepolia", 11155111),
   },
 
   // ─── Ethereum Mainnet ───────────────────────────────────────
-  mainnet: {
+  1: {
+    key: "mainnet",
     chainId: 1,
     chainName: "Ethereum",
-    rpcUrl: "https://eth.llamarpc.com",
+    rpcUrl: setting("mainnet", "RPC_URL", "https://eth.llamarpc.com"),
     blockExplorer: "https://etherscan.io",
-    contracts: {
-      vault: import.meta.env.VITE_VAULT_ADDRESS || "0x0000000000000000000000000000000000000000",
+    nativeCurrency: ETH,
+    ...deployment("mainnet", 1, {
       usdc: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
-      strategy: import.meta.env.VITE_STRATEGY_ADDRESS || "0x0000000000000000000000000000000000000000",
-    },
+      btcUsdFeed: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c",
+      usdcUsdFeed: "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6",
+    }),
+  },
+
+  // ─── Local Hardhat Node (npx hardhat node) ──────────────────
+  31337: {
+    key: "localhost",
+    chainId: 31337,
+    chainName: "Hardhat Local",
+    rpcUrl: setting("localhost", "RPC_URL", "http://127.0.0.1:8545"),
+    blockExplorer: null,
+    nativeCurrency: ETH,
+    // npm run deploy:localhost writes deployments/localhost.json
+    ...deployment("localhost", 31337),
   },
 };
 
-// Active network (set via VITE_NETWORK env variable, default: sepolia)
-const ACTIVE_NETWORK = import.meta.env.VITE_NETWORK || "sepolia";
+/** @returns {object|null} Registry entry for `chainId` */
+export function getNetwork(chainId) {
+  return NETWORKS[chainId] || null;
+}
 
-const config = {
-  network: NETWORKS[ACTIVE_NETWORK] || NETWORKS.sepolia,
-  activeNetwork: ACTIVE_NETWORK,
+/** A network is usable once its vault address is set */
+export function isConfigured(network) {
+  return Boolean(network) && network.contracts.vault !== ZERO_ADDRESS;
+}
 
-  // Convenience getters
-  get vaultAddress() {
-    return this.network.contracts.vault;
-  },
-  get usdcAddress() {
-    return this.network.contracts.usdc;
-  },
-  get strategyAddress() {
-    return this.network.contracts.strategy;
-  },
-  get chainId() {
-    return this.network.chainId;
-  },
-  get blockExplorer() {
-    return this.network.blockExplorer;
-  },
+export const CONFIGURED_NETWORKS = Object.values(NETWORKS).filter(isConfigured);
 
-  // Check if addresses are configured (not zero address)
-  get isConfigured() {
-    return this.vaultAddress !== "0x0000000000000000000000000000000000000000";
-  },
-};
+const byKey = Object.values(NETWORKS).find((n) => n.key === DEFAULT_NETWORK);
 
-export default config;
+// VITE_NETWORK if it is configured, else the first configured network, else
+// VITE_NETWORK anyway (the app then runs in preview mode)
+export const DEFAULT_CHAIN_ID =
+  (isConfigured(byKey) && byKey.chainId)
+  || CONFIGURED_NETWORKS[0]?.chainId
+  || byKey?.chainId
+  || 11155111;
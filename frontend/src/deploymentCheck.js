@@ -0,0 +1,41 @@
+/**
+ * vSTRC Protocol — Deployment Consistency Check
+ *
+ * The build bakes addresses in from deployments/<network>.json. If the vault
+ * has since been pointed at a new strategy (or the manifest is simply wrong),
+ * the treasury view would describe the wrong contract — so on startup we ask
+ * the vault what it is actually wired to.
+ */
+import { ZERO_ADDRESS } from './config';
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @param {ethers.Contract} vault  Read-only vSTRC contract
+ * @param {object} network  Registry entry from config.js
+ * @returns {Promise<string[]>} Mismatches, empty when the build matches the chain
+ */
+export async function verifyDeployment(vault, network) {
+  const { contracts, strategyKind, chainName } = network;
+
+  let onChainStrategy;
+  let onChainAsset;
+  try {
+    [onChainStrategy, onChainAsset] = await Promise.all([vault.strategy(), vault.asset()]);
+  } catch {
+    return [`No vSTRC vault responds at ${contracts.vault} on ${chainName}.`];
+  }
+
+  const issues = [];
+  if (contracts.strategy !== ZERO_ADDRESS && !same(onChainStrategy, contracts.strategy)) {
+    const kind = strategyKind ? ` (${strategyKind})` : '';
+    issues.push(
+      `Vault strategy is ${onChainStrategy}, but this build expects ${contracts.strategy}${kind}. ` +
+      'The deployment manifest is stale — redeploy the frontend.'
+    );
+  }
+  if (contracts.usdc !== ZERO_ADDRESS && !same(onChainAsset, contracts.usdc)) {
+    issues.push(`Vault asset is ${onChainAsset}, but this build expects ${contracts.usdc}.`);
+  }
+  return issues;
+}
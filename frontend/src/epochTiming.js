@@ -0,0 +1,47 @@
+/**
+ * vSTRC Protocol — Epoch Timing
+ *
+ * rebalanceYield() succeeds once block.timestamp >= lastEpochTimestamp + epochDuration.
+ * Because each call advances lastEpochTimestamp by exactly one epochDuration
+ * ([H-3] catch-up), a stalled keeper leaves several epochs callable back-to-back.
+ */
+
+/**
+ * @param {number|null} lastEpochTimestamp  vault.lastEpochTimestamp() (unix seconds)
+ * @param {number} epochDuration            vault.epochDuration() (seconds)
+ * @param {number} now                      Current chain time (unix seconds)
+ * @returns {{ nextEpochAt: number, secondsRemaining: number, overdue: boolean,
+ *             overdueBy: number, pendingEpochs: number } | null}
+ */
+export function getEpochTiming(lastEpochTimestamp, epochDuration, now) {
+  if (!lastEpochTimestamp || !epochDuration) return null;
+
+  const nextEpochAt = lastEpochTimestamp + epochDuration;
+  const overdue = now >= nextEpochAt;
+
+  return {
+    nextEpochAt,
+    secondsRemaining: Math.max(nextEpochAt - now, 0),
+    overdue,
+    overdueBy: overdue ? now - nextEpochAt : 0,
+    // Number of rebalanceYield() calls the keeper could make right now
+    pendingEpochs: overdue ? Math.floor((now - lastEpochTimestamp) / epochDuration) : 0,
+  };
+}
+
+/**
+ * Compact duration: "3d 04h", "5h 12m", "42m 08s".
+ * @param {number} seconds
+ */
+export function formatCountdown(seconds) {
+  const s = Math.max(Math.floor(seconds), 0);
+  const d = Math.floor(s / 86400);
+  const h = Math.floor((s % 86400) / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  if (d > 0) return `${d}d ${pad(h)}h`;
+  if (h > 0) return `${h}h ${pad(m)}m`;
+  return `${m}m ${pad(sec)}s`;
+}
@@ -0,0 +1,212 @@
+/**
+ * vSTRC Protocol — Custom Error Messages
+ *
+ * A message and suggested action for every custom error in the vSTRC and
+ * BTCStrategy ABIs; test/abi.test.js fails when a regenerated ABI adds an
+ * error without one here.
+ *
+ * Plain ESM that only depends on ethers: errors.js decodes with it and the
+ * tests load it with import().
+ */
+import { ethers } from 'ethers';
+
+// Role identifiers used by vSTRC and BTCStrategy
+export const ROLE_NAMES = {
+  [ethers.ZeroHash]: 'DEFAULT_ADMIN_ROLE',
+  [ethers.id('MANAGER_ROLE')]: 'MANAGER_ROLE',
+  [ethers.id('KEEPER_ROLE')]: 'KEEPER_ROLE',
+  [ethers.id('VAULT_ROLE')]: 'VAULT_ROLE',
+};
+
+const fmtUSD = (units) =>
+  `$${Number(ethers.formatUnits(units, 6)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const fmtShares = (units) =>
+  `${Number(ethers.formatUnits(units, 6)).toLocaleString('en-US', { maximumFractionDigits: 6 })} vSTRC`;
+// Context values are the formatted 6-decimal strings kept in App state
+const fmtCtx = (value) =>
+  `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Message builders keyed by error name.
+ * Each receives the decoded args and an optional context (protocolData).
+ */
+export const ERROR_MESSAGES = {
+  MintingPaused: () => ({
+    message: 'Minting is paused by the circuit breaker.',
+    action: 'Deposits reopen when the manager lifts the pause; redemptions may still work.',
+  }),
+  RedeemingPaused: () => ({
+    message: 'Redemptions are paused by the circuit breaker.',
+    action: 'Wait for the manager to re-enable redemptions.',
+  }),
+  DepositTooSmall: (args, ctx) => ({
+    message: ctx.minDeposit ? `Minimum deposit is ${fmtCtx(ctx.minDeposit)}.` : 'Deposit is below the vault minimum.',
+    action: 'Increase the deposit amount.',
+  }),
+  DepositTooLarge: (args, ctx) => ({
+    message: ctx.maxSingleDeposit
+      ? `Maximum single deposit is ${fmtCtx(ctx.maxSingleDeposit)}.`
+      : 'Deposit exceeds the per-transaction limit.',
+    action: 'Split the deposit into smaller transactions.',
+  }),
+  MaxDepositsExceeded: (args, ctx) => ({
+    message: ctx.maxTotalDeposits
+      ? `This deposit would take the vault over its ${fmtCtx(ctx.maxTotalDeposits)} cap.`
+      : 'This deposit would exceed the vault deposit cap.',
+    action: 'Deposit a smaller amount or wait for the cap to be raised.',
+  }),
+  EpochNotElapsed: () => ({
+    message: 'The current epoch has not finished yet.',
+    action: 'rebalanceYield() can be called once lastEpochTimestamp + epochDuration has passed.',
+  }),
+  NoStrategy: () => ({
+    message: 'The vault has no strategy configured.',
+    action: 'A manager must call setStrategy() first.',
+  }),
+  InvalidStrategy: () => ({
+    message: 'Strategy address is invalid (zero address).',
+    action: 'Provide a deployed strategy contract address.',
+  }),
+  InvalidPrice: () => ({
+    message: 'Price oracle returned a zero or negative price.',
+    action: 'Check the Chainlink / vSTRC feed before retrying.',
+  }),
+  StalePrice: () => ({
+    message: 'Price oracle is stale.',
+    action: 'Try again after the keeper updates it.',
+  }),
+  InvalidParams: () => ({
+    message: 'Parameters are outside the bounds the contract accepts.',
+    action: 'Review the values against the contract limits and resubmit.',
+  }),
+  CircuitBreakerActive: () => ({
+    message: 'The strategy circuit breaker is tripped after a sharp BTC price drop.',
+    action: 'Deposits that deploy to the strategy are blocked until the manager calls resetCircuitBreaker().',
+  }),
+  InvalidAllocation: () => ({
+    message: 'BTC and cash allocations must add up to 100% (10000 bps).',
+    action: 'Adjust the allocation split.',
+  }),
+  InsufficientCashReserve: () => ({
+    message: 'The strategy cash reserve cannot cover this amount.',
+    action: 'Use a smaller amount or rebalance BTC into cash first.',
+  }),
+  ZeroAmount: () => ({
+    message: 'Amount must be greater than zero.',
+    action: 'Enter a non-zero amount.',
+  }),
+  ZeroAddress: () => ({
+    message: 'An address parameter is the zero address.',
+    action: 'Provide a valid address.',
+  }),
+  SwapReturnDataInvalid: () => ({
+    message: 'The Uniswap swap returned unexpected data.',
+    action: 'Check the router configuration and retry.',
+  }),
+
+  ERC4626ExceededMaxDeposit: ([, assets, max]) => ({
+    message: `Deposit of ${fmtUSD(assets)} exceeds the maximum of ${fmtUSD(max)} for this receiver.`,
+    action: 'Deposit a smaller amount.',
+  }),
+  ERC4626ExceededMaxMint: ([, shares, max]) => ({
+    message: `Minting ${fmtShares(shares)} exceeds the maximum of ${fmtShares(max)}.`,
+    action: 'Mint fewer shares.',
+  }),
+  ERC4626ExceededMaxWithdraw: ([, assets, max]) => ({
+    message: `Withdrawal of ${fmtUSD(assets)} exceeds the ${fmtUSD(max)} available to this owner.`,
+    action: 'Withdraw a smaller amount.',
+  }),
+  ERC4626ExceededMaxRedeem: ([, shares, max]) => ({
+    message: `Redeeming ${fmtShares(shares)} exceeds the ${fmtShares(max)} this owner holds.`,
+    action: 'Use MAX to redeem your full balance.',
+  }),
+
+  // Raised by USDC, WBTC and vSTRC shares alike, so the amounts stay in base units
+  ERC20InsufficientBalance: ([sender, balance, needed]) => ({
+    message: `Insufficient token balance: ${sender} has ${balance} base units, needs ${needed}.`,
+    action: 'Reduce the amount or top up your wallet.',
+  }),
+  ERC20InsufficientAllowance: ([spender, allowance, needed]) => ({
+    message: `Allowance too low: ${spender} is approved for ${allowance} base units, needs ${needed}.`,
+    action: 'Approve the vault for at least this amount and retry.',
+  }),
+  ERC20InvalidSender: () => ({ message: 'Transfer from the zero address.', action: 'Check the owner address.' }),
+  ERC20InvalidReceiver: () => ({ message: 'Transfer to the zero address.', action: 'Check the receiver address.' }),
+  ERC20InvalidApprover: () => ({ message: 'Approval from the zero address.', action: 'Check the connected account.' }),
+  ERC20InvalidSpender: () => ({ message: 'Approval for the zero address.', action: 'Check the spender address.' }),
+
+  ERC2612ExpiredSignature: ([deadline]) => ({
+    message: `The permit signature expired at ${new Date(Number(deadline) * 1000).toLocaleString()}.`,
+    action: 'Sign a fresh permit and resubmit.',
+  }),
+  ERC2612InvalidSigner: () => ({
+    message: 'The permit was signed by a different account than the token owner.',
+    action: 'Sign the permit with the connected account.',
+  }),
+  InvalidAccountNonce: () => ({
+    message: 'The permit nonce is out of date.',
+    action: 'Sign a fresh permit and resubmit.',
+  }),
+
+  AccessControlUnauthorizedAccount: ([account, role]) => ({
+    message: `${account} is missing ${ROLE_NAMES[role] || role}.`,
+    action: 'Connect an account that holds this role, or ask an admin to grant it.',
+  }),
+  AccessControlBadConfirmation: () => ({
+    message: 'renounceRole() must be called by the account renouncing the role.',
+    action: 'Connect the account that holds the role.',
+  }),
+  EnforcedPause: () => ({
+    message: 'The vault is paused.',
+    action: 'All deposits and redemptions resume when the manager unpauses.',
+  }),
+  ExpectedPause: () => ({
+    message: 'The vault is not paused.',
+    action: 'No action needed.',
+  }),
+  ReentrancyGuardReentrantCall: () => ({
+    message: 'Re-entrant call blocked.',
+    action: 'Retry the transaction on its own.',
+  }),
+  SafeERC20FailedOperation: ([token]) => ({
+    message: `Token operation failed on ${token}.`,
+    action: 'Check the token balance and allowance.',
+  }),
+
+  // Reached through permit() (EIP-712 signature recovery and the domain name)
+  ECDSAInvalidSignature: () => ({
+    message: 'The permit signature is invalid.',
+    action: 'Sign a fresh permit and resubmit.',
+  }),
+  ECDSAInvalidSignatureLength: ([length]) => ({
+    message: `The permit signature is ${length} bytes long; expected 65.`,
+    action: 'Sign a fresh permit with a standard wallet and resubmit.',
+  }),
+  ECDSAInvalidSignatureS: () => ({
+    message: 'The permit signature is malleable (high s value).',
+    action: 'Sign a fresh permit with a standard wallet and resubmit.',
+  }),
+  InvalidShortString: () => ({
+    message: 'The token name is not a valid short string.',
+    action: 'Check the contract on the block explorer.',
+  }),
+  StringTooLong: ([str]) => ({
+    message: `"${str}" is too long for a short string.`,
+    action: 'Check the contract on the block explorer.',
+  }),
+};
+
+/**
+ * Message for a decoded custom error; `Name(arg, …)` when it has no builder.
+ * @param {string} name
+ * @param {Array} args
+ * @param {object} [context]
+ * @returns {{ message: string, action: string }}
+ */
+export function describeError(name, args, context = {}) {
+  if (Object.hasOwn(ERROR_MESSAGES, name)) return ERROR_MESSAGES[name](args, context);
+  return {
+    message: `Transaction reverted with ${name}(${args.map(String).join(', ')}).`,
+    action: 'Check the contract on the block explorer.',
+  };
+}
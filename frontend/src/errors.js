@@ -0,0 +1,116 @@
+/**
+ * vSTRC Protocol — Transaction Error Decoding
+ *
+ * Turns wallet/RPC failures into a specific message plus a suggested action.
+ * Decodes every custom error in vSTRC and BTCStrategy (taken from the
+ * generated ABIs, so inherited OpenZeppelin errors are included; messages in
+ * errorMessages.mjs) and the standard Error/Panic reverts.
+ */
+import { ethers } from 'ethers';
+import { vSTRC_ABI, STRATEGY_ABI } from './abi';
+import { describeError } from './errorMessages.mjs';
+
+export { ROLE_NAMES } from './errorMessages.mjs';
+
+// StalePrice, InvalidPrice, … are declared by both contracts — dedupe by name
+export const ERROR_ABI = [
+  ...new Map(
+    [...vSTRC_ABI, ...STRATEGY_ABI]
+      .filter((fragment) => fragment.type === 'error')
+      .map((fragment) => [fragment.name, fragment])
+  ).values(),
+];
+
+const errorInterface = new ethers.Interface(ERROR_ABI);
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+};
+
+/**
+ * Find revert data in the many places wallets and ethers nest it.
+ * @returns {string|null} 0x-prefixed revert data
+ */
+function findRevertData(err, depth = 0) {
+  if (!err || typeof err !== 'object' || depth > 5) return null;
+  for (const value of [err.data, err.error?.data, err.info?.error?.data]) {
+    if (typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value)) return value;
+    if (value && typeof value.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(value.data)) return value.data;
+  }
+  return findRevertData(err.error, depth + 1)
+    || findRevertData(err.info?.error, depth + 1)
+    || findRevertData(err.cause, depth + 1);
+}
+
+/**
+ * Decode a failed call or transaction.
+ * @param {unknown} err  Error thrown by ethers / the wallet
+ * @param {object} [context]  protocolData — used to quote limits (minDeposit, caps)
+ * @returns {{ name: string, message: string, action: string }}
+ */
+export function decodeError(err, context = {}) {
+  if (err?.code === 'ACTION_REJECTED' || err?.code === 4001 || err?.info?.error?.code === 4001) {
+    return { name: 'UserRejected', message: 'Transaction was rejected in the wallet.', action: 'Submit again when ready.' };
+  }
+  if (err?.code === 'INSUFFICIENT_FUNDS') {
+    return { name: 'InsufficientFunds', message: 'Not enough ETH to pay for gas.', action: 'Top up the connected account with ETH.' };
+  }
+
+  const data = findRevertData(err);
+  if (data) {
+    // Error(string) and Panic(uint256)
+    if (err?.revert?.name === 'Error' || data.startsWith('0x08c379a0')) {
+      const reason = err?.revert?.args?.[0]
+        ?? ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+      return { name: 'Error', message: reason, action: 'Check the inputs and retry.' };
+    }
+    if (data.startsWith('0x4e487b71')) {
+      const code = Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4))[0]);
+      return {
+        name: 'Panic',
+        message: `Contract panicked: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}.`,
+        action: 'The amount may be out of range for the current vault state.',
+      };
+    }
+
+    try {
+      const parsed = errorInterface.parseError(data);
+      if (parsed) {
+        return { name: parsed.name, ...describeError(parsed.name, [...parsed.args], context) };
+      }
+    } catch {
+      // Unknown selector — fall through to the generic message
+    }
+    return {
+      name: 'Unknown',
+      message: `Transaction reverted with unrecognised error ${data.slice(0, 10)}.`,
+      action: 'Check the contract on the block explorer.',
+    };
+  }
+
+  if (err?.code === 'CALL_EXCEPTION') {
+    return { name: 'Reverted', message: 'Transaction reverted without a reason.', action: 'Check the inputs and retry.' };
+  }
+  if (err?.code === 'NETWORK_ERROR' || err?.code === 'TIMEOUT') {
+    return { name: 'Network', message: 'Could not reach the network.', action: 'Check your connection and RPC endpoint.' };
+  }
+
+  return {
+    name: 'Unknown',
+    message: err?.shortMessage || err?.reason || err?.message || 'Unknown error.',
+    action: '',
+  };
+}
+
+/**
+ * One-line form for status banners: "<message> <action>"
+ */
+export function formatError(err, context) {
+  const { message, action } = decodeError(err, context);
+  return action ? `${message} ${action}` : message;
+}
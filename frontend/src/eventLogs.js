@@ -0,0 +1,84 @@
+/**
+ * vSTRC Protocol — Event Log Helpers
+ *
+ * Public RPC endpoints cap the block range of eth_getLogs, so history views
+ * page through `queryFilter` in fixed-size chunks and keep what they have
+ * already fetched in localStorage. Each reload only asks for the blocks that
+ * were mined since the last visit.
+ */
+
+// Conservative default — most public endpoints accept at least 10k blocks
+export const LOG_CHUNK_SIZE = 9000;
+
+/**
+ * Run `contract.queryFilter` over [fromBlock, toBlock] in chunks.
+ * When a provider rejects a range as too large the chunk is halved and retried.
+ * @param {ethers.Contract} contract
+ * @param {ethers.DeferredTopicFilter|string} filter  Event filter or event name
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @param {object} [options]
+ * @param {number} [options.chunkSize]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<ethers.EventLog[]>}
+ */
+export async function queryFilterChunked(contract, filter, fromBlock, toBlock, options = {}) {
+  let chunkSize = options.chunkSize || LOG_CHUNK_SIZE;
+  const total = toBlock - fromBlock + 1;
+  const logs = [];
+
+  let start = fromBlock;
+  while (start <= toBlock) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    try {
+      logs.push(...await contract.queryFilter(filter, start, end));
+      start = end + 1;
+      options.onProgress?.(start - fromBlock, total);
+    } catch (err) {
+      if (chunkSize <= 100) throw err;
+      chunkSize = Math.floor(chunkSize / 2);
+    }
+  }
+
+  return logs;
+}
+
+/**
+ * Read a cached log-derived dataset.
+ * @param {string} key
+ * @returns {{ lastBlock: number, items: object[] } | null}
+ */
+export function readLogCache(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (typeof parsed.lastBlock !== 'number' || !Array.isArray(parsed.items)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist a log-derived dataset. Values must already be JSON-safe
+ * (bigints formatted to strings by the caller).
+ * @param {string} key
+ * @param {number} lastBlock  Highest block included in `items`
+ * @param {object[]} items
+ */
+export function writeLogCache(key, lastBlock, items) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify({ lastBlock, items }));
+  } catch {
+    // Quota exceeded or storage disabled — history is simply re-fetched next time
+  }
+}
+
+/**
+ * Build a cache key scoped to chain + contract so switching networks or
+ * redeploying never mixes datasets.
+ */
+export function logCacheKey(name, chainId, address) {
+  return `vstrc:${name}:${chainId}:${address.toLowerCase()}`;
+}
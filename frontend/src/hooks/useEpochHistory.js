@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import {
+  queryFilterChunked,
+  readLogCache,
+  writeLogCache,
+  logCacheKey,
+} from '../eventLogs';
+
+/**
+ * Rebuild per-epoch records from the four events rebalanceYield() emits.
+ * YieldRebalanced carries no epoch number, so it is joined by transaction.
+ */
+function buildEpochs(rebalanced, distributed, funded, advanced) {
+  const byTx = new Map();
+  const entry = (log) => {
+    if (!byTx.has(log.transactionHash)) {
+      byTx.set(log.transactionHash, { txHash: log.transactionHash, block: log.blockNumber });
+    }
+    return byTx.get(log.transactionHash);
+  };
+
+  for (const log of rebalanced) {
+    Object.assign(entry(log), {
+      rateBps: Number(log.args.newRate),
+      marketPrice: ethers.formatUnits(log.args.marketPrice, 6),
+      targetPrice: ethers.formatUnits(log.args.targetPrice, 6),
+    });
+  }
+  for (const log of distributed) {
+    Object.assign(entry(log), {
+      epoch: Number(log.args.epoch),
+      dividend: ethers.formatUnits(log.args.amount, 6),
+    });
+  }
+  for (const log of funded) {
+    Object.assign(entry(log), {
+      epoch: Number(log.args.epoch),
+      funded: ethers.formatUnits(log.args.fundedToVault, 6),
+    });
+  }
+  for (const log of advanced) {
+    Object.assign(entry(log), {
+      epoch: Number(log.args.epoch),
+      timestamp: Number(log.args.timestamp),
+    });
+  }
+
+  return [...byTx.values()].filter((e) => e.epoch !== undefined);
+}
+
+/**
+ * Epoch history for the vault, synced from logs and cached per chain/vault.
+ * Shared by the history panel and the keeper-timing indicators, which need
+ * the timestamp of the most recent EpochAdvanced.
+ * @param {ethers.Contract|null} vault  Read-only vault contract
+ * @param {number} chainId
+ * @param {number} deployBlock  First block to scan when nothing is cached
+ * @param {number} epochCount   Re-sync trigger — changes when a new epoch lands
+ */
+export default function useEpochHistory(vault, chainId, deployBlock, epochCount) {
+  const [epochs, setEpochs] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  // Incrementally sync from the last cached block whenever a new epoch lands
+  useEffect(() => {
+    if (!vault) {
+      setEpochs([]);
+      return;
+    }
+    let cancelled = false;
+
+    const sync = async () => {
+      const address = await vault.getAddress();
+      const key = logCacheKey('epochs', chainId, address);
+      const cached = readLogCache(key);
+      // Start from this vault's cache so another network's epochs never linger
+      if (!cancelled) setEpochs(cached ? cached.items : []);
+
+      setSyncing(true);
+      setError('');
+      try {
+        const latest = await vault.runner.provider.getBlockNumber();
+        const fromBlock = cached ? cached.lastBlock + 1 : deployBlock;
+        if (fromBlock > latest) return;
+
+        const query = (name) => queryFilterChunked(vault, name, fromBlock, latest, {
+          onProgress: (done, total) => !cancelled && setProgress(Math.round(done / total * 100)),
+        });
+        // Sequential to stay within public RPC rate limits
+        const rebalanced = await query('YieldRebalanced');
+        const distributed = await query('DividendDistributed');
+        const funded = await query('DividendFunded');
+        const advanced = await query('EpochAdvanced');
+
+        const fresh = buildEpochs(rebalanced, distributed, funded, advanced);
+        const merged = [...(cached?.items || []), ...fresh]
+          .filter((e, i, all) => all.findIndex((o) => o.epoch === e.epoch) === i)
+          .sort((a, b) => a.epoch - b.epoch);
+
+        writeLogCache(key, latest, merged);
+        if (!cancelled) setEpochs(merged);
+      } catch (err) {
+        console.error('Failed to load epoch history:', err);
+        if (!cancelled) setError('Could not load epoch history from the RPC endpoint.');
+      } finally {
+        if (!cancelled) {
+          setSyncing(false);
+          setProgress(0);
+        }
+      }
+    };
+
+    sync();
+    return () => { cancelled = true; };
+  }, [vault, chainId, deployBlock, epochCount]);
+
+  return { epochs, syncing, progress, error };
+}
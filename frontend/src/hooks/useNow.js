@@ -0,0 +1,18 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Current chain time in unix seconds, re-rendering every `intervalMs`.
+ * @param {number} [clockOffset=0]  Seconds to add to the local clock so the
+ *   value tracks the latest block timestamp rather than the user's machine
+ * @param {number} [intervalMs=1000]
+ */
+export default function useNow(clockOffset = 0, intervalMs = 1000) {
+  const [localNow, setLocalNow] = useState(() => Date.now() / 1000);
+
+  useEffect(() => {
+    const timer = setInterval(() => setLocalNow(Date.now() / 1000), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return Math.floor(localNow + clockOffset);
+}
@@ -0,0 +1,122 @@
+import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import {
+  queryFilterChunked,
+  readLogCache,
+  writeLogCache,
+  logCacheKey,
+} from '../eventLogs';
+
+/**
+ * JSON-safe records for every event that involves the account.
+ */
+async function fetchAccountEvents(vault, account, fromBlock, toBlock, onProgress) {
+  const query = (filter) => queryFilterChunked(vault, filter, fromBlock, toBlock, { onProgress });
+  const { filters } = vault;
+
+  // Sequential to stay within public RPC rate limits. Deposit(sender, owner),
+  // Withdraw(sender, receiver, owner), Transfer(from, to)
+  const logs = [
+    ...await query(filters.Deposit(account)),
+    ...await query(filters.Deposit(null, account)),
+    ...await query(filters.Withdraw(null, account)),
+    ...await query(filters.Withdraw(null, null, account)),
+    ...await query(filters.Transfer(account)),
+    ...await query(filters.Transfer(null, account)),
+  ];
+
+  const seen = new Set();
+  const records = [];
+  for (const log of logs) {
+    const id = `${log.transactionHash}:${log.index}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const { args } = log;
+    const base = { kind: log.eventName, txHash: log.transactionHash, logIndex: log.index, block: log.blockNumber };
+    if (log.eventName === 'Transfer') {
+      // Mints and burns are already covered by Deposit / Withdraw
+      // (self-transfers change nothing)
+      if (args.from === ethers.ZeroAddress || args.to === ethers.ZeroAddress || args.from === args.to) continue;
+      // Price the shares at that block; non-archive RPCs leave it unpriced
+      const assets = await vault.convertToAssets(args.value, { blockTag: log.blockNumber }).catch(() => null);
+      records.push({ ...base, from: args.from, to: args.to, shares: args.value.toString(), assets: assets?.toString() ?? null });
+    } else {
+      records.push({
+        ...base,
+        sender: args.sender,
+        owner: args.owner,
+        receiver: log.eventName === 'Withdraw' ? args.receiver : args.owner,
+        assets: args.assets.toString(),
+        shares: args.shares.toString(),
+      });
+    }
+  }
+
+  const blocks = [...new Set(records.map((r) => r.block))];
+  const timestamps = new Map();
+  for (const block of blocks) {
+    timestamps.set(block, (await vault.runner.provider.getBlock(block)).timestamp);
+  }
+  return records.map((r) => ({ ...r, timestamp: timestamps.get(r.block) }));
+}
+
+/**
+ * The account's vault events, synced from logs and cached per chain/vault/account.
+ * @param {ethers.Contract|null} vault  Read-only vault contract
+ * @param {string|null} account
+ * @param {number} chainId
+ * @param {number} deployBlock  First block to scan when nothing is cached
+ * @param {string} refreshKey   Re-sync trigger — changes when the balance does
+ */
+export default function usePortfolio(vault, account, chainId, deployBlock, refreshKey) {
+  const [records, setRecords] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!vault || !account) {
+      setRecords([]);
+      return;
+    }
+    let cancelled = false;
+
+    const sync = async () => {
+      const address = await vault.getAddress();
+      const key = logCacheKey(`portfolio:${account.toLowerCase()}`, chainId, address);
+      const cached = readLogCache(key);
+      if (!cancelled) setRecords(cached ? cached.items : []);
+
+      setSyncing(true);
+      setError('');
+      try {
+        const latest = await vault.runner.provider.getBlockNumber();
+        const fromBlock = cached ? cached.lastBlock + 1 : deployBlock;
+        if (fromBlock > latest) return;
+
+        const fresh = await fetchAccountEvents(vault, account, fromBlock, latest, (done, total) => {
+          if (!cancelled) setProgress(Math.round(done / total * 100));
+        });
+        const merged = [...(cached?.items || []), ...fresh]
+          .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+
+        writeLogCache(key, latest, merged);
+        if (!cancelled) setRecords(merged);
+      } catch (err) {
+        console.error('Failed to load portfolio history:', err);
+        if (!cancelled) setError('Could not load your transaction history from the RPC endpoint.');
+      } finally {
+        if (!cancelled) {
+          setSyncing(false);
+          setProgress(0);
+        }
+      }
+    };
+
+    sync();
+    return () => { cancelled = true; };
+  }, [vault, account, chainId, deployBlock, refreshKey]);
+
+  return { records, syncing, progress, error };
+}
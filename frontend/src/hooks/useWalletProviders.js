@@ -0,0 +1,47 @@
+import { useState, useEffect, useMemo } from 'react';
+
+// Stand-in for wallets that only inject window.ethereum (no EIP-6963 support)
+export const LEGACY_RDNS = 'injected';
+
+function legacyProvider() {
+  if (typeof window === 'undefined' || !window.ethereum) return null;
+  return {
+    info: { uuid: LEGACY_RDNS, name: 'Browser Wallet', icon: null, rdns: LEGACY_RDNS },
+    provider: window.ethereum,
+  };
+}
+
+/**
+ * Installed wallets discovered through EIP-6963.
+ *
+ * Each extension answers `eip6963:requestProvider` with its own
+ * `eip6963:announceProvider` event, so wallets no longer race to own
+ * window.ethereum. Extensions that load late announce themselves when they
+ * do. Falls back to window.ethereum when nothing announces.
+ *
+ * @returns {Array<{ info: { uuid, name, icon, rdns }, provider: object }>}
+ *   EIP6963ProviderDetail objects, in announcement order
+ */
+export default function useWalletProviders() {
+  const [announced, setAnnounced] = useState([]);
+  const [legacy] = useState(legacyProvider);
+
+  useEffect(() => {
+    const onAnnounce = (event) => {
+      const detail = event.detail;
+      if (!detail?.info?.uuid || !detail.provider) return;
+      setAnnounced((prev) =>
+        prev.some((p) => p.info.uuid === detail.info.uuid) ? prev : [...prev, detail]
+      );
+    };
+
+    window.addEventListener('eip6963:announceProvider', onAnnounce);
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+    return () => window.removeEventListener('eip6963:announceProvider', onAnnounce);
+  }, []);
+
+  return useMemo(() => {
+    if (announced.length > 0) return announced;
+    return legacy ? [legacy] : [];
+  }, [announced, legacy]);
+}
@@ -0,0 +1,82 @@
+/**
+ * vSTRC Protocol — EIP-2612 Permit Helpers
+ *
+ * Lets the deposit flow replace `approve` + `deposit` with one signed permit
+ * and a single `depositWithPermit` transaction when the asset supports it.
+ */
+import { ethers } from 'ethers';
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// How long a signed permit stays valid
+export const PERMIT_TTL_SECONDS = 20 * 60;
+
+/**
+ * Detect EIP-2612 support and rebuild the token's EIP-712 domain.
+ * The domain is only trusted if it hashes to the token's own
+ * DOMAIN_SEPARATOR, so a token with a non-standard version string falls
+ * back to approve instead of producing a signature that would not verify.
+ * @param {ethers.Contract} token  ERC20_ABI contract
+ * @param {string} owner
+ * @param {bigint|number} chainId
+ * @returns {Promise<ethers.TypedDataDomain|null>}
+ */
+export async function getPermitDomain(token, owner, chainId) {
+  try {
+    const [name, separator, verifyingContract] = await Promise.all([
+      token.name(),
+      token.DOMAIN_SEPARATOR(),
+      token.getAddress(),
+      token.nonces(owner),
+    ]);
+    // version() is optional (OZ ERC20Permit and USDC expose it; others assume "1")
+    const version = await token.version().catch(() => '1');
+    const domain = { name, version, chainId, verifyingContract };
+    return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign a permit for `spender` to pull `value` from the signer.
+ * @returns {Promise<{ deadline: bigint, v: number, r: string, s: string }>}
+ */
+export async function signPermit(signer, token, domain, spender, value) {
+  const owner = await signer.getAddress();
+  const nonce = await token.nonces(owner);
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS);
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline,
+  });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+/**
+ * Whether a deployed (non-proxy) contract's bytecode contains the selector
+ * for `name` — used to skip the permit path on vaults deployed before
+ * depositWithPermit existed.
+ * @param {ethers.Contract} contract
+ * @param {string} name
+ */
+export async function hasFunction(contract, name) {
+  try {
+    const code = await contract.runner.provider.getCode(await contract.getAddress());
+    return code.includes(contract.interface.getFunction(name).selector.slice(2));
+  } catch {
+    return false;
+  }
+}
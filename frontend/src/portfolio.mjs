@@ -0,0 +1,185 @@
+/**
+ * vSTRC Protocol — Portfolio Accounting
+ *
+ * Rebuilds one account's position from its ERC-4626 Deposit / Withdraw events
+ * and vSTRC share transfers. Cost basis uses the average-cost method: shares
+ * that leave take a proportional slice of the basis with them, and realized
+ * gain is the USDC received minus that slice.
+ *
+ * Every event prices the share at the moment it happened (assets / shares),
+ * so the time-weighted return is the product of share-price growth over the
+ * intervals the account held shares — independent of deposit timing.
+ *
+ * Plain ESM with no imports, so test/portfolio.test.js loads it with import().
+ */
+
+const PRICE_SCALE = 10n ** 18n;
+const YEAR = 365 * 24 * 60 * 60;
+
+const same = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * How an event touches the account's position.
+ * @returns {'in'|'out'|'transfer-in'|'transfer-out'|'paid'|'received'}
+ *   paid / received: the account paid for someone else's deposit, or received
+ *   USDC from someone else's shares — listed, but the position is unchanged
+ */
+export function classifyEvent(record, account) {
+  if (record.kind === 'Deposit') return same(record.owner, account) ? 'in' : 'paid';
+  if (record.kind === 'Withdraw') return same(record.owner, account) ? 'out' : 'received';
+  return same(record.to, account) ? 'transfer-in' : 'transfer-out';
+}
+
+function priceOf(assets, shares) {
+  return shares > 0n ? (assets * PRICE_SCALE) / shares : null;
+}
+
+/**
+ * @param {Array<object>} records  Normalised events in chain order; amounts as
+ *   decimal strings of raw units. Transfers carry `assets` when the share
+ *   price at that block could be read, otherwise null.
+ * @param {object} opts
+ * @param {string} opts.account
+ * @param {bigint} opts.shares  Current vSTRC balance
+ * @param {bigint} opts.value   convertToAssets(shares)
+ * @param {number} opts.now     Chain time (unix seconds)
+ */
+export function buildPortfolio(records, { account, shares: currentShares, value: currentValue, now }) {
+  let shares = 0n;
+  let cost = 0n;
+  let realized = 0n;
+  let deposited = 0n;
+  let withdrawn = 0n;
+  let growth = 1;
+  let lastPrice = null;
+  let approximate = false;
+  let openedAt = null;
+
+  // Piecewise-constant share balance, for rate attribution
+  const timeline = [];
+  const rows = [];
+
+  for (const record of records) {
+    const type = classifyEvent(record, account);
+    const recordShares = BigInt(record.shares);
+    let assets = record.assets === null ? null : BigInt(record.assets);
+
+    if (type === 'paid' || type === 'received') {
+      rows.push({ ...record, type, assets });
+      continue;
+    }
+
+    if (assets === null) {
+      // Unpriced transfer: carry it at the last price seen
+      approximate = true;
+      assets = lastPrice !== null ? (recordShares * lastPrice) / PRICE_SCALE : 0n;
+    }
+
+    const price = priceOf(assets, recordShares);
+    if (shares > 0n && lastPrice !== null && price !== null) growth *= Number(price) / Number(lastPrice);
+    if (price !== null) lastPrice = price;
+
+    let gain = null;
+    if (type === 'in' || type === 'transfer-in') {
+      if (shares === 0n) openedAt = record.timestamp;
+      shares += recordShares;
+      cost += assets;
+      if (type === 'in') deposited += assets;
+    } else {
+      const slice = shares > 0n ? (cost * (recordShares > shares ? shares : recordShares)) / shares : 0n;
+      shares = recordShares > shares ? 0n : shares - recordShares;
+      cost -= slice;
+      // A closed position reopens with a fresh holding period
+      if (shares === 0n) openedAt = null;
+      if (type === 'out') {
+        gain = assets - slice;
+        realized += gain;
+        withdrawn += assets;
+      }
+    }
+
+    timeline.push({ timestamp: record.timestamp, shares });
+    rows.push({ ...record, type, assets, gain });
+  }
+
+  const currentPrice = priceOf(currentValue, currentShares);
+  if (shares > 0n && lastPrice !== null && currentPrice !== null) {
+    growth *= Number(currentPrice) / Number(lastPrice);
+  }
+
+  const unrealized = currentValue - cost;
+  const twr = growth - 1;
+  const held = openedAt !== null ? now - openedAt : 0;
+
+  return {
+    shares,
+    // Replayed balance differs when events are missing (e.g. a scan that
+    // started after the account's first deposit)
+    reconciled: shares === currentShares,
+    approximate,
+    costBasis: cost,
+    currentValue,
+    deposited,
+    withdrawn,
+    realized,
+    unrealized,
+    totalGain: realized + unrealized,
+    twr,
+    // Annualising a few days of returns is noise
+    annualizedTwr: held >= 7 * 24 * 60 * 60 ? Math.pow(1 + twr, YEAR / held) - 1 : null,
+    timeline,
+    rows,
+  };
+}
+
+// Integral of the share balance over [start, end), in share-seconds
+function shareSeconds(timeline, start, end) {
+  let total = 0;
+  for (let i = 0; i < timeline.length; i++) {
+    const from = Math.max(timeline[i].timestamp, start);
+    const to = Math.min(timeline[i + 1]?.timestamp ?? Infinity, end);
+    if (to > from) total += Number(timeline[i].shares) * (to - from);
+  }
+  return total;
+}
+
+/**
+ * Split a gain across epochs in proportion to shares held × time × the rate
+ * each epoch set. This is an estimate — the vault's real growth comes from BTC
+ * and Aave, with the rate steering the dividend target — but it answers "how
+ * much of my gain came while the controller was boosting yield".
+ * @param {object} portfolio  buildPortfolio() output
+ * @param {Array<{ timestamp: number, rateBps: number }>} epochs  Ascending
+ * @param {number} baseRateBps
+ * @param {number} now
+ * @returns {{ boostedGain: bigint, boostPremium: bigint, boostedEpochs: number } | null}
+ */
+export function attributeBoostedGain(portfolio, epochs, baseRateBps, now) {
+  const { timeline, totalGain } = portfolio;
+  if (timeline.length === 0 || epochs.length === 0 || totalGain <= 0n) return null;
+
+  // Before the first rebalance the vault runs at its base rate
+  const periods = [
+    { start: timeline[0].timestamp, end: epochs[0].timestamp, rateBps: baseRateBps },
+    ...epochs.map((e, i) => ({ start: e.timestamp, end: epochs[i + 1]?.timestamp ?? now, rateBps: e.rateBps })),
+  ];
+
+  let weighted = 0;
+  let boosted = 0;
+  let premium = 0;
+  let boostedEpochs = 0;
+  for (const period of periods) {
+    const exposure = shareSeconds(timeline, period.start, period.end);
+    if (exposure === 0) continue;
+    weighted += exposure * period.rateBps;
+    if (period.rateBps > baseRateBps) {
+      boosted += exposure * period.rateBps;
+      premium += exposure * (period.rateBps - baseRateBps);
+      boostedEpochs += 1;
+    }
+  }
+  if (weighted === 0) return null;
+
+  const share = (part) => (totalGain * BigInt(Math.round((part / weighted) * 1e6))) / 1_000_000n;
+  return { boostedGain: share(boosted), boostPremium: share(premium), boostedEpochs };
+}
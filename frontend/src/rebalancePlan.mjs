@@ -0,0 +1,218 @@
+/**
+ * vSTRC Protocol — rebalanceYield() Dry Run
+ *
+ * Reads the state rebalanceYield() depends on and replays its branch logic,
+ * so a keeper can see the new rate, the epoch dividend and the strategy calls
+ * before sending. Mirrors vSTRC.sol and SelfTuningMath.sol; a staticCall of
+ * the real function remains the authority on whether it succeeds.
+ *
+ * Plain ESM that only depends on ethers: the frontend Keeper Console imports
+ * it directly and the Hardhat task in tasks/keeper.js loads it with import().
+ */
+import { ethers } from 'ethers';
+
+const BPS = 10000n;
+const YEAR = 365n * 24n * 60n * 60n;
+
+// vSTRC.VSTRC_ORACLE_STALENESS
+export const ORACLE_STALENESS = 3600n;
+
+const ORACLE_ABI = [
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+const STRATEGY_ABI = [
+  'function cashReserveValue() view returns (uint256)',
+  'function totalCashDeployed() view returns (uint256)',
+];
+const BALANCE_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+/** SelfTuningMath.calculateVariableRate, in bigint */
+export function calculateVariableRate(targetPrice, marketPrice, baseRateBps, sensitivityBps, minRateBps, maxRateBps) {
+  if (targetPrice === 0n) return baseRateBps;
+
+  let rateBps;
+  if (marketPrice <= targetPrice) {
+    const deviation = ((targetPrice - marketPrice) * BPS) / targetPrice;
+    rateBps = baseRateBps + (sensitivityBps * deviation) / BPS;
+  } else {
+    const deviation = ((marketPrice - targetPrice) * BPS) / targetPrice;
+    const adjustment = (sensitivityBps * deviation) / BPS;
+    rateBps = adjustment >= baseRateBps ? minRateBps : baseRateBps - adjustment;
+  }
+
+  if (rateBps < minRateBps) rateBps = minRateBps;
+  if (rateBps > maxRateBps) rateBps = maxRateBps;
+  return rateBps;
+}
+
+/** SelfTuningMath.calculateEpochDividend, in bigint */
+export function calculateEpochDividend(totalAssets, rateBps, epochDuration) {
+  return (totalAssets * rateBps * epochDuration) / (BPS * YEAR);
+}
+
+/**
+ * Everything projectRebalance() needs, read at the latest block.
+ * @param {ethers.Contract} vault  Any runner with a provider; the vault ABI must
+ *   include the parameter getters (the generated vSTRC ABI does)
+ */
+export async function readRebalanceInputs(vault) {
+  const runner = vault.runner;
+  const provider = runner?.provider ?? runner;
+  const vaultAddress = await vault.getAddress();
+
+  const [
+    block, lastEpochTimestamp, epochDuration, targetPrice, baseRateBps, sensitivityBps,
+    minRateBps, maxRateBps, currentRateBps, totalAssets, totalSupply, epochCount,
+    strategyAddress, oracleAddress, asset,
+  ] = await Promise.all([
+    provider.getBlock('latest'),
+    vault.lastEpochTimestamp(),
+    vault.epochDuration(),
+    vault.targetPrice(),
+    vault.baseRateBps(),
+    vault.sensitivityBps(),
+    vault.minRateBps(),
+    vault.maxRateBps(),
+    vault.currentRateBps(),
+    vault.totalAssets(),
+    vault.totalSupply(),
+    vault.epochCount(),
+    vault.strategy(),
+    vault.vSTRCPriceOracle(),
+    vault.asset(),
+  ]);
+
+  let oracle = null;
+  if (oracleAddress !== ethers.ZeroAddress) {
+    const [, answer, , updatedAt] = await new ethers.Contract(oracleAddress, ORACLE_ABI, runner).latestRoundData();
+    oracle = { address: oracleAddress, answer, updatedAt };
+  }
+
+  let strategy = null;
+  if (strategyAddress !== ethers.ZeroAddress) {
+    const contract = new ethers.Contract(strategyAddress, STRATEGY_ABI, runner);
+    const cashReserve = await contract.cashReserveValue();
+    // BTCStrategy only; other IStrategy implementations harvest differently
+    const cashDeployed = await contract.totalCashDeployed().catch(() => null);
+    strategy = { address: strategyAddress, cashReserve, cashDeployed };
+  }
+
+  const vaultBalance = await new ethers.Contract(asset, BALANCE_ABI, runner).balanceOf(vaultAddress);
+
+  return {
+    now: BigInt(block.timestamp),
+    blockNumber: block.number,
+    lastEpochTimestamp,
+    epochDuration,
+    epochCount,
+    targetPrice,
+    baseRateBps,
+    sensitivityBps,
+    minRateBps,
+    maxRateBps,
+    currentRateBps,
+    totalAssets,
+    totalSupply,
+    vaultBalance,
+    oracle,
+    strategy,
+  };
+}
+
+/**
+ * Replay rebalanceYield() against readRebalanceInputs() output.
+ *
+ * `blockers` lists the reverts the call would hit, in the order the contract
+ * checks them (only the first one actually fires). `steps` are the strategy
+ * calls the vault makes, with their arguments, in order.
+ *
+ * Harvest amounts are exact for BTCStrategy (aUSDC balance above
+ * totalCashDeployed); for other strategies `harvested` is null and the
+ * BTC sale assumes nothing was harvested.
+ */
+export function projectRebalance(inputs) {
+  const {
+    now, lastEpochTimestamp, epochDuration, targetPrice, totalAssets, totalSupply,
+    vaultBalance, oracle, strategy,
+  } = inputs;
+
+  const blockers = [];
+  const nextEpochAt = lastEpochTimestamp + epochDuration;
+  if (now < nextEpochAt) blockers.push('EpochNotElapsed');
+
+  // _getVSTRCPrice()
+  let marketPrice;
+  let priceSource;
+  if (oracle) {
+    priceSource = 'oracle';
+    marketPrice = oracle.answer > 0n ? oracle.answer : 0n;
+    if (oracle.answer <= 0n) blockers.push('InvalidPrice');
+    else if (now - oracle.updatedAt > ORACLE_STALENESS) blockers.push('StalePrice');
+  } else if (totalSupply === 0n) {
+    priceSource = 'target';
+    marketPrice = targetPrice;
+  } else {
+    priceSource = 'nav';
+    marketPrice = (totalAssets * 1_000_000n) / totalSupply;
+  }
+
+  const newRateBps = calculateVariableRate(
+    targetPrice,
+    marketPrice,
+    inputs.baseRateBps,
+    inputs.sensitivityBps,
+    inputs.minRateBps,
+    inputs.maxRateBps
+  );
+  const epochDividend = calculateEpochDividend(totalAssets, newRateBps, epochDuration);
+  const direction = marketPrice < targetPrice ? 'below' : marketPrice > targetPrice ? 'above' : 'peg';
+
+  const steps = [];
+  let harvested = null;
+  let btcToSell = 0n;
+  let fundedToVault = 0n;
+  let deployedToStrategy = 0n;
+
+  if (strategy) {
+    const { cashReserve, cashDeployed } = strategy;
+    if (cashDeployed !== null) {
+      harvested = cashReserve > cashDeployed ? cashReserve - cashDeployed : 0n;
+    }
+    steps.push({ method: 'harvestYield', args: [] });
+
+    if (direction === 'below' && epochDividend > 0n) {
+      const cashAvailable = cashReserve - (harvested ?? 0n);
+      if (epochDividend > cashAvailable) {
+        btcToSell = epochDividend - cashAvailable;
+        steps.push({ method: 'rebalance', args: [true, btcToSell] });
+      }
+      fundedToVault = epochDividend;
+      steps.push({ method: 'withdraw', args: [epochDividend] });
+    } else if (direction === 'above') {
+      deployedToStrategy = vaultBalance + (harvested ?? 0n);
+      if (deployedToStrategy > 0n) steps.push({ method: 'deploy', args: [deployedToStrategy] });
+    }
+  }
+
+  return {
+    blockers,
+    nextEpochAt,
+    // Epochs callable back-to-back right now ([H-3] catch-up)
+    pendingEpochs: now >= nextEpochAt && epochDuration > 0n ? (now - lastEpochTimestamp) / epochDuration : 0n,
+    marketPrice,
+    priceSource,
+    oracleAge: oracle ? now - oracle.updatedAt : null,
+    currentRateBps: inputs.currentRateBps,
+    newRateBps,
+    epochDividend,
+    direction,
+    steps,
+    harvested,
+    sellsBtc: btcToSell > 0n,
+    btcToSell,
+    fundedToVault,
+    // Harvest and dividend funding both land in the vault as liquid USDC
+    usdcToVault: (harvested ?? 0n) + fundedToVault,
+    deployedToStrategy,
+  };
+}
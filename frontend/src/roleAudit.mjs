@@ -0,0 +1,184 @@
+/**
+ * vSTRC Protocol — Role Audit
+ *
+ * vSTRC and BTCStrategy use plain (non-enumerable) AccessControl, so current
+ * role holders can only be rebuilt by replaying RoleGranted / RoleRevoked /
+ * RoleAdminChanged logs from deployment onwards. auditRoles() then flags
+ * setups that concentrate or orphan privileges.
+ *
+ * Plain ESM that only depends on ethers: the frontend Role Audit panel
+ * imports it directly and the Hardhat task in tasks/roles.js loads it with
+ * import().
+ */
+import { ethers } from 'ethers';
+
+export const ROLE_EVENTS = ['RoleGranted', 'RoleRevoked', 'RoleAdminChanged'];
+
+export const ROLE_IDS = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  MANAGER_ROLE: ethers.id('MANAGER_ROLE'),
+  KEEPER_ROLE: ethers.id('KEEPER_ROLE'),
+  VAULT_ROLE: ethers.id('VAULT_ROLE'),
+};
+
+const ROLE_NAMES = Object.fromEntries(Object.entries(ROLE_IDS).map(([name, id]) => [id, name]));
+
+export const roleName = (id) => ROLE_NAMES[id] || id;
+
+// Roles each contract declares; an empty one is reported
+const EXPECTED_ROLES = {
+  vSTRC: ['DEFAULT_ADMIN_ROLE', 'MANAGER_ROLE', 'KEEPER_ROLE'],
+  BTCStrategy: ['DEFAULT_ADMIN_ROLE', 'MANAGER_ROLE', 'VAULT_ROLE'],
+};
+
+// What breaks when nobody holds the role
+const EMPTY_ROLE_IMPACT = {
+  DEFAULT_ADMIN_ROLE: 'no role can be granted or revoked any more',
+  MANAGER_ROLE: 'parameters, pausing and emergency actions are unavailable',
+  KEEPER_ROLE: 'rebalanceYield() cannot be called and epochs stall',
+  VAULT_ROLE: 'the vault cannot deploy to or withdraw from the strategy',
+};
+
+/**
+ * JSON-safe record of one AccessControl log, suitable for caching.
+ * @param {ethers.EventLog} log
+ */
+export function roleEventRecord(log) {
+  const { args } = log;
+  const record = {
+    event: log.eventName,
+    role: args.role,
+    block: log.blockNumber,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+  };
+  if (log.eventName === 'RoleAdminChanged') {
+    record.previousAdminRole = args.previousAdminRole;
+    record.newAdminRole = args.newAdminRole;
+  } else {
+    record.account = ethers.getAddress(args.account);
+    record.sender = ethers.getAddress(args.sender);
+  }
+  return record;
+}
+
+/** Records in chain order, without duplicates from overlapping fetches */
+export function sortRoleEvents(records) {
+  const seen = new Set();
+  return records
+    .filter((r) => {
+      const id = `${r.txHash}:${r.logIndex}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+}
+
+/**
+ * Current holders and per-role history from sorted records.
+ * @returns {Object<string, { role: string, name: string, admin: string,
+ *   holders: Array<{ account: string, since: number, grantedBy: string }>,
+ *   history: object[] }>}  Keyed by role id
+ */
+export function replayRoleEvents(records) {
+  const roles = {};
+  const roleState = (id) => {
+    if (!roles[id]) {
+      roles[id] = { role: id, name: roleName(id), admin: ethers.ZeroHash, members: new Map(), history: [] };
+    }
+    return roles[id];
+  };
+
+  for (const record of records) {
+    const state = roleState(record.role);
+    state.history.push(record);
+    if (record.event === 'RoleGranted') {
+      state.members.set(record.account, { account: record.account, since: record.block, grantedBy: record.sender });
+    } else if (record.event === 'RoleRevoked') {
+      state.members.delete(record.account);
+    } else if (record.event === 'RoleAdminChanged') {
+      state.admin = record.newAdminRole;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(roles).map(([id, { members, ...rest }]) => [
+    id,
+    { ...rest, holders: [...members.values()] },
+  ]));
+}
+
+/**
+ * Whether each address has code — admin roles on an EOA are flagged.
+ * @returns {Promise<Object<string, boolean>>}
+ */
+export async function loadAccountKinds(provider, accounts) {
+  const unique = [...new Set(accounts)];
+  const codes = await Promise.all(unique.map((account) => provider.getCode(account)));
+  return Object.fromEntries(unique.map((account, i) => [account, codes[i] !== '0x']));
+}
+
+/**
+ * @param {Array<{ name: 'vSTRC'|'BTCStrategy', address: string, roles: object }>} contracts
+ *   replayRoleEvents() output per contract
+ * @param {object} [opts]
+ * @param {Object<string, boolean>} [opts.isContract]  loadAccountKinds() output
+ * @param {string} [opts.vault]  Address that should be the strategy's only VAULT_ROLE holder
+ * @returns {Array<{ level: 'error'|'warn', contract: string, message: string }>}
+ */
+export function auditRoles(contracts, { isContract = {}, vault } = {}) {
+  const issues = [];
+  const holdersOf = (roles, name) => roles[ROLE_IDS[name]]?.holders.map((h) => h.account) || [];
+
+  for (const { name, roles } of contracts) {
+    const flag = (level, message) => issues.push({ level, contract: name, message });
+
+    for (const role of EXPECTED_ROLES[name] || []) {
+      if (holdersOf(roles, role).length === 0) flag('warn', `Nobody holds ${role}: ${EMPTY_ROLE_IMPACT[role]}.`);
+    }
+
+    // The vSTRC constructor grants admin, manager and keeper to one address
+    const privileged = ['DEFAULT_ADMIN_ROLE', 'MANAGER_ROLE', 'KEEPER_ROLE'];
+    const byAccount = new Map();
+    for (const role of privileged) {
+      for (const account of holdersOf(roles, role)) {
+        byAccount.set(account, [...(byAccount.get(account) || []), role]);
+      }
+    }
+    for (const [account, held] of byAccount) {
+      if (held.length === privileged.length) {
+        flag('error', `${account} holds DEFAULT_ADMIN_ROLE, MANAGER_ROLE and KEEPER_ROLE — the constructor default. Move keeping to a bot and admin to a multisig.`);
+      } else if (held.includes('KEEPER_ROLE') && held.length > 1) {
+        // Keeper keys live on automation hosts
+        flag('warn', `${account} holds ${held.join(' and ')}; a keeper key should hold nothing else.`);
+      }
+    }
+
+    for (const account of holdersOf(roles, 'DEFAULT_ADMIN_ROLE')) {
+      if (isContract[account] === false) {
+        flag('warn', `DEFAULT_ADMIN_ROLE is held by an externally owned account (${account}); use a multisig.`);
+      }
+    }
+    for (const account of holdersOf(roles, 'MANAGER_ROLE')) {
+      if (isContract[account] === false) {
+        flag('warn', `MANAGER_ROLE is held by an externally owned account (${account}).`);
+      }
+    }
+
+    if (name === 'BTCStrategy' && vault) {
+      for (const account of holdersOf(roles, 'VAULT_ROLE')) {
+        if (account.toLowerCase() !== vault.toLowerCase()) {
+          flag('error', `VAULT_ROLE is held by ${account}, which is not the vault — it can withdraw and rebalance strategy funds.`);
+        }
+      }
+    }
+
+    for (const state of Object.values(roles)) {
+      if (state.admin !== ethers.ZeroHash) {
+        flag('warn', `${state.name} is administered by ${roleName(state.admin)} instead of DEFAULT_ADMIN_ROLE.`);
+      }
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,195 @@
+/**
+ * vSTRC Protocol — Safe Transaction Builder Batches
+ *
+ * Builds and decodes the JSON batch format the Safe{Wallet} Transaction
+ * Builder app imports, so admin calls can be composed without holding the
+ * role and signed by the multisig that does.
+ *
+ * Plain ESM that only depends on ethers: the frontend imports it directly
+ * and the Hardhat tasks in tasks/safe.js load it with import().
+ */
+import { ethers } from 'ethers';
+
+export const SAFE_BATCH_VERSION = '1.0';
+export const TX_BUILDER_VERSION = '1.16.5';
+
+// contractInputsValues holds strings; tuples and arrays as JSON
+function stringifyArg(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (Array.isArray(value)) {
+    return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  }
+  return String(value);
+}
+
+/**
+ * One batch entry with both the ABI-encoded calldata and the method/inputs
+ * the Transaction Builder shows for review.
+ * @param {object} call
+ * @param {string} call.to
+ * @param {ethers.Interface|Array} call.abi
+ * @param {string} call.method  Name or full signature
+ * @param {Array} [call.args]
+ * @param {bigint|string} [call.value]
+ */
+export function encodeSafeTransaction({ to, abi, method, args = [], value = 0n }) {
+  const iface = ethers.Interface.from(abi);
+  const fragment = iface.getFunction(method);
+  if (!fragment) throw new Error(`Unknown method ${method}`);
+
+  return {
+    to: ethers.getAddress(to),
+    value: BigInt(value).toString(),
+    data: iface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      name: fragment.name,
+      payable: fragment.payable,
+      inputs: fragment.inputs.map((input) => ({
+        name: input.name,
+        type: input.type,
+        internalType: input.type,
+      })),
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map((input, i) => [input.name, stringifyArg(args[i])])
+    ),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {bigint|number|string} opts.chainId
+ * @param {Array} opts.calls  encodeSafeTransaction() arguments, in execution order
+ * @param {string} [opts.safeAddress]  Recorded in meta; the importing Safe signs regardless
+ * @param {string} [opts.name]
+ * @param {string} [opts.description]
+ */
+export function buildSafeBatch({ chainId, calls, safeAddress = '', name = 'vSTRC admin batch', description = '' }) {
+  if (calls.length === 0) throw new Error('A Safe batch needs at least one call');
+  return {
+    version: SAFE_BATCH_VERSION,
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress ? ethers.getAddress(safeAddress) : '',
+      createdFromOwnerAddress: '',
+    },
+    transactions: calls.map(encodeSafeTransaction),
+  };
+}
+
+// Batches from the Transaction Builder UI may carry only contractMethod and
+// contractInputsValues (data: null) — rebuild the calldata from those
+function calldataFromMethod(tx) {
+  const { contractMethod: method, contractInputsValues: values = {} } = tx;
+  const fragment = ethers.FunctionFragment.from({
+    type: 'function',
+    name: method.name,
+    inputs: method.inputs,
+    stateMutability: method.payable ? 'payable' : 'nonpayable',
+  });
+  const args = method.inputs.map((input) => {
+    const raw = values[input.name];
+    if (input.type.endsWith(']') || input.type.startsWith('tuple')) return JSON.parse(raw);
+    // ethers treats any non-empty string as true
+    if (input.type === 'bool') return raw === 'true';
+    return raw;
+  });
+  return new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+}
+
+function formatDecodedArg(input, value, roleNames) {
+  if (input.type === 'bytes32' && roleNames[value]) return roleNames[value];
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return JSON.stringify(value.toArray?.() ?? value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  return String(value);
+}
+
+function tryParse(iface, data, value) {
+  try {
+    return iface.parseTransaction({ data, value });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a batch back into readable calls for review.
+ * @param {object|string} batch  Parsed or raw JSON
+ * @param {object} opts
+ * @param {Array<{ name: string, address: string, abi: Array|ethers.Interface }>} opts.contracts
+ *   Known targets; calls to any other address are decoded against every ABI
+ * @param {bigint|number} [opts.chainId]  Expected chain — a mismatch is reported
+ * @param {object} [opts.roleNames]  bytes32 → role name, for AccessControl arguments
+ * @returns {{ chainId: string, name: string, warnings: string[], calls: Array }}
+ */
+export function decodeSafeBatch(batch, { contracts, chainId, roleNames = {} }) {
+  const parsed = typeof batch === 'string' ? JSON.parse(batch) : batch;
+  if (!Array.isArray(parsed?.transactions)) {
+    throw new Error('Not a Safe Transaction Builder batch (no transactions array)');
+  }
+
+  const known = contracts.map((c) => ({
+    name: c.name,
+    address: ethers.getAddress(c.address),
+    iface: ethers.Interface.from(c.abi),
+  }));
+
+  const warnings = [];
+  if (chainId !== undefined && String(parsed.chainId) !== String(chainId)) {
+    warnings.push(`Batch is for chain ${parsed.chainId}, expected ${chainId}.`);
+  }
+
+  const calls = parsed.transactions.map((tx, index) => {
+    const to = ethers.getAddress(tx.to);
+    const target = known.find((c) => c.address === to);
+    const call = {
+      index,
+      to,
+      target: target?.name || null,
+      value: String(tx.value ?? '0'),
+      method: null,
+      signature: null,
+      args: [],
+      warnings: [],
+    };
+
+    let data = tx.data;
+    if (tx.contractMethod) {
+      const rebuilt = calldataFromMethod(tx);
+      if (data && data.toLowerCase() !== rebuilt.toLowerCase()) {
+        call.warnings.push('Calldata does not match the listed method and inputs.');
+      }
+      data = data || rebuilt;
+    }
+    if (!target) call.warnings.push('Target is not a known vSTRC contract.');
+    if (call.value !== '0') call.warnings.push(`Sends ${ethers.formatEther(call.value)} ETH.`);
+
+    const candidates = target ? [target] : known;
+    for (const { iface } of candidates) {
+      const decoded = tryParse(iface, data, call.value);
+      if (!decoded) continue;
+      call.method = decoded.name;
+      call.signature = decoded.signature;
+      call.args = decoded.fragment.inputs.map((input, i) => ({
+        name: input.name,
+        type: input.type,
+        value: formatDecodedArg(input, decoded.args[i], roleNames),
+      }));
+      break;
+    }
+    if (!call.method) call.warnings.push(`Unrecognised calldata ${String(data).slice(0, 10)}…`);
+    return call;
+  });
+
+  return {
+    chainId: String(parsed.chainId),
+    name: parsed.meta?.name || '',
+    warnings,
+    calls,
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * vSTRC Protocol — Vault Preflight Checks
+ *
+ * Mirrors the revert conditions in vSTRC.deposit()/mint()/withdraw()/redeem()
+ * so the form can explain a failure before the user signs. Inputs are raw 6-decimal bigints;
+ * each check returns `{ level, message }` where `error` blocks submission.
+ */
+import { ethers } from 'ethers';
+
+const DECIMALS = 6;
+
+const fmt = (value) =>
+  Number(ethers.formatUnits(value, DECIMALS)).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Parse a user-entered amount into 6-decimal units.
+ * @returns {bigint|null} null when the input is empty, zero or malformed
+ */
+export function parseAmount(value) {
+  if (!value) return null;
+  try {
+    const parsed = ethers.parseUnits(String(value), DECIMALS);
+    return parsed > 0n ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {bigint} assets
+ * @param {object} limits  Raw vault state
+ * @param {boolean} limits.paused
+ * @param {boolean} limits.mintingPaused
+ * @param {bigint} limits.minDeposit
+ * @param {bigint} limits.maxSingleDeposit
+ * @param {bigint} limits.maxTotalDeposits
+ * @param {bigint} limits.totalAssets
+ * @param {object} [user]
+ * @param {bigint} [user.usdcBalance]
+ * @param {bigint} [user.maxDeposit]
+ */
+export function checkDeposit(assets, limits, user = {}) {
+  const issues = [];
+
+  if (limits.paused) {
+    issues.push({ level: 'error', message: 'The vault is paused.' });
+  }
+  if (limits.mintingPaused) {
+    issues.push({ level: 'error', message: 'Minting is paused by the circuit breaker.' });
+  }
+  if (assets < limits.minDeposit) {
+    issues.push({ level: 'error', message: `Minimum deposit is $${fmt(limits.minDeposit)}.` });
+  }
+  if (assets > limits.maxSingleDeposit) {
+    issues.push({ level: 'error', message: `Maximum single deposit is $${fmt(limits.maxSingleDeposit)}.` });
+  }
+  if (limits.maxTotalDeposits !== ethers.MaxUint256 && limits.totalAssets + assets > limits.maxTotalDeposits) {
+    const room = limits.maxTotalDeposits > limits.totalAssets ? limits.maxTotalDeposits - limits.totalAssets : 0n;
+    issues.push({ level: 'error', message: `Vault cap reached — at most $${fmt(room)} can still be deposited.` });
+  }
+  if (user.maxDeposit !== undefined && assets > user.maxDeposit) {
+    issues.push({ level: 'error', message: `maxDeposit for this account is $${fmt(user.maxDeposit)}.` });
+  }
+  if (user.usdcBalance !== undefined && assets > user.usdcBalance) {
+    issues.push({ level: 'error', message: `Insufficient USDC balance ($${fmt(user.usdcBalance)} available).` });
+  }
+
+  return issues;
+}
+
+/**
+ * mint() applies the deposit limits to previewMint(shares), so the
+ * asset-based checks only run once that preview is known.
+ * @param {bigint} shares
+ * @param {bigint|null} assets  previewMint(shares), or null while loading
+ * @param {object} limits  Same shape as checkDeposit
+ * @param {object} [user]
+ * @param {bigint} [user.usdcBalance]
+ * @param {bigint} [user.maxMint]
+ */
+export function checkMint(shares, assets, limits, user = {}) {
+  const issues = [];
+
+  if (limits.paused) {
+    issues.push({ level: 'error', message: 'The vault is paused.' });
+  }
+  if (limits.mintingPaused) {
+    issues.push({ level: 'error', message: 'Minting is paused by the circuit breaker.' });
+  }
+  if (user.maxMint !== undefined && shares > user.maxMint) {
+    issues.push({ level: 'error', message: `maxMint for this account is ${fmt(user.maxMint)} vSTRC.` });
+  }
+  if (assets === null) return issues;
+
+  if (assets < limits.minDeposit) {
+    issues.push({ level: 'error', message: `Minting ${fmt(shares)} vSTRC costs $${fmt(assets)}; minimum deposit is $${fmt(limits.minDeposit)}.` });
+  }
+  if (assets > limits.maxSingleDeposit) {
+    issues.push({ level: 'error', message: `Minting ${fmt(shares)} vSTRC costs $${fmt(assets)}; maximum single deposit is $${fmt(limits.maxSingleDeposit)}.` });
+  }
+  if (limits.maxTotalDeposits !== ethers.MaxUint256 && limits.totalAssets + assets > limits.maxTotalDeposits) {
+    const room = limits.maxTotalDeposits > limits.totalAssets ? limits.maxTotalDeposits - limits.totalAssets : 0n;
+    issues.push({ level: 'error', message: `Vault cap reached — at most $${fmt(room)} can still be deposited.` });
+  }
+  if (user.usdcBalance !== undefined && assets > user.usdcBalance) {
+    issues.push({ level: 'error', message: `Minting costs $${fmt(assets)} but only $${fmt(user.usdcBalance)} USDC is available.` });
+  }
+
+  return issues;
+}
+
+/**
+ * @param {bigint} assets
+ * @param {object} limits
+ * @param {boolean} limits.paused
+ * @param {boolean} limits.redeemingPaused
+ * @param {object} [user]
+ * @param {bigint} [user.maxWithdraw]
+ */
+export function checkWithdraw(assets, limits, user = {}) {
+  const issues = [];
+
+  if (limits.paused) {
+    issues.push({ level: 'error', message: 'The vault is paused.' });
+  }
+  if (limits.redeemingPaused) {
+    issues.push({ level: 'error', message: 'Redemptions are paused by the circuit breaker.' });
+  }
+  if (user.maxWithdraw !== undefined && assets > user.maxWithdraw) {
+    issues.push({ level: 'error', message: `You can withdraw at most $${fmt(user.maxWithdraw)}.` });
+  }
+
+  return issues;
+}
+
+/**
+ * @param {bigint} shares
+ * @param {object} limits
+ * @param {boolean} limits.paused
+ * @param {boolean} limits.redeemingPaused
+ * @param {object} [user]
+ * @param {bigint} [user.maxRedeem]
+ */
+export function checkRedeem(shares, limits, user = {}) {
+  const issues = [];
+
+  if (limits.paused) {
+    issues.push({ level: 'error', message: 'The vault is paused.' });
+  }
+  if (limits.redeemingPaused) {
+    issues.push({ level: 'error', message: 'Redemptions are paused by the circuit breaker.' });
+  }
+  if (user.maxRedeem !== undefined && shares > user.maxRedeem) {
+    issues.push({ level: 'error', message: `You can redeem at most ${fmt(user.maxRedeem)} vSTRC.` });
+  }
+
+  return issues;
+}
+
+/**
+ * Validate an optional address field. Blank means "the connected account".
+ * @param {string} value  Raw input
+ * @param {string} label  e.g. 'Receiver'
+ */
+export function checkAddress(value, label) {
+  const trimmed = value.trim();
+  if (!trimmed) return [];
+  if (!ethers.isAddress(trimmed)) {
+    return [{ level: 'error', message: `${label} is not a valid address.` }];
+  }
+  if (trimmed.toLowerCase() === ethers.ZeroAddress) {
+    return [{ level: 'error', message: `${label} cannot be the zero address.` }];
+  }
+  return [];
+}
+
+/**
+ * withdraw()/redeem() on behalf of another owner spend the owner's vSTRC
+ * allowance to the caller.
+ * @param {bigint|null} shares  Shares that will be burned, or null while loading
+ * @param {bigint} allowance  allowance(owner, caller)
+ */
+export function checkShareAllowance(shares, allowance) {
+  if (shares === null || shares <= allowance) return [];
+  return [{
+    level: 'error',
+    message: `Owner has approved only ${fmt(allowance)} vSTRC for this account; ${fmt(shares)} needed.`,
+  }];
+}
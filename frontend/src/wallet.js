@@ -0,0 +1,42 @@
+/**
+ * vSTRC Protocol — Wallet Network Helpers
+ *
+ * EIP-3326 `wallet_switchEthereumChain`, falling back to EIP-3085
+ * `wallet_addEthereumChain` when the wallet does not know the chain yet.
+ */
+
+// EIP-1193 / MetaMask: "Unrecognized chain ID"
+const UNRECOGNIZED_CHAIN = 4902;
+
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+// Some wallets wrap the 4902 error inside a generic internal error
+function isUnrecognizedChain(err) {
+  return err?.code === UNRECOGNIZED_CHAIN
+    || err?.data?.originalError?.code === UNRECOGNIZED_CHAIN;
+}
+
+/**
+ * Ask the wallet to switch to `network` (a config NETWORKS entry),
+ * registering it first if needed.
+ * @param {object} ethereum  EIP-1193 provider (window.ethereum)
+ * @param {object} network
+ */
+export async function switchToNetwork(ethereum, network) {
+  const chainId = toHexChainId(network.chainId);
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] });
+  } catch (err) {
+    if (!isUnrecognizedChain(err)) throw err;
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.chainName,
+        rpcUrls: [network.rpcUrl],
+        blockExplorerUrls: network.blockExplorer ? [network.blockExplorer] : undefined,
+        nativeCurrency: network.nativeCurrency,
+      }],
+    });
+  }
+}
@@ -6,5 +6,9 @@ export default defineConfig({
   server: {
     port: 3000,
     open: true,
+    // config.js imports the deployment manifests from ../deployments
+    fs: {
+      allow: ['..'],
+    },
   },
 });
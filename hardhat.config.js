@@ -1,5 +1,11 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/abi");
+require("./tasks/safe");
+require("./tasks/keeper");
+require("./tasks/roles");
+require("./tasks/deploy");
+require("./tasks/vstrc");
 
 const SEPOLIA_RPC_URL = process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org";
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000001";
@@ -24,6 +30,10 @@ module.exports = {
         enabled: false,
       },
     },
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
+    },
     sepolia: {
       url: SEPOLIA_RPC_URL,
       accounts: [PRIVATE_KEY],
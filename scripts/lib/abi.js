@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Frontend ABIs generated from Hardhat artifacts.
+ *
+ * `npx hardhat abi:export` (run by `npm run compile`) writes the `abi` of each
+ * artifact below to frontend/src/abis/<file>, and test/abi.test.js fails when
+ * the checked-in copies no longer match the compiled contracts.
+ */
+const ABI_DIR = path.join(__dirname, "..", "..", "frontend", "src", "abis");
+
+const ABI_EXPORTS = [
+    { file: "vSTRC.json", artifact: "contracts/vSTRC.sol:vSTRC" },
+    { file: "BTCStrategy.json", artifact: "contracts/BTCStrategy.sol:BTCStrategy" },
+    { file: "IStrategy.json", artifact: "contracts/interfaces/IStrategy.sol:IStrategy" },
+    {
+        file: "AggregatorV3Interface.json",
+        artifact: "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol:AggregatorV3Interface",
+    },
+];
+
+function abiPath(file) {
+    return path.join(ABI_DIR, file);
+}
+
+/** Stable formatting so regenerating an unchanged ABI leaves git clean */
+function serializeAbi(abi) {
+    return JSON.stringify(abi, null, 2) + "\n";
+}
+
+/**
+ * @returns {Array|null} The checked-in ABI, or null if it was never exported
+ */
+function readExportedAbi(file) {
+    const target = abiPath(file);
+    if (!fs.existsSync(target)) return null;
+    return JSON.parse(fs.readFileSync(target, "utf8"));
+}
+
+/**
+ * Write every ABI_EXPORTS entry from compiled artifacts.
+ * @param {object} artifacts  hre.artifacts
+ * @returns {Promise<string[]>} Paths that changed
+ */
+async function exportAbis(artifacts) {
+    fs.mkdirSync(ABI_DIR, { recursive: true });
+    const changed = [];
+    for (const { file, artifact } of ABI_EXPORTS) {
+        const { abi } = await artifacts.readArtifact(artifact);
+        const target = abiPath(file);
+        const contents = serializeAbi(abi);
+        if (fs.existsSync(target) && fs.readFileSync(target, "utf8") === contents) continue;
+        fs.writeFileSync(target, contents);
+        changed.push(target);
+    }
+    return changed;
+}
+
+module.exports = {
+    ABI_DIR,
+    ABI_EXPORTS,
+    abiPath,
+    serializeAbi,
+    readExportedAbi,
+    exportAbis,
+};
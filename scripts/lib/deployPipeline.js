@@ -0,0 +1,424 @@
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR, readManifest, createManifest, setContract, writeManifest } = require("./manifest");
+
+/**
+ * Resumable deployment pipeline, driven by a profile from ./profiles.js.
+ *
+ * Every step is recorded in a run journal, deployments/runs/<network>.json
+ * (a subdirectory, so the frontend's manifest glob never picks it up):
+ *
+ *   {
+ *     "version": 1,
+ *     "network": "sepolia",
+ *     "profile": "sepolia",
+ *     "chainId": 11155111,
+ *     "deployer": "0x…",
+ *     "admin": "0x…",                     // receives DEFAULT_ADMIN + MANAGER
+ *     "keeper": "0x…",                    // receives KEEPER_ROLE
+ *     "startedAt": "…",
+ *     "completedAt": null,
+ *     "steps": { "<id>": { "status": "pending"|"done", "tx", "address", "block", "at" } }
+ *   }
+ *
+ * A step goes to "pending" with its tx hash before the receipt is awaited, so
+ * a run killed mid-transaction picks the receipt up on resume instead of
+ * sending again. Configuration and role steps also read on-chain state first
+ * and are skipped when it already matches.
+ */
+const JOURNAL_VERSION = 1;
+const RUNS_DIR = path.join(DEPLOYMENTS_DIR, "runs");
+
+function journalPath(networkName) {
+    return path.join(RUNS_DIR, `${networkName}.json`);
+}
+
+/**
+ * @returns {object|null} The journal, or null if the network has no recorded run
+ */
+function readJournal(networkName) {
+    const file = journalPath(networkName);
+    if (!fs.existsSync(file)) return null;
+
+    const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (journal.version !== JOURNAL_VERSION) {
+        throw new Error(`${file}: journal version ${journal.version} is not supported (expected ${JOURNAL_VERSION})`);
+    }
+    return journal;
+}
+
+function createJournal({ network, profile, chainId, deployer, admin, keeper }) {
+    return {
+        version: JOURNAL_VERSION,
+        network,
+        profile,
+        chainId: Number(chainId),
+        deployer,
+        admin,
+        keeper,
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        steps: {},
+    };
+}
+
+function writeJournal(journal) {
+    fs.mkdirSync(RUNS_DIR, { recursive: true });
+    const file = journalPath(journal.network);
+    fs.writeFileSync(file, JSON.stringify(journal, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * Refuse to resume a journal recorded for a different run.
+ * @returns {string|null} Why the journal cannot be resumed
+ */
+function journalMismatch(journal, expected) {
+    for (const key of ["profile", "chainId", "deployer", "admin", "keeper"]) {
+        const a = String(journal[key]).toLowerCase();
+        const b = String(expected[key]).toLowerCase();
+        if (a !== b) return `${key} was ${journal[key]}, now ${expected[key]}`;
+    }
+    return null;
+}
+
+// ─── Steps ──────────────────────────────────────────────────────────
+
+async function expectCode(provider, address, what) {
+    if ((await provider.getCode(address)) === "0x") {
+        throw new Error(`No contract at ${address} (${what})`);
+    }
+}
+
+async function deployContract({ ethers, signer }, send, kind, args) {
+    const factory = await ethers.getContractFactory(kind, signer);
+    const contract = await factory.deploy(...args);
+    const receipt = await send(contract.deploymentTransaction());
+    return { address: receipt.contractAddress, block: receipt.blockNumber };
+}
+
+/**
+ * Grant `role` on a contract unless the account already holds it.
+ * @param {string|((ctx: object) => string)} account  A function when the
+ *   address is only known mid-run (e.g. the vault)
+ */
+function grantStep(id, label, target, role, account) {
+    return {
+        id,
+        label,
+        run: async (ctx, send) => {
+            const contract = await ctx.contract(target);
+            const roleId = await contract[role]();
+            const grantee = typeof account === "function" ? account(ctx) : account;
+            if (await contract.hasRole(roleId, grantee)) return { note: "already held" };
+            const receipt = await send(await contract.grantRole(roleId, grantee));
+            return { block: receipt.blockNumber };
+        },
+    };
+}
+
+/** Renounce the deployer's `role`, once `successor` is confirmed to hold it */
+function renounceStep(id, label, target, role, deployer, successor) {
+    return {
+        id,
+        label,
+        run: async (ctx, send) => {
+            const contract = await ctx.contract(target);
+            const roleId = await contract[role]();
+            if (!(await contract.hasRole(roleId, deployer))) return { note: "not held" };
+            if (!(await contract.hasRole(roleId, successor))) {
+                throw new Error(`${successor} does not hold ${role} on the ${target} — not renouncing`);
+            }
+            const receipt = await send(await contract.renounceRole(roleId, deployer));
+            return { block: receipt.blockNumber };
+        },
+    };
+}
+
+/**
+ * The ordered step list for a profile. Ids are stable so a journal written by
+ * an earlier run lines up with a fresh plan.
+ * @param {object} profile  loadProfile() output
+ * @param {object} opts
+ * @param {string} opts.deployer
+ * @param {string} opts.admin     Receives DEFAULT_ADMIN_ROLE and MANAGER_ROLE
+ * @param {string} opts.keeper    Receives KEEPER_ROLE on the vault
+ * @param {boolean} opts.manifest Finish by writing deployments/<network>.json
+ */
+function planSteps(profile, { deployer, admin, keeper, manifest }) {
+    const steps = [];
+    const deps = profile.dependencies;
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    // ─── Dependencies ───
+    for (const [name, dep] of Object.entries(deps)) {
+        if (!dep) continue;
+        if (dep.mock) {
+            steps.push({
+                id: `deploy:${name}`,
+                label: `Deploy ${dep.mock} (${name})`,
+                provides: name,
+                kind: dep.mock,
+                run: (ctx, send) => deployContract(ctx, send, dep.mock, dep.args),
+            });
+        } else {
+            steps.push({
+                id: `check:${name}`,
+                label: `Use existing ${name}`,
+                provides: name,
+                kind: dep.kind,
+                run: async ({ ethers }) => {
+                    await expectCode(ethers.provider, dep.address, name);
+                    return { address: dep.address };
+                },
+            });
+        }
+    }
+
+    // ─── Vault and strategy ───
+    // The vault constructor grants admin, manager and keeper to the deployer;
+    // they move to the configured accounts at the end of the run
+    steps.push({
+        id: "deploy:vault",
+        label: "Deploy vSTRC vault",
+        provides: "vault",
+        kind: "vSTRC",
+        run: (ctx, send) => deployContract(ctx, send, "vSTRC", [ctx.addresses.usdc, deployer]),
+    });
+
+    const strategyArgs = profile.strategy === "BTCStrategy"
+        ? (a) => [a.usdc, a.wbtc, a.aUsdc, a.btcUsdFeed, a.usdcUsdFeed, a.uniswapRouter, a.aavePool, a.vault, deployer]
+        : (a) => [a.usdc, a.vault];
+    steps.push({
+        id: "deploy:strategy",
+        label: `Deploy ${profile.strategy}`,
+        provides: "strategy",
+        kind: profile.strategy,
+        run: (ctx, send) => deployContract(ctx, send, profile.strategy, strategyArgs(ctx.addresses)),
+    });
+
+    // ─── Configuration ───
+    steps.push({
+        id: "config:strategy",
+        label: "Link strategy to vault",
+        run: async (ctx, send) => {
+            const vault = await ctx.contract("vault");
+            if (same(await vault.strategy(), ctx.addresses.strategy)) return { note: "already linked" };
+            const receipt = await send(await vault.setStrategy(ctx.addresses.strategy));
+            return { block: receipt.blockNumber };
+        },
+    });
+
+    if (deps.vstrcUsdFeed) {
+        steps.push({
+            id: "config:oracle",
+            label: "Set vSTRC/USD oracle",
+            run: async (ctx, send) => {
+                const vault = await ctx.contract("vault");
+                if (same(await vault.vSTRCPriceOracle(), ctx.addresses.vstrcUsdFeed)) return { note: "already set" };
+                const receipt = await send(await vault.setVSTRCOracle(ctx.addresses.vstrcUsdFeed));
+                return { block: receipt.blockNumber };
+            },
+        });
+    }
+
+    if (profile.mintUsdc && deps.usdc.mock) {
+        steps.push({
+            id: "mint:usdc",
+            label: `Mint ${Number(profile.mintUsdc).toLocaleString()} test USDC to the deployer`,
+            run: async (ctx, send) => {
+                const usdc = await ctx.contract("usdc");
+                const receipt = await send(await usdc.mint(deployer, ctx.ethers.parseUnits(profile.mintUsdc, 6)));
+                return { block: receipt.blockNumber };
+            },
+        });
+    }
+
+    // ─── Roles ───
+    // MockStrategy has no access control: its vault is fixed at construction
+    if (profile.strategy === "BTCStrategy") {
+        steps.push(grantStep("roles:strategy-vault", "Grant VAULT_ROLE on the strategy to the vault", "strategy", "VAULT_ROLE", (ctx) => ctx.addresses.vault));
+    }
+
+    if (!same(keeper, deployer)) {
+        steps.push(grantStep("roles:vault-keeper", `Grant KEEPER_ROLE on the vault to ${keeper}`, "vault", "KEEPER_ROLE", keeper));
+    }
+
+    const adminTargets = profile.strategy === "BTCStrategy" ? ["vault", "strategy"] : ["vault"];
+    if (!same(admin, deployer)) {
+        for (const target of adminTargets) {
+            for (const role of ["DEFAULT_ADMIN_ROLE", "MANAGER_ROLE"]) {
+                steps.push(grantStep(`roles:${target}-admin:${role}`, `Grant ${role} on the ${target} to ${admin}`, target, role, admin));
+            }
+        }
+    }
+
+    // Deployer roles go last: renouncing DEFAULT_ADMIN_ROLE ends the run's own access
+    if (!same(keeper, deployer)) {
+        steps.push(renounceStep("roles:vault-deployer:KEEPER_ROLE", "Renounce the deployer's KEEPER_ROLE on the vault", "vault", "KEEPER_ROLE", deployer, keeper));
+    }
+    if (!same(admin, deployer)) {
+        for (const target of adminTargets) {
+            for (const role of ["MANAGER_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+                steps.push(renounceStep(`roles:${target}-deployer:${role}`, `Renounce the deployer's ${role} on the ${target}`, target, role, deployer, admin));
+            }
+        }
+    }
+
+    // ─── Manifest ───
+    if (manifest) {
+        steps.push({
+            id: "manifest",
+            label: "Write deployment manifest",
+            run: async (ctx) => ({ note: saveManifest(ctx) }),
+        });
+    }
+
+    return steps;
+}
+
+/** Write deployments/<network>.json from the journal's deploy and check steps */
+function saveManifest({ journal, deployed }) {
+    const manifest = readManifest(journal.network) || createManifest({
+        network: journal.network,
+        chainId: journal.chainId,
+        deployer: journal.deployer,
+    });
+    manifest.chainId = journal.chainId;
+    manifest.deployer = journal.deployer;
+
+    // Contracts a previous profile recorded but this one does not (e.g. a mock
+    // vSTRC feed after switching to mainnet-fork) move to history
+    for (const [name, previous] of Object.entries(manifest.contracts)) {
+        if (!deployed[name]) {
+            manifest.history.push({ name, ...previous, replacedAt: new Date().toISOString() });
+            delete manifest.contracts[name];
+        }
+    }
+    for (const [name, entry] of Object.entries(deployed)) setContract(manifest, name, entry);
+    manifest.deployBlock = manifest.contracts.vault.block;
+
+    return writeManifest(manifest);
+}
+
+// ─── Runner ─────────────────────────────────────────────────────────
+
+/**
+ * Resolve a step left pending by an interrupted run.
+ * @returns {Promise<object|null>} A done entry, or null when the tx was
+ *   dropped or reverted and the step has to run again
+ */
+async function settlePending(provider, entry) {
+    let receipt = await provider.getTransactionReceipt(entry.tx);
+    if (!receipt) {
+        const tx = await provider.getTransaction(entry.tx);
+        if (!tx) return null;
+        receipt = await tx.wait().catch(() => null);
+    }
+    if (!receipt || receipt.status !== 1) return null;
+    return {
+        status: "done",
+        tx: entry.tx,
+        address: receipt.contractAddress || null,
+        block: receipt.blockNumber,
+        at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Run (or resume) the pipeline. Steps already done in the journal are
+ * skipped after checking their contracts still exist.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} opts
+ * @param {object} opts.profile   loadProfile() output
+ * @param {object} opts.journal   readJournal() or createJournal() output; updated in place
+ * @param {boolean} [opts.persist]  Write the journal after every step
+ * @param {(line: string) => void} [opts.log]
+ * @returns {Promise<{ journal: object, addresses: Object<string, string> }>}
+ */
+async function runPipeline(hre, { profile, journal, persist = false, log = console.log }) {
+    const { ethers } = hre;
+    const signer = await ethers.getSigner(journal.deployer);
+    const save = () => persist && writeJournal(journal);
+
+    const addresses = {};
+    const deployed = {};
+    const contracts = {};
+    const kinds = {};
+    const ctx = {
+        ethers,
+        signer,
+        journal,
+        addresses,
+        deployed,
+        // Typed contract for a step that produced `name`
+        contract: async (name) => {
+            contracts[name] ??= await ethers.getContractAt(kinds[name], addresses[name], signer);
+            return contracts[name];
+        },
+    };
+
+    const steps = planSteps(profile, {
+        deployer: journal.deployer,
+        admin: journal.admin,
+        keeper: journal.keeper,
+        manifest: persist,
+    });
+
+    for (const step of steps) {
+        let entry = journal.steps[step.id];
+        if (entry?.status === "pending") {
+            entry = await settlePending(ethers.provider, entry);
+            if (entry) {
+                journal.steps[step.id] = entry;
+                save();
+            }
+        }
+
+        if (entry?.status === "done") {
+            // A restarted local node keeps the journal but loses the contracts
+            if (entry.address) await expectCode(ethers.provider, entry.address, `${step.id} — chain reset? rerun with --fresh`);
+            log(`  ⏭  ${step.label}`);
+        } else {
+            const send = async (tx) => {
+                journal.steps[step.id] = { status: "pending", tx: tx.hash };
+                save();
+                return tx.wait();
+            };
+            const { note, ...result } = (await step.run(ctx, send)) || {};
+            entry = {
+                status: "done",
+                tx: journal.steps[step.id]?.tx || null,
+                address: null,
+                block: null,
+                ...result,
+                at: new Date().toISOString(),
+            };
+            journal.steps[step.id] = entry;
+            save();
+            log(`  ✓ ${step.label}${entry.address ? `: ${entry.address}` : ""}${note ? ` (${note})` : ""}`);
+        }
+
+        if (step.provides) {
+            addresses[step.provides] = entry.address;
+            kinds[step.provides] = step.kind;
+            deployed[step.provides] = { address: entry.address, kind: step.kind, block: entry.block };
+        }
+    }
+
+    journal.completedAt ??= new Date().toISOString();
+    save();
+    return { journal, addresses };
+}
+
+module.exports = {
+    JOURNAL_VERSION,
+    RUNS_DIR,
+    journalPath,
+    readJournal,
+    createJournal,
+    writeJournal,
+    journalMismatch,
+    planSteps,
+    runPipeline,
+};
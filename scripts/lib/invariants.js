@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR } = require("./manifest");
+const { types, formatBps, formatUsd } = require("./units");
+
+/**
+ * Post-deployment invariant checks, run by deploy:check.
+ *
+ * The intended state of a network is declared in
+ * deployments/expected/<network>.json and compared with the live contracts:
+ *
+ *   {
+ *     "version": 1,
+ *     "accounts": { "admin": "0x…", "keeper": "deployer" },
+ *     "vault": {
+ *       "links":  { "asset": "usdc", "strategy": "strategy", "vSTRCPriceOracle": "vstrcUsdFeed" },
+ *       "params": { "baseRateBps": "8%", "maxTotalDeposits": "max", "epochDuration": "7d", … },
+ *       "roles":  { "DEFAULT_ADMIN_ROLE": { "has": ["admin"], "lacks": ["deployer"] }, … }
+ *     },
+ *     "strategy": { "kind": "BTCStrategy", "links": { … }, "params": { … }, "roles": { … } },
+ *     "feeds":    { "vstrcUsdFeed": { "decimals": 6, "maxAge": "1h" } }
+ *   }
+ *
+ * A name in `accounts`, `links` or `roles` is a literal 0x… address, another
+ * entry of `accounts`, "deployer", or a contract in deployments/<network>.json.
+ * An account left null has not been filled in, and the check refuses to run.
+ * A link set to null must be the zero address. Params take the vstrc:* units
+ * ("8%", "$1m", "max", "7d", "open"); a JSON number is the raw on-chain value.
+ * A BTCStrategy's allocations must also sum to 100%.
+ */
+const EXPECTED_VERSION = 1;
+const EXPECTED_DIR = path.join(DEPLOYMENTS_DIR, "expected");
+
+// Tunables each contract exposes, and the unit they are declared in
+const PARAM_TYPES = {
+    vSTRC: {
+        targetPrice: "usd",
+        baseRateBps: "percent",
+        sensitivityBps: "percent",
+        minRateBps: "percent",
+        maxRateBps: "percent",
+        epochDuration: "duration",
+        maxTotalDeposits: "usdCap",
+        maxSingleDeposit: "usdCap",
+        minDeposit: "usd",
+        mintingPaused: "switch",
+        redeemingPaused: "switch",
+        paused: "switch",
+    },
+    BTCStrategy: {
+        btcAllocationBps: "percent",
+        cashAllocationBps: "percent",
+        uniswapPoolFee: "integer",
+        maxSlippageBps: "percent",
+        circuitBreakerThresholdBps: "percent",
+        circuitBreakerWindow: "duration",
+        circuitBreakerTripped: "switch",
+    },
+    MockStrategy: {},
+};
+
+const FORMATS = {
+    usd: formatUsd,
+    usdCap: formatUsd,
+    percent: formatBps,
+    duration: (seconds) => `${seconds}s`,
+    integer: String,
+    switch: (on) => (on ? "on" : "off"),
+};
+
+// Uniswap fee tiers and other plain integers
+const integer = {
+    parse(argName, value) {
+        if (!/^\d+$/.test(String(value).trim())) throw new Error(`Invalid value "${value}": expected an integer`);
+        return BigInt(value);
+    },
+};
+
+function expectedStatePath(networkName) {
+    return path.join(EXPECTED_DIR, `${networkName}.json`);
+}
+
+/**
+ * @param {string} file  Defaults to deployments/expected/<network>.json at the call site
+ * @returns {object|null} The expected state, or null if the file does not exist
+ */
+function readExpectedState(file) {
+    if (!fs.existsSync(file)) return null;
+    const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (expected.version !== EXPECTED_VERSION) {
+        throw new Error(`${file}: expected-state version ${expected.version} is not supported (expected ${EXPECTED_VERSION})`);
+    }
+    return expected;
+}
+
+function parseParam(where, type, value) {
+    if (typeof value === "boolean" && type === "switch") return value;
+    if (typeof value === "number" && type !== "switch") {
+        if (!Number.isSafeInteger(value) || value < 0) throw new Error(`${where}: ${value} is not a raw on-chain value`);
+        return BigInt(value);
+    }
+    const name = where.split(".").pop();
+    try {
+        return (type === "integer" ? integer : types[type]).parse(name, value);
+    } catch (err) {
+        throw new Error(`${where}: ${err.message.replace(` for --${name}`, "")}`);
+    }
+}
+
+function createResolver(ethers, manifest, accounts = {}) {
+    function resolve(name, seen = []) {
+        if (name === null) return ethers.ZeroAddress;
+        if (ethers.isAddress(name)) return ethers.getAddress(name);
+        if (seen.includes(name)) throw new Error(`Expected-state accounts loop: ${[...seen, name].join(" → ")}`);
+        if (Object.hasOwn(accounts, name)) {
+            if (accounts[name] === null) throw new Error(`Expected state: accounts.${name} is not filled in — set it to the ${name} address`);
+            return resolve(accounts[name], [...seen, name]);
+        }
+        if (name === "deployer") return ethers.getAddress(manifest.deployer);
+        const entry = manifest.contracts[name];
+        if (entry) return ethers.getAddress(entry.address);
+        throw new Error(`Expected state names "${name}", which is not an address, an account or a contract in the manifest`);
+    }
+    return resolve;
+}
+
+// MockStrategy has no access control, so hasRole() reverts
+async function detectStrategyKind(ethers, address) {
+    const btc = await ethers.getContractAt("BTCStrategy", address);
+    const hasRoles = await btc.hasRole(ethers.ZeroHash, ethers.ZeroAddress).then(() => true, () => false);
+    return hasRoles ? "BTCStrategy" : "MockStrategy";
+}
+
+/**
+ * Compare the live deployment with its expected state.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} opts
+ * @param {object} opts.manifest  deployments/<network>.json
+ * @param {object} opts.expected  readExpectedState() output
+ * @returns {Promise<Array<{ target: string, check: string, ok: boolean, expected: string, actual: string }>>}
+ *   One entry per check. A malformed expected state throws instead.
+ */
+async function checkInvariants(hre, { manifest, expected }) {
+    const { ethers } = hre;
+    const resolve = createResolver(ethers, manifest, expected.accounts);
+    const label = (name) => {
+        const address = resolve(name);
+        return name === null || ethers.isAddress(name) ? address : `${name} (${address})`;
+    };
+
+    const results = [];
+    const record = (target, check, ok, want, got) => results.push({ target, check, ok, expected: want, actual: got });
+    const hasCode = async (address) => (await ethers.provider.getCode(address)) !== "0x";
+
+    const vaultAddress = resolve("vault");
+    if (!await hasCode(vaultAddress)) {
+        record("vault", "code", false, "deployed contract", `no code at ${vaultAddress}`);
+        return results;
+    }
+    const targets = [{ key: "vault", kind: "vSTRC", contract: await ethers.getContractAt("vSTRC", vaultAddress), spec: expected.vault || {} }];
+
+    if (expected.strategy) {
+        const address = resolve("strategy");
+        const kind = await hasCode(address) ? await detectStrategyKind(ethers, address) : null;
+        record("strategy", "kind", kind === expected.strategy.kind, expected.strategy.kind, kind || `no code at ${address}`);
+        if (kind === expected.strategy.kind) {
+            targets.push({ key: "strategy", kind, contract: await ethers.getContractAt(kind, address), spec: expected.strategy });
+        }
+    }
+
+    for (const { key, kind, contract, spec } of targets) {
+        for (const [getter, name] of Object.entries(spec.links || {})) {
+            if (!contract.interface.getFunction(getter)) throw new Error(`${key}.links.${getter}: ${kind} has no ${getter}()`);
+            const want = resolve(name);
+            const got = await contract[getter]();
+            record(key, getter, got.toLowerCase() === want.toLowerCase(), label(name), got);
+        }
+
+        for (const [param, value] of Object.entries(spec.params || {})) {
+            const type = PARAM_TYPES[kind][param];
+            if (!type) throw new Error(`${key}.params.${param}: not a ${kind} tunable`);
+            const want = parseParam(`${key}.params.${param}`, type, value);
+            const got = await contract[param]();
+            record(key, param, got === want, FORMATS[type](want), FORMATS[type](got));
+        }
+
+        for (const [roleName, { has = [], lacks = [] }] of Object.entries(spec.roles || {})) {
+            if (!contract.interface.getFunction("hasRole")) throw new Error(`${key}.roles: ${kind} has no access control`);
+            if (roleName !== "DEFAULT_ADMIN_ROLE" && !contract.interface.getFunction(roleName)) {
+                throw new Error(`${key}.roles.${roleName}: ${kind} has no such role`);
+            }
+            const role = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : await contract[roleName]();
+            for (const name of has) {
+                const held = await contract.hasRole(role, resolve(name));
+                record(key, `${roleName} → ${label(name)}`, held, "granted", held ? "granted" : "missing");
+            }
+            for (const name of lacks) {
+                const held = await contract.hasRole(role, resolve(name));
+                record(key, `${roleName} → ${label(name)}`, !held, "not granted", held ? "granted" : "not granted");
+            }
+        }
+
+        if (kind === "BTCStrategy") {
+            const sum = (await contract.btcAllocationBps()) + (await contract.cashAllocationBps());
+            record(key, "btcAllocationBps + cashAllocationBps", sum === 10000n, formatBps(10000n), formatBps(sum));
+        }
+    }
+
+    const { timestamp: now } = await ethers.provider.getBlock("latest");
+    for (const [name, { decimals, maxAge }] of Object.entries(expected.feeds || {})) {
+        const address = resolve(name);
+        if (!await hasCode(address)) {
+            record(name, "code", false, "deployed contract", `no code at ${address}`);
+            continue;
+        }
+        const feed = await ethers.getContractAt("AggregatorV3Interface", address);
+        if (decimals !== undefined) {
+            const got = await feed.decimals();
+            record(name, "decimals", got === BigInt(decimals), String(decimals), got.toString());
+        }
+        const [, answer, , updatedAt] = await feed.latestRoundData();
+        record(name, "answer", answer > 0n, "> 0", answer.toString());
+        if (maxAge !== undefined) {
+            const limit = parseParam(`feeds.${name}.maxAge`, "duration", maxAge);
+            const age = BigInt(now) - updatedAt;
+            record(name, "age", age <= limit, `≤ ${limit}s`, `${age}s`);
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    EXPECTED_VERSION,
+    PARAM_TYPES,
+    expectedStatePath,
+    readExpectedState,
+    checkInvariants,
+};
@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Long-running rebalanceYield() keeper.
+ *
+ * Each tick() makes one decision and returns how long to sleep:
+ *
+ *   - a transaction is in flight → confirm it, or replace it with bumped fees
+ *     (same nonce) once it has waited `replaceAfter` seconds; if the node has
+ *     lost it, at the first nonce the node accepts
+ *   - the epoch is not over → sleep until lastEpochTimestamp + epochDuration
+ *     by chain time
+ *   - the vSTRC oracle is stale or invalid → wait, alert after `staleAlertAfter`
+ *   - otherwise simulate with staticCall, check the gas cap, and send
+ *
+ * After a confirmed rebalance the next tick runs at once, so epochs that
+ * piled up while the keeper was down are caught up one per transaction ([H-3]).
+ *
+ * State (the in-flight transaction, oracle alert timers, the last rebalance)
+ * is written to `statePath` after every change, so a restart resumes watching
+ * a transaction instead of sending a second one. Logs are one JSON object per
+ * line: { "ts", "level", "event", … }.
+ */
+const STATE_VERSION = 1;
+
+// Revert names that no amount of waiting fixes
+const FATAL_REVERTS = ["AccessControlUnauthorizedAccount", "EnforcedPause"];
+
+// ESM module shared with the frontend
+const loadRebalancePlan = () => import("../../frontend/src/rebalancePlan.mjs");
+
+/**
+ * @param {NodeJS.WritableStream} [stream]
+ * @returns {(level: 'info'|'warn'|'error'|'alert', event: string, fields?: object) => void}
+ */
+function createJsonLogger(stream = process.stdout) {
+    const replacer = (_, value) => (typeof value === "bigint" ? value.toString() : value);
+    return (level, event, fields = {}) => {
+        stream.write(JSON.stringify({ ts: new Date().toISOString(), level, event, ...fields }, replacer) + "\n");
+    };
+}
+
+function readState(statePath) {
+    if (!statePath || !fs.existsSync(statePath)) return null;
+    const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+    return state.version === STATE_VERSION ? state : null;
+}
+
+function writeState(statePath, state) {
+    if (!statePath) return;
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + "\n");
+}
+
+function revertName(err) {
+    return err.revert?.name || err.shortMessage || err.message;
+}
+
+const bump = (value, percent) => (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.vault  vSTRC connected to the keeper signer
+ * @param {string} [opts.statePath]     JSON state file; in memory when omitted
+ * @param {bigint} opts.maxFeePerGas    Cap in wei; nothing is sent above it
+ * @param {number} [opts.replaceAfter]  Seconds before a pending tx is replaced
+ * @param {number} [opts.feeBump]       Percent added to both fees per replacement
+ * @param {number} [opts.pollInterval]  Seconds between checks while waiting on the oracle or gas
+ * @param {number} [opts.confirmInterval]  Seconds between receipt checks
+ * @param {number} [opts.staleAlertAfter]  Seconds of unusable oracle before alerting
+ * @param {number} [opts.maxSleep]      Upper bound on one sleep, so parameter changes are picked up
+ * @param {string} [opts.alertWebhook]  URL that receives alerts as JSON POSTs
+ * @param {Function} [opts.log]         createJsonLogger() output
+ * @param {() => number} [opts.clock]   Wall-clock seconds; used for tx age and alert timers
+ */
+function createKeeper({
+    vault,
+    statePath = null,
+    maxFeePerGas,
+    replaceAfter = 180,
+    feeBump = 15,
+    pollInterval = 60,
+    confirmInterval = 15,
+    staleAlertAfter = 900,
+    maxSleep = 3600,
+    alertWebhook = null,
+    log = createJsonLogger(),
+    clock = () => Math.floor(Date.now() / 1000),
+}) {
+    const signer = vault.runner;
+    const provider = signer.provider;
+    let state = null;
+    let stopped = false;
+    let wake = null;
+
+    const save = () => writeState(statePath, state);
+
+    // One alert per condition until it clears
+    async function alert(event, fields) {
+        if (state.alerts[event]) return;
+        state.alerts[event] = true;
+        save();
+        log("alert", event, fields);
+        if (!alertWebhook) return;
+        try {
+            await fetch(alertWebhook, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ event, vault: state.vault, network: state.chainId, ...fields }, (_, v) =>
+                    typeof v === "bigint" ? v.toString() : v),
+            });
+        } catch (err) {
+            log("error", "alert-webhook-failed", { message: err.message });
+        }
+    }
+
+    async function init() {
+        if (state) return;
+        const [address, keeper, network] = await Promise.all([
+            vault.getAddress(),
+            signer.getAddress(),
+            provider.getNetwork(),
+        ]);
+        const chainId = Number(network.chainId);
+        const saved = readState(statePath);
+        if (saved && saved.vault === address && saved.keeper === keeper && saved.chainId === chainId) {
+            state = saved;
+        } else {
+            if (saved) log("warn", "state-discarded", { statePath, vault: saved.vault, keeper: saved.keeper, chainId: saved.chainId });
+            state = { version: STATE_VERSION, chainId, vault: address, keeper, pending: null, oracleDownSince: null, alerts: {}, lastRebalance: null, rebalances: 0 };
+        }
+        log("info", "start", { vault: address, keeper, chainId, pending: state.pending?.hashes.at(-1) ?? null, statePath });
+    }
+
+    /** Fees for a new tx, or null when the network is above the cap */
+    async function currentFees() {
+        const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock("latest")]);
+        if (block.baseFeePerGas == null) {
+            return feeData.gasPrice > maxFeePerGas ? null : { gasPrice: feeData.gasPrice };
+        }
+        const priority = min(feeData.maxPriorityFeePerGas ?? 0n, maxFeePerGas);
+        if (block.baseFeePerGas + priority > maxFeePerGas) return null;
+        return { maxFeePerGas: min(feeData.maxFeePerGas ?? maxFeePerGas, maxFeePerGas), maxPriorityFeePerGas: priority };
+    }
+
+    /** Fees for a replacement: the old ones bumped, at least the network's, at most the cap */
+    async function replacementFees(old) {
+        const feeData = await provider.getFeeData();
+        if (old.gasPrice !== undefined) {
+            const gasPrice = max(bump(old.gasPrice, feeBump), feeData.gasPrice ?? 0n);
+            return gasPrice > maxFeePerGas ? null : { gasPrice };
+        }
+        const fees = {
+            maxFeePerGas: max(bump(old.maxFeePerGas, feeBump), feeData.maxFeePerGas ?? 0n),
+            maxPriorityFeePerGas: max(bump(old.maxPriorityFeePerGas, feeBump), feeData.maxPriorityFeePerGas ?? 0n),
+        };
+        if (fees.maxFeePerGas > maxFeePerGas) return null;
+        fees.maxPriorityFeePerGas = min(fees.maxPriorityFeePerGas, fees.maxFeePerGas);
+        return fees;
+    }
+
+    const feesToJson = (fees) => Object.fromEntries(Object.entries(fees).map(([k, v]) => [k, v.toString()]));
+    const feesFromJson = (fees) => Object.fromEntries(Object.entries(fees).map(([k, v]) => [k, BigInt(v)]));
+
+    async function send(nonce, fees, gasLimit) {
+        const tx = await vault.rebalanceYield({ nonce, gasLimit, ...fees });
+        return tx.hash;
+    }
+
+    async function checkPending() {
+        const { pending } = state;
+        for (const hash of pending.hashes) {
+            const receipt = await provider.getTransactionReceipt(hash);
+            if (!receipt) continue;
+            state.pending = null;
+            if (receipt.status === 1) {
+                const epoch = await vault.epochCount();
+                state.lastRebalance = { epoch: Number(epoch), hash, block: receipt.blockNumber, at: clock() };
+                state.rebalances += 1;
+                save();
+                log("info", "confirmed", { hash, epoch, block: receipt.blockNumber, gasUsed: receipt.gasUsed, attempts: pending.hashes.length });
+                // Catch up on further overdue epochs straight away
+                return { event: "confirmed", wait: 0 };
+            }
+            save();
+            log("error", "reverted", { hash, block: receipt.blockNumber });
+            return { event: "reverted", wait: pollInterval };
+        }
+
+        // The nonce was used by a transaction this keeper did not record
+        const mined = await provider.getTransactionCount(state.keeper, "latest");
+        if (mined > pending.nonce) {
+            state.pending = null;
+            save();
+            log("warn", "nonce-consumed", { nonce: pending.nonce, hashes: pending.hashes });
+            return { event: "nonce-consumed", wait: 0 };
+        }
+
+        const age = clock() - pending.sentAt;
+        if (age < replaceAfter) {
+            return { event: "pending", wait: min(confirmInterval, replaceAfter - age) };
+        }
+
+        // Only replace a call that still succeeds — someone else may have rebalanced
+        try {
+            await vault.rebalanceYield.staticCall();
+        } catch (err) {
+            log("warn", "replacement-skipped", { nonce: pending.nonce, reason: revertName(err) });
+            return { event: "pending", wait: pollInterval };
+        }
+
+        const fees = await replacementFees(feesFromJson(pending.fees));
+        if (!fees) {
+            log("warn", "replacement-capped", { nonce: pending.nonce, maxFeePerGas });
+            return { event: "pending", wait: pollInterval };
+        }
+
+        // The node knows none of the hashes (dropped, or a node that lost its
+        // mempool): the recorded nonce may be past the first one it accepts
+        const known = await Promise.all(pending.hashes.map((hash) => provider.getTransaction(hash)));
+        const dropped = known.every((tx) => tx === null);
+        if (dropped) {
+            const next = await provider.getTransactionCount(state.keeper, "pending");
+            if (next < pending.nonce) {
+                log("warn", "nonce-rewound", { from: pending.nonce, to: next, hashes: pending.hashes });
+                pending.nonce = next;
+            }
+        }
+        const hash = await send(pending.nonce, fees, BigInt(pending.gasLimit));
+        pending.hashes.push(hash);
+        pending.fees = feesToJson(fees);
+        pending.sentAt = clock();
+        save();
+        log("info", "replaced", { hash, nonce: pending.nonce, attempt: pending.hashes.length, dropped, ...pending.fees });
+        return { event: "replaced", wait: confirmInterval };
+    }
+
+    /**
+     * One scheduling decision.
+     * @returns {Promise<{ event: string, wait: number }>} wait in seconds
+     */
+    async function tick() {
+        await init();
+        if (state.pending) return checkPending();
+
+        const { readRebalanceInputs, projectRebalance } = await loadRebalancePlan();
+        const inputs = await readRebalanceInputs(vault);
+        const plan = projectRebalance(inputs);
+
+        if (plan.blockers.includes("EpochNotElapsed")) {
+            const wait = Number(plan.nextEpochAt - inputs.now);
+            log("info", "wait-epoch", { epoch: inputs.epochCount + 1n, opensAt: new Date(Number(plan.nextEpochAt) * 1000).toISOString(), wait });
+            return { event: "wait-epoch", wait: Math.max(1, Math.min(wait, maxSleep)) };
+        }
+
+        // Sending into StalePrice / InvalidPrice only burns gas
+        const oracleBlocker = plan.blockers.find((b) => b === "StalePrice" || b === "InvalidPrice");
+        if (oracleBlocker) {
+            state.oracleDownSince ??= clock();
+            const down = clock() - state.oracleDownSince;
+            log("warn", "oracle-unusable", { reason: oracleBlocker, oracle: inputs.oracle?.address, oracleAge: plan.oracleAge, down });
+            if (down >= staleAlertAfter) {
+                await alert("oracle-unusable", { reason: oracleBlocker, oracle: inputs.oracle?.address, down });
+            }
+            save();
+            return { event: "oracle-unusable", wait: pollInterval };
+        }
+        if (state.oracleDownSince !== null) {
+            log("info", "oracle-recovered", { down: clock() - state.oracleDownSince });
+            state.oracleDownSince = null;
+            delete state.alerts["oracle-unusable"];
+            save();
+        }
+
+        let gasLimit;
+        try {
+            await vault.rebalanceYield.staticCall();
+            gasLimit = ((await vault.rebalanceYield.estimateGas()) * 120n) / 100n;
+        } catch (err) {
+            const reason = revertName(err);
+            if (FATAL_REVERTS.includes(reason)) await alert("simulation-failed", { reason });
+            else log("error", "simulation-failed", { reason });
+            return { event: "simulation-failed", wait: pollInterval };
+        }
+        if (state.alerts["simulation-failed"]) {
+            delete state.alerts["simulation-failed"];
+            save();
+        }
+
+        const fees = await currentFees();
+        if (!fees) {
+            log("warn", "gas-cap", { maxFeePerGas });
+            return { event: "gas-cap", wait: pollInterval };
+        }
+
+        // A tx this keeper sent but never recorded (crash between send and save)
+        const [nonce, mined] = await Promise.all([
+            provider.getTransactionCount(state.keeper, "pending"),
+            provider.getTransactionCount(state.keeper, "latest"),
+        ]);
+        if (nonce > mined) {
+            log("warn", "unknown-pending-tx", { nonce: mined, pendingCount: nonce - mined });
+            return { event: "unknown-pending-tx", wait: confirmInterval };
+        }
+
+        const hash = await send(nonce, fees, gasLimit);
+        state.pending = { nonce, hashes: [hash], fees: feesToJson(fees), gasLimit: gasLimit.toString(), sentAt: clock() };
+        save();
+        log("info", "sent", {
+            hash,
+            nonce,
+            epoch: inputs.epochCount + 1n,
+            pendingEpochs: plan.pendingEpochs,
+            newRateBps: plan.newRateBps,
+            epochDividend: plan.epochDividend,
+            ...state.pending.fees,
+        });
+        return { event: "sent", wait: confirmInterval };
+    }
+
+    /** Tick until stop(); RPC errors back off up to 16 × pollInterval */
+    async function run() {
+        let failures = 0;
+        while (!stopped) {
+            let wait;
+            try {
+                ({ wait } = await tick());
+                failures = 0;
+            } catch (err) {
+                failures += 1;
+                wait = pollInterval * 2 ** Math.min(failures - 1, 4);
+                log("error", "tick-failed", { message: err.shortMessage || err.message, failures, retryIn: wait });
+            }
+            if (stopped) break;
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, wait * 1000);
+                wake = () => { clearTimeout(timer); resolve(); };
+            });
+        }
+        log("info", "stop", { pending: state?.pending?.hashes.at(-1) ?? null });
+    }
+
+    function stop() {
+        stopped = true;
+        if (wake) wake();
+    }
+
+    return { tick, run, stop, state: () => state };
+}
+
+module.exports = { STATE_VERSION, createJsonLogger, createKeeper };
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment manifests — one versioned JSON file per network in deployments/.
+ *
+ * Written by the deploy scripts and imported directly by
+ * frontend/src/config.js, so the frontend never relies on hand-copied
+ * addresses. Bump MANIFEST_VERSION when the shape changes.
+ *
+ *   {
+ *     "version": 1,
+ *     "network": "sepolia",
+ *     "chainId": 11155111,
+ *     "deployer": "0x…",
+ *     "deployBlock": 7712345,             // vault deployment block
+ *     "updatedAt": "…",
+ *     "contracts": { "<name>": { "address", "kind", "block" } },
+ *     "history":   [ { "name", "address", "kind", "block", "replacedAt" } ]
+ *   }
+ */
+const MANIFEST_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPath(networkName) {
+    return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * @returns {object|null} The manifest, or null if the network was never deployed
+ */
+function readManifest(networkName) {
+    const file = manifestPath(networkName);
+    if (!fs.existsSync(file)) return null;
+
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.version !== MANIFEST_VERSION) {
+        throw new Error(
+            `${file}: manifest version ${manifest.version} is not supported (expected ${MANIFEST_VERSION})`
+        );
+    }
+    return manifest;
+}
+
+function createManifest({ network, chainId, deployer }) {
+    return {
+        version: MANIFEST_VERSION,
+        network,
+        chainId: Number(chainId),
+        deployer,
+        deployBlock: null,
+        updatedAt: null,
+        contracts: {},
+        history: [],
+    };
+}
+
+/**
+ * Record a deployed contract. A replaced entry is kept in `history` so a
+ * strategy swap leaves a trail instead of silently overwriting the address.
+ * @param {object} manifest
+ * @param {string} name   e.g. "vault", "strategy", "usdc"
+ * @param {object} entry
+ * @param {string} entry.address
+ * @param {string} entry.kind   Contract name, e.g. "MockStrategy" or "BTCStrategy"
+ * @param {number|null} [entry.block]
+ */
+function setContract(manifest, name, { address, kind, block = null }) {
+    const previous = manifest.contracts[name];
+    if (previous && previous.address.toLowerCase() !== address.toLowerCase()) {
+        manifest.history.push({ name, ...previous, replacedAt: new Date().toISOString() });
+    }
+    manifest.contracts[name] = { address, kind, block };
+}
+
+function writeManifest(manifest) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    manifest.updatedAt = new Date().toISOString();
+    const file = manifestPath(manifest.network);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * Block a freshly deployed contract was mined in.
+ * @param {import("ethers").BaseContract} contract
+ */
+async function deploymentBlock(contract) {
+    const receipt = await contract.deploymentTransaction().wait();
+    return receipt.blockNumber;
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    DEPLOYMENTS_DIR,
+    manifestPath,
+    readManifest,
+    createManifest,
+    setContract,
+    writeManifest,
+    deploymentBlock,
+};
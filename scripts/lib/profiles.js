@@ -0,0 +1,88 @@
+/**
+ * Deployment profiles — one per target, read by the deploy:run task.
+ *
+ * `dependencies` lists what the vault and strategy need. Each entry is either
+ *   { mock: "<Contract>", args: [...] }  deployed by the pipeline, or
+ *   { address: "0x…", kind: "…" }        an existing contract, checked for code.
+ * A dependency set to null is skipped (no vSTRC/USD oracle means the vault
+ * prices itself from NAV).
+ *
+ * `strategy` picks "MockStrategy" (holds USDC, no external protocols) or
+ * "BTCStrategy" (needs real Uniswap V3 and Aave V3). Roles default to the
+ * deployer; set ADMIN_ADDRESS / KEEPER_ADDRESS (or --admin / --keeper) to
+ * hand them over at the end of the run.
+ */
+
+// Mock feeds start at the prices the tests use
+const MOCK_DEPENDENCIES = {
+    usdc: { mock: "MockERC20", args: ["USD Coin", "USDC", 6] },
+    wbtc: { mock: "MockERC20", args: ["Wrapped BTC", "WBTC", 8] },
+    aUsdc: { mock: "MockERC20", args: ["Aave USDC", "aUSDC", 6] },
+    btcUsdFeed: { mock: "MockPriceFeed", args: ["9700000000000", 8, "BTC / USD"] },
+    usdcUsdFeed: { mock: "MockPriceFeed", args: ["100000000", 8, "USDC / USD"] },
+    vstrcUsdFeed: { mock: "MockPriceFeed", args: ["100000000", 6, "vSTRC / USD"] },
+};
+
+const MAINNET = {
+    usdc: { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", kind: "ERC20" },
+    wbtc: { address: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599", kind: "ERC20" },
+    aUsdc: { address: "0x98C23E9d8f34FEFb1B7BD6a91B7FF122F4e16F5c", kind: "AToken" },
+    btcUsdFeed: { address: "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c", kind: "AggregatorV3" },
+    usdcUsdFeed: { address: "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6", kind: "AggregatorV3" },
+    // No vSTRC market exists yet — price from NAV
+    vstrcUsdFeed: null,
+    uniswapRouter: { address: "0xE592427A0AEce92De3Edee1F18E0157C05861564", kind: "SwapRouter" },
+    aavePool: { address: "0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2", kind: "AavePool" },
+};
+
+const PROFILES = {
+    hardhat: {
+        description: "In-process Hardhat network, all mocks",
+        strategy: "MockStrategy",
+        dependencies: MOCK_DEPENDENCIES,
+        mintUsdc: "1000000",
+    },
+    localhost: {
+        description: "Local node (npx hardhat node), all mocks",
+        strategy: "MockStrategy",
+        dependencies: MOCK_DEPENDENCIES,
+        mintUsdc: "1000000",
+    },
+    sepolia: {
+        // BTCStrategy needs Uniswap/Aave liquidity that Sepolia does not have
+        description: "Sepolia testnet, all mocks",
+        strategy: "MockStrategy",
+        dependencies: MOCK_DEPENDENCIES,
+        mintUsdc: "1000000",
+    },
+    "mainnet-fork": {
+        description: "Local node forked from mainnet (npx hardhat node --fork <MAINNET_RPC_URL>)",
+        network: "localhost",
+        strategy: "BTCStrategy",
+        dependencies: MAINNET,
+        mintUsdc: null,
+    },
+};
+
+/**
+ * @param {string} name  Profile name; defaults to the network name at the call site
+ * @param {string} networkName
+ */
+function loadProfile(name, networkName) {
+    const profile = PROFILES[name];
+    if (!profile) {
+        throw new Error(`Unknown deploy profile "${name}" (have: ${Object.keys(PROFILES).join(", ")})`);
+    }
+    const expected = profile.network || name;
+    if (expected !== networkName) {
+        throw new Error(`Profile "${name}" deploys to --network ${expected}, not ${networkName}`);
+    }
+    if (profile.strategy === "BTCStrategy") {
+        for (const key of ["wbtc", "aUsdc", "btcUsdFeed", "usdcUsdFeed", "uniswapRouter", "aavePool"]) {
+            if (!profile.dependencies[key]) throw new Error(`Profile "${name}": BTCStrategy needs ${key}`);
+        }
+    }
+    return { name, ...profile };
+}
+
+module.exports = { PROFILES, loadProfile };
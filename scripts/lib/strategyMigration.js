@@ -0,0 +1,365 @@
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR } = require("./manifest");
+const { formatBps, formatUsd } = require("./units");
+
+/**
+ * Strategy migration: move the vault's funds from its current IStrategy to a
+ * new one without moving the share price.
+ *
+ *   1. pause     setCircuitBreaker(true, true) — a redemption mid-migration
+ *                would draw on whichever strategy happens to be linked
+ *   2. withdraw  old.withdraw(totalValue()) to the operator, or
+ *                emergencyWithdraw(operator) on a BTCStrategy
+ *   3. deploy    the new strategy, or attach an existing one
+ *   4. move      setStrategy(new), then new.deploy(<withdrawn USDC>)
+ *   5. verify    totalAssets() and convertToAssets(1e6) against the snapshot
+ *                taken after pausing, then restore the circuit breaker
+ *
+ * Neither the circuit breaker nor pause() gates rebalanceYield(), and a
+ * rebalance between the withdraw and the fund would size the dividend on a NAV
+ * that is missing the funds in transit. The migration is refused unless the
+ * caller says the keeper is stopped (keeperStopped), and a rebalance that
+ * lands anyway fails the verification.
+ *
+ * The vault has no call that empties its strategy on demand, so the funds pass
+ * through the operator: from the withdraw until the fund step, the withdrawn
+ * USDC sits in the operator's account (an EOA unless the admin is a Safe), and
+ * the record's "custody" says how much and whether it has been handed on.
+ * On a BTCStrategy the operator takes VAULT_ROLE for the withdraw and the
+ * deploy and revokes it afterwards, together with the vault's VAULT_ROLE on
+ * the old strategy. A failed verification leaves the vault paused.
+ *
+ * emergencyWithdraw() sends the strategy's WBTC to the operator as WBTC, so it
+ * never reaches the new strategy. An emergency migration of a BTCStrategy
+ * holding WBTC is refused unless the caller accepts that (acceptWbtc); the
+ * WBTC leg is then left out of the verification and recorded under "wbtc".
+ *
+ * The run is logged to an audit record, deployments/migrations/<network>-<time>.json,
+ * rewritten after every transaction:
+ *
+ *   {
+ *     "version": 1, "network", "chainId", "dryRun", "operator", "vault",
+ *     "from": { "address", "kind" }, "to": { "address", "kind", "block" },
+ *     "mode": "withdraw"|"emergency", "toleranceBps", "circuitBreaker",
+ *     "startedAt", "completedAt",
+ *     "status": "running"|"completed"|"verification-failed"|"failed",
+ *     "before", "after", "driftBps", "withdrawn",
+ *     "custody": { "holder", "amount", "releasedAt" } | null,
+ *     "wbtc": { "amount", "value" } | null,
+ *     "steps": [ { "id", "label", "txs", "note", "at" } ],
+ *     "error": null
+ *   }
+ */
+const RECORD_VERSION = 1;
+const MIGRATIONS_DIR = path.join(DEPLOYMENTS_DIR, "migrations");
+const STRATEGY_KINDS = ["MockStrategy", "BTCStrategy"];
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+const ONE_SHARE = 10n ** 6n;
+
+// Manifest entries a new BTCStrategy is built from, in constructor order
+const BTC_STRATEGY_DEPENDENCIES = ["wbtc", "aUsdc", "btcUsdFeed", "usdcUsdFeed", "uniswapRouter", "aavePool"];
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function createMigrationRecord({ network, chainId, dryRun, operator, vault, mode, toleranceBps }) {
+    return {
+        version: RECORD_VERSION,
+        network,
+        chainId: Number(chainId),
+        dryRun,
+        operator,
+        vault,
+        from: null,
+        to: null,
+        mode,
+        toleranceBps: Number(toleranceBps),
+        circuitBreaker: null,
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        status: "running",
+        before: null,
+        after: null,
+        driftBps: null,
+        withdrawn: null,
+        custody: null,
+        wbtc: null,
+        steps: [],
+        error: null,
+    };
+}
+
+function migrationRecordPath(record) {
+    const stamp = record.startedAt.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+    return path.join(MIGRATIONS_DIR, `${record.network}-${stamp}${record.dryRun ? "-dry-run" : ""}.json`);
+}
+
+function writeMigrationRecord(record) {
+    const file = migrationRecordPath(record);
+    const replacer = (_, value) => (typeof value === "bigint" ? value.toString() : value);
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(record, replacer, 2) + "\n");
+    return file;
+}
+
+// MockStrategy has no access control, so hasRole() reverts
+async function strategyAt(ethers, address, signer) {
+    if ((await ethers.provider.getCode(address)) === "0x") throw new Error(`No contract at ${address}`);
+    const btc = await ethers.getContractAt("BTCStrategy", address, signer);
+    const hasRoles = await btc.hasRole(ethers.ZeroHash, ethers.ZeroAddress).then(() => true, () => false);
+    return hasRoles
+        ? { kind: "BTCStrategy", contract: btc }
+        : { kind: "MockStrategy", contract: await ethers.getContractAt("MockStrategy", address, signer) };
+}
+
+/** |after - before| in basis points of before */
+function driftBps(before, after) {
+    if (before === 0n) return after === 0n ? 0n : 10000n;
+    const diff = after > before ? after - before : before - after;
+    return (diff * 10000n) / before;
+}
+
+async function requireRole(contract, roleName, account, what) {
+    if (!(await contract.hasRole(await contract[roleName](), account))) throw new Error(`${account} needs ${roleName} on ${what}`);
+}
+
+/**
+ * Check a strategy the vault could be pointed at.
+ */
+async function checkTarget({ kind, contract }, { vault, asset, operator }) {
+    if (!same(await contract.usdc(), asset)) throw new Error(`The new ${kind} holds ${await contract.usdc()}, not the vault asset ${asset}`);
+    if (kind === "MockStrategy") {
+        if (!same(await contract.vault(), vault)) throw new Error(`The new MockStrategy was built for vault ${await contract.vault()}`);
+        return;
+    }
+    if (!(await contract.hasRole(await contract.VAULT_ROLE(), vault))) throw new Error("The new BTCStrategy does not grant VAULT_ROLE to the vault");
+    await requireRole(contract, "DEFAULT_ADMIN_ROLE", operator, "the new BTCStrategy");
+}
+
+/**
+ * Run a migration. Everything is checked before the vault is paused; a
+ * failure after that throws with the vault still paused and the record
+ * saying how far it got.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} opts
+ * @param {import("ethers").Contract} opts.vault  vSTRC, connected to the operator
+ * @param {import("ethers").Signer} opts.signer   Operator: MANAGER_ROLE on the vault, admin of BTCStrategies
+ * @param {{ address?: string, kind?: string }} opts.target  Attach `address`, or deploy a new `kind`
+ *   (default: the current strategy's kind)
+ * @param {object} opts.manifest  deployments/<network>.json; supplies a new strategy's constructor arguments
+ * @param {boolean} [opts.emergency]  emergencyWithdraw() instead of withdraw()
+ * @param {boolean} [opts.acceptWbtc]  Let an emergency migration leave the old strategy's WBTC with the operator
+ * @param {boolean} [opts.keeperStopped]  The caller has stopped the keeper; refused without it
+ * @param {bigint} opts.toleranceBps  Allowed drift of totalAssets and share price
+ * @param {object} opts.record    createMigrationRecord() output; updated in place
+ * @param {boolean} [opts.persist]  Write the record after every transaction
+ * @param {(line: string) => void} [opts.log]
+ * @returns {Promise<object>} The record; status "completed" or "verification-failed"
+ */
+async function migrateStrategy(hre, { vault, signer, target, manifest, emergency = false, acceptWbtc = false, keeperStopped = false, toleranceBps, record, persist = false, log = console.log }) {
+    const { ethers } = hre;
+    const save = () => persist && writeMigrationRecord(record);
+    const operator = await signer.getAddress();
+    const vaultAddress = await vault.getAddress();
+    const asset = await vault.asset();
+    const usdc = await ethers.getContractAt(IERC20, asset, signer);
+
+    // ─── Checks ───
+    if (!keeperStopped) {
+        throw new Error("rebalanceYield() is not paused by the migration — stop the keeper, then pass --keeper-stopped");
+    }
+    await requireRole(vault, "MANAGER_ROLE", operator, "the vault");
+    const oldAddress = await vault.strategy();
+    if (oldAddress === ethers.ZeroAddress) throw new Error("The vault has no strategy to migrate from");
+    const old = await strategyAt(ethers, oldAddress, signer);
+    record.from = { address: oldAddress, kind: old.kind };
+
+    let wbtc = null;
+    if (old.kind === "BTCStrategy") {
+        await requireRole(old.contract, "DEFAULT_ADMIN_ROLE", operator, "the old BTCStrategy");
+        if (emergency) {
+            await requireRole(old.contract, "MANAGER_ROLE", operator, "the old BTCStrategy");
+            wbtc = await ethers.getContractAt(IERC20, await old.contract.wbtc(), signer);
+            const held = await wbtc.balanceOf(oldAddress);
+            if (held > 0n && !acceptWbtc) {
+                throw new Error(`The old BTCStrategy holds ${ethers.formatUnits(held, 8)} WBTC, which emergencyWithdraw() sends to the operator, ` +
+                    "not the new strategy — sell it first, or pass --accept-wbtc to migrate without it");
+            }
+        }
+    } else if (emergency) {
+        throw new Error("MockStrategy has no emergencyWithdraw() — migrate without --emergency");
+    }
+
+    let next = null;
+    const kind = target.kind || old.kind;
+    if (target.address) {
+        if (same(target.address, oldAddress)) throw new Error("The vault already uses that strategy");
+        next = await strategyAt(ethers, target.address, signer);
+        await checkTarget(next, { vault: vaultAddress, asset, operator });
+    } else if (!STRATEGY_KINDS.includes(kind)) {
+        throw new Error(`Unknown strategy kind "${kind}" (have: ${STRATEGY_KINDS.join(", ")})`);
+    } else if (kind === "BTCStrategy") {
+        const missing = BTC_STRATEGY_DEPENDENCIES.filter((name) => !manifest.contracts[name]);
+        if (missing.length > 0) throw new Error(`A new BTCStrategy needs ${missing.join(", ")} in the manifest`);
+    }
+
+    // ─── Steps ───
+    const granted = [];
+
+    async function step(id, label, run) {
+        log(`\n▶ ${label}`);
+        const entry = { id, label, txs: [], note: null, at: null };
+        record.steps.push(entry);
+        save();
+        const send = async (pending) => {
+            const tx = await pending;
+            entry.txs.push(tx.hash);
+            save();
+            log(`  📤 ${tx.hash}`);
+            return tx.wait();
+        };
+        const result = await run(send);
+        entry.note = result?.note ?? null;
+        entry.at = new Date().toISOString();
+        save();
+        if (entry.note) log(`  ${entry.note}`);
+    }
+
+    async function grantSelf(send, contract, roleName) {
+        const role = await contract[roleName]();
+        if (await contract.hasRole(role, operator)) return;
+        await send(contract.grantRole(role, operator));
+        granted.push({ contract, role });
+    }
+
+    const snapshot = async (strategy) => ({
+        totalAssets: await vault.totalAssets(),
+        sharePrice: await vault.convertToAssets(ONE_SHARE),
+        vaultBalance: await usdc.balanceOf(vaultAddress),
+        strategyValue: await strategy.totalValue(),
+        lastEpochTimestamp: await vault.lastEpochTimestamp(),
+    });
+
+    try {
+        const breaker = { minting: await vault.mintingPaused(), redeeming: await vault.redeemingPaused() };
+        record.circuitBreaker = breaker;
+        await step("pause", "Pause minting and redemptions", async (send) => {
+            if (breaker.minting && breaker.redeeming) return { note: "already paused" };
+            await send(vault.setCircuitBreaker(true, true));
+        });
+        record.before = await snapshot(old.contract);
+        log(`  Total assets ${formatUsd(record.before.totalAssets)}, share ${formatUsd(record.before.sharePrice)}`);
+
+        // What totalAssets() counted for the WBTC that emergencyWithdraw() hands over as WBTC
+        const wbtcValue = wbtc ? await old.contract.btcTreasuryValue() : 0n;
+        const startBalance = await usdc.balanceOf(operator);
+        const startWbtc = wbtc ? await wbtc.balanceOf(operator) : 0n;
+        await step("withdraw", emergency ? "emergencyWithdraw() from the old BTCStrategy" : `Withdraw everything from the old ${old.kind}`, async (send) => {
+            if (emergency) {
+                await send(old.contract.emergencyWithdraw(operator));
+                return;
+            }
+            const value = await old.contract.totalValue();
+            if (value === 0n) return { note: "nothing deployed" };
+            if (old.kind === "BTCStrategy") await grantSelf(send, old.contract, "VAULT_ROLE");
+            await send(old.contract.withdraw(value));
+        });
+        record.withdrawn = (await usdc.balanceOf(operator)) - startBalance;
+        if (record.withdrawn > 0n) record.custody = { holder: operator, amount: record.withdrawn, releasedAt: null };
+        save();
+        log(`  Received ${formatUsd(record.withdrawn)}${record.withdrawn > 0n ? `, held by ${operator} until the fund step` : ""}`);
+        if (wbtc) {
+            record.wbtc = { amount: (await wbtc.balanceOf(operator)) - startWbtc, value: wbtcValue };
+            if (record.wbtc.amount > 0n) {
+                log(`  ⚠️  ${ethers.formatUnits(record.wbtc.amount, 8)} WBTC (${formatUsd(wbtcValue)}) also went to ${operator}; it is not moved`);
+            }
+        }
+
+        if (next) {
+            await step("attach", `Attach ${next.kind} ${target.address}`, async () => ({ note: "asset, vault link and roles checked" }));
+            record.to = { address: ethers.getAddress(target.address), kind: next.kind, block: null };
+        } else {
+            await step("deploy", `Deploy a new ${kind}`, async (send) => {
+                const address = (name) => manifest.contracts[name].address;
+                const args = kind === "BTCStrategy"
+                    ? [asset, ...BTC_STRATEGY_DEPENDENCIES.map(address), vaultAddress, operator]
+                    : [asset, vaultAddress];
+                const factory = await ethers.getContractFactory(kind, signer);
+                const contract = await factory.deploy(...args);
+                const receipt = await send(contract.deploymentTransaction());
+                record.to = { address: await contract.getAddress(), kind, block: receipt.blockNumber };
+                next = await strategyAt(ethers, record.to.address, signer);
+                return { note: record.to.address };
+            });
+        }
+
+        await step("link", "Point the vault at the new strategy", async (send) => {
+            await send(vault.setStrategy(record.to.address));
+        });
+
+        await step("fund", `Deploy ${formatUsd(record.withdrawn)} into the new ${next.kind}`, async (send) => {
+            if (record.withdrawn === 0n) return { note: "nothing to move" };
+            if (next.kind === "BTCStrategy") await grantSelf(send, next.contract, "VAULT_ROLE");
+            await send(usdc.approve(record.to.address, record.withdrawn));
+            await send(next.contract.deploy(record.withdrawn));
+            record.custody.releasedAt = new Date().toISOString();
+        });
+
+        await step("revoke", "Revoke the temporary and old-strategy roles", async (send) => {
+            const revokes = granted.map(({ contract, role }) => [contract, role, operator]);
+            if (old.kind === "BTCStrategy") {
+                const role = await old.contract.VAULT_ROLE();
+                if (await old.contract.hasRole(role, vaultAddress)) revokes.push([old.contract, role, vaultAddress]);
+            }
+            if (revokes.length === 0) return { note: "nothing to revoke" };
+            for (const [contract, role, account] of revokes) await send(contract.revokeRole(role, account));
+        });
+
+        record.after = await snapshot(next.contract);
+        // Measured against the snapshot less the WBTC left with the operator, if any
+        const { totalAssets, sharePrice } = record.before;
+        const expectedAssets = totalAssets - wbtcValue;
+        const expectedPrice = totalAssets === 0n ? sharePrice : (sharePrice * expectedAssets) / totalAssets;
+        record.driftBps = {
+            totalAssets: driftBps(expectedAssets, record.after.totalAssets),
+            sharePrice: driftBps(expectedPrice, record.after.sharePrice),
+        };
+        const rebalanced = record.after.lastEpochTimestamp !== record.before.lastEpochTimestamp;
+        const within = !rebalanced && record.driftBps.totalAssets <= toleranceBps && record.driftBps.sharePrice <= toleranceBps;
+        await step("verify", `Verify within ${formatBps(toleranceBps)}`, async () => ({
+            note: `total assets ${formatUsd(expectedAssets)} → ${formatUsd(record.after.totalAssets)}` +
+                ` (${formatBps(record.driftBps.totalAssets)}), share ${formatUsd(expectedPrice)} → ` +
+                `${formatUsd(record.after.sharePrice)} (${formatBps(record.driftBps.sharePrice)})` +
+                (wbtcValue > 0n ? `, excluding ${formatUsd(wbtcValue)} of WBTC` : "") +
+                (rebalanced ? "; rebalanceYield() ran during the migration" : ""),
+        }));
+        if (!within) {
+            record.status = "verification-failed";
+            save();
+            return record;
+        }
+
+        await step("unpause", "Restore the circuit breaker", async (send) => {
+            if (breaker.minting && breaker.redeeming) return { note: "left paused, as it was before the migration" };
+            await send(vault.setCircuitBreaker(breaker.minting, breaker.redeeming));
+        });
+        record.status = "completed";
+        record.completedAt = new Date().toISOString();
+        save();
+        return record;
+    } catch (err) {
+        record.status = "failed";
+        record.error = err.shortMessage || err.message;
+        save();
+        throw err;
+    }
+}
+
+module.exports = {
+    RECORD_VERSION,
+    STRATEGY_KINDS,
+    createMigrationRecord,
+    migrationRecordPath,
+    writeMigrationRecord,
+    migrateStrategy,
+};
@@ -0,0 +1,153 @@
+/**
+ * Human-unit argument types for the vstrc:* tasks, also used to read the
+ * expected-state files of deploy:check.
+ *
+ * Each type is a Hardhat CLI argument type ({ name, parse, validate }), so
+ * the task receives raw on-chain units while operators type what they read on
+ * the dashboard:
+ *
+ *   percent   "8%", "8.5%", "850bps"        → 850n (basis points)
+ *   usd       "$1,000,000", "50k", "2.5m"    → 6-decimal units (USDC scale)
+ *   usdCap    as usd, or "max" / "none"      → MaxUint256 for no cap
+ *   price     as usd, any decimals           → decimal string, scaled per feed
+ *   switch    "paused" / "open", "on" / "off"
+ *   duration  "7d", "12h", "30m", "3600" (seconds)
+ *
+ * A bare number is rejected for percent ("8" could mean 8% or 8 bps).
+ *
+ * Hardhat runs `validate` on every supplied argument, including the already
+ * parsed values hre.run() passes (850n, true, "97000"), so it checks the
+ * output of `parse` rather than the text an operator types.
+ */
+const USDC_DECIMALS = 6;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const SUFFIXES = { k: 3, m: 6, b: 9 };
+const SECONDS = { s: 1n, m: 60n, h: 3600n, d: 86400n, w: 604800n };
+
+function fail(argName, value, expected) {
+    throw new Error(`Invalid value "${value}" for --${argName}: expected ${expected}`);
+}
+
+function validateUnits(argName, value) {
+    if (typeof value !== "bigint" || value < 0n) fail(argName, value, "a non-negative bigint");
+}
+
+// Decimal string → integer at `decimals`, without float rounding
+function scale(text, decimals) {
+    const [whole, fraction = ""] = text.split(".");
+    if (fraction.length > decimals) return null;
+    return BigInt(whole || "0") * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, "0") || "0");
+}
+
+/**
+ * "$1,000,000" / "1_000_000" / "50k" / "2.5m" → decimal string "1000000".
+ * @returns {string|null}
+ */
+function normaliseAmount(input) {
+    const text = String(input).trim().toLowerCase().replace(/^\$/, "").replace(/[,_\s]/g, "");
+    const match = /^(\d+(?:\.\d+)?|\.\d+)([kmb])?$/.exec(text);
+    if (!match) return null;
+    const [, number, suffix] = match;
+    if (!suffix) return number;
+    const units = scale(number, SUFFIXES[suffix]);
+    return units === null ? null : units.toString();
+}
+
+const percent = {
+    name: "percent",
+    parse(argName, value) {
+        const text = String(value).trim().toLowerCase().replace(/\s/g, "");
+        const bps = /^(\d+)bps$/.exec(text);
+        if (bps) return BigInt(bps[1]);
+        const pct = /^(\d+(?:\.\d+)?)%$/.exec(text);
+        const units = pct ? scale(pct[1], 2) : null;
+        if (units === null) fail(argName, value, 'a percentage like "8%" or basis points like "800bps"');
+        return units;
+    },
+    validate: validateUnits,
+};
+
+const usd = {
+    name: "usd",
+    parse(argName, value) {
+        const amount = normaliseAmount(value);
+        const units = amount === null ? null : scale(amount, USDC_DECIMALS);
+        if (units === null) fail(argName, value, 'a USDC amount like "$1,000,000", "50k" or "12.5"');
+        return units;
+    },
+    validate: validateUnits,
+};
+
+const usdCap = {
+    name: "usdCap",
+    parse(argName, value) {
+        if (["max", "none", "unlimited"].includes(String(value).trim().toLowerCase())) return MAX_UINT256;
+        return usd.parse(argName, value);
+    },
+    validate: validateUnits,
+};
+
+// Scaled later, once the feed's decimals are known
+const price = {
+    name: "price",
+    parse(argName, value) {
+        const amount = normaliseAmount(value);
+        if (amount === null) fail(argName, value, 'a price like "$97,000" or "99.5"');
+        return amount;
+    },
+    validate(argName, value) {
+        if (typeof value !== "string" || !/^(\d+(\.\d+)?|\.\d+)$/.test(value)) fail(argName, value, "a decimal string");
+    },
+};
+
+const SWITCH_WORDS = {
+    paused: true, pause: true, on: true, true: true, yes: true,
+    open: false, resume: false, off: false, false: false, no: false,
+};
+
+const toggle = {
+    name: "switch",
+    parse(argName, value) {
+        const word = String(value).trim().toLowerCase();
+        if (!Object.hasOwn(SWITCH_WORDS, word)) fail(argName, value, '"paused" or "open"');
+        return SWITCH_WORDS[word];
+    },
+    validate(argName, value) {
+        if (typeof value !== "boolean") fail(argName, value, "a boolean");
+    },
+};
+
+const duration = {
+    name: "duration",
+    parse(argName, value) {
+        const match = /^(\d+)([smhdw])?$/.exec(String(value).trim().toLowerCase());
+        if (!match) fail(argName, value, 'a duration like "7d", "1h" or seconds');
+        return BigInt(match[1]) * SECONDS[match[2] || "s"];
+    },
+    validate: validateUnits,
+};
+
+/** Price string from the `price` type → feed units */
+function scalePrice(amount, decimals) {
+    const units = scale(amount, Number(decimals));
+    if (units === null) throw new Error(`${amount} has more than ${decimals} decimals`);
+    return units;
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────
+
+const formatBps = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+function formatUsd(units, decimals = USDC_DECIMALS) {
+    if (BigInt(units) === MAX_UINT256) return "unlimited";
+    const whole = Number(units) / 10 ** Number(decimals);
+    return `$${whole.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: Number(decimals) })}`;
+}
+
+module.exports = {
+    MAX_UINT256,
+    types: { percent, usd, usdCap, price, switch: toggle, duration },
+    scalePrice,
+    formatBps,
+    formatUsd,
+};
@@ -0,0 +1,17 @@
+const path = require("path");
+const { task } = require("hardhat/config");
+const { ABI_EXPORTS, exportAbis } = require("../scripts/lib/abi");
+
+task("abi:export", "Write the frontend ABIs in frontend/src/abis from compiled artifacts")
+    .setAction(async (_, hre) => {
+        await hre.run("compile", { quiet: true });
+
+        const changed = await exportAbis(hre.artifacts);
+        if (changed.length === 0) {
+            console.log(`✅ Frontend ABIs up to date (${ABI_EXPORTS.length} contracts)`);
+            return;
+        }
+        for (const file of changed) {
+            console.log(`📝 ${path.relative(hre.config.paths.root, file)}`);
+        }
+    });
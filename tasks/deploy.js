@@ -0,0 +1,146 @@
+const { task } = require("hardhat/config");
+const { loadProfile, PROFILES } = require("../scripts/lib/profiles");
+const {
+    createJournal,
+    journalMismatch,
+    journalPath,
+    planSteps,
+    readJournal,
+    runPipeline,
+} = require("../scripts/lib/deployPipeline");
+const { readManifest } = require("../scripts/lib/manifest");
+const { checkInvariants, expectedStatePath, readExpectedState } = require("../scripts/lib/invariants");
+
+/**
+ * Profile-driven, resumable deployment.
+ *
+ *   npx hardhat deploy:run --network sepolia
+ *   npx hardhat deploy:run --network localhost --profile mainnet-fork
+ *   npx hardhat deploy:run --network sepolia --admin 0xSafe… --keeper 0xBot…
+ *   npx hardhat deploy:status --network sepolia
+ *   npx hardhat deploy:check --network sepolia
+ *
+ * Deploys the profile's mocks (or checks its existing addresses), the vault
+ * and the strategy, links them, wires VAULT_ROLE / KEEPER_ROLE and hands admin
+ * to --admin (default ADMIN_ADDRESS, else the deployer). Each step is journaled
+ * in deployments/runs/<network>.json; rerunning after a failure resumes where
+ * it stopped. Ends by writing deployments/<network>.json for the frontend.
+ *
+ * deploy:check compares the live contracts with the declared state in
+ * deployments/expected/<network>.json (links, roles, tunables, feeds) and
+ * exits non-zero on any violation, so it can gate a release.
+ */
+
+// The in-process hardhat network disappears when the task exits
+const isEphemeral = (hre) => hre.network.name === "hardhat";
+
+task("deploy:run", "Deploy or resume the protocol deployment for a network profile")
+    .addOptionalParam("profile", `Deployment profile: ${Object.keys(PROFILES).join(", ")} (default: the network name)`)
+    .addOptionalParam("admin", "Receives DEFAULT_ADMIN_ROLE and MANAGER_ROLE (default: ADMIN_ADDRESS, else the deployer)")
+    .addOptionalParam("keeper", "Receives KEEPER_ROLE on the vault (default: KEEPER_ADDRESS, else the deployer)")
+    .addFlag("fresh", "Ignore the recorded run and deploy everything again")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const profile = loadProfile(args.profile || hre.network.name, hre.network.name);
+
+        const [deployer] = await ethers.getSigners();
+        const chainId = Number((await ethers.provider.getNetwork()).chainId);
+        const admin = ethers.getAddress(args.admin || process.env.ADMIN_ADDRESS || deployer.address);
+        const keeper = ethers.getAddress(args.keeper || process.env.KEEPER_ADDRESS || deployer.address);
+
+        console.log("╔═══════════════════════════════════════════════════╗");
+        console.log("║           vSTRC Protocol — Deployment             ║");
+        console.log("╚═══════════════════════════════════════════════════╝");
+        console.log(`Network:  ${hre.network.name} (${chainId})`);
+        console.log(`Profile:  ${profile.name} — ${profile.description}`);
+        console.log(`Strategy: ${profile.strategy}`);
+        console.log(`Deployer: ${deployer.address}`);
+        console.log(`Balance:  ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
+        console.log(`Admin:    ${admin}`);
+        console.log(`Keeper:   ${keeper}\n`);
+
+        const expected = { network: hre.network.name, profile: profile.name, chainId, deployer: deployer.address, admin, keeper };
+        let journal = isEphemeral(hre) || args.fresh ? null : readJournal(hre.network.name);
+        if (journal) {
+            const mismatch = journalMismatch(journal, expected);
+            if (mismatch) {
+                throw new Error(`${journalPath(hre.network.name)} belongs to another run (${mismatch}) — pass --fresh to start over`);
+            }
+            const done = Object.values(journal.steps).filter((s) => s.status === "done").length;
+            console.log(`↻ Resuming run started ${journal.startedAt} (${done} steps done)\n`);
+        } else {
+            journal = createJournal(expected);
+        }
+
+        const { addresses } = await runPipeline(hre, { profile, journal, persist: !isEphemeral(hre) });
+
+        console.log("\n╔═══════════════════════════════════════════════════╗");
+        console.log("║            Deployment Summary                     ║");
+        console.log("╠═══════════════════════════════════════════════════╣");
+        for (const [name, address] of Object.entries(addresses)) {
+            console.log(`║ ${`${name}:`.padEnd(15)} ${address}`);
+        }
+        console.log("╚═══════════════════════════════════════════════════╝");
+
+        if (isEphemeral(hre)) {
+            console.log("\n📄 In-process hardhat network — journal and manifest not written (use --network localhost)");
+        } else {
+            console.log(`\n📄 Journal:  ${journalPath(hre.network.name)}`);
+            console.log(`📄 Manifest: deployments/${hre.network.name}.json`);
+        }
+    });
+
+task("deploy:status", "Show the recorded deployment run for a network")
+    .setAction(async (_, hre) => {
+        const journal = readJournal(hre.network.name);
+        if (!journal) {
+            console.log(`No recorded run for ${hre.network.name} (${journalPath(hre.network.name)})`);
+            return;
+        }
+
+        const profile = loadProfile(journal.profile, hre.network.name);
+        console.log(`Profile:   ${journal.profile} (chain ${journal.chainId})`);
+        console.log(`Deployer:  ${journal.deployer}`);
+        console.log(`Admin:     ${journal.admin}`);
+        console.log(`Keeper:    ${journal.keeper}`);
+        console.log(`Started:   ${journal.startedAt}`);
+        console.log(`Completed: ${journal.completedAt || "no"}\n`);
+
+        const steps = planSteps(profile, { ...journal, manifest: true });
+        for (const step of steps) {
+            const entry = journal.steps[step.id];
+            const mark = entry?.status === "done" ? "✓" : entry?.status === "pending" ? "…" : " ";
+            const detail = entry?.address || entry?.tx || "";
+            console.log(`  [${mark}] ${step.id.padEnd(40)} ${detail}`);
+        }
+        if (!journal.completedAt) process.exitCode = 1;
+    });
+
+task("deploy:check", "Check the live deployment against deployments/expected/<network>.json")
+    .addOptionalParam("expected", "Expected-state file (default: deployments/expected/<network>.json)")
+    .setAction(async (args, hre) => {
+        const manifest = readManifest(hre.network.name);
+        if (!manifest) throw new Error(`No deployments/${hre.network.name}.json — deploy first`);
+        const file = args.expected || expectedStatePath(hre.network.name);
+        const expected = readExpectedState(file);
+        if (!expected) throw new Error(`No expected state at ${file}`);
+
+        const results = await checkInvariants(hre, { manifest, expected });
+
+        console.log(`\n🔍 Deployment check — ${hre.network.name}, against ${file}`);
+        let target = null;
+        for (const result of results) {
+            if (result.target !== target) {
+                target = result.target;
+                console.log(`\n  ${target}`);
+            }
+            const detail = result.ok ? result.actual : `expected ${result.expected}, got ${result.actual}`;
+            console.log(`    ${result.ok ? "✓" : "✗"} ${result.check.padEnd(38)} ${detail}`);
+        }
+
+        const failed = results.filter((result) => !result.ok).length;
+        console.log(failed === 0
+            ? `\n✅ All ${results.length} checks passed`
+            : `\n❌ ${failed} of ${results.length} checks failed`);
+        if (failed > 0) process.exitCode = 1;
+    });
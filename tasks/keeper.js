@@ -0,0 +1,130 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { readManifest } = require("../scripts/lib/manifest");
+const { formatBps, formatUsd } = require("../scripts/lib/units");
+const { createJsonLogger, createKeeper } = require("../scripts/lib/keeperDaemon");
+
+/**
+ * rebalanceYield() dry run — the CLI twin of the frontend Keeper Console.
+ *
+ *   npx hardhat keeper:rebalance --network sepolia
+ *   npx hardhat keeper:rebalance --network sepolia --execute
+ *
+ * Reads the vault state, replays the contract's branch logic to project the
+ * new rate, the epoch dividend and the strategy calls, then simulates the
+ * call with staticCall from the keeper signer. With --execute the call is sent
+ * once the simulation passes.
+ *
+ *   npx hardhat keeper:daemon --network sepolia
+ *
+ * keeper:daemon is the long-running form: it sleeps until the epoch opens by
+ * chain time, waits out a stale oracle instead of sending, caps gas, replaces
+ * stuck transactions and keeps its state in .keeper/<network>.json across
+ * restarts. Logs are JSON lines on stdout.
+ */
+
+// ESM module shared with the frontend
+const loadRebalancePlan = () => import("../frontend/src/rebalancePlan.mjs");
+
+function revertName(err) {
+    return err.revert?.name || err.shortMessage || err.message;
+}
+
+task("keeper:rebalance", "Dry-run rebalanceYield() and optionally send it")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addFlag("execute", "Send rebalanceYield() if the simulation succeeds")
+    .setAction(async ({ vault: vaultArg, execute }, hre) => {
+        const { ethers } = hre;
+        const { readRebalanceInputs, projectRebalance } = await loadRebalancePlan();
+
+        const address = vaultArg || readManifest(hre.network.name)?.contracts.vault?.address;
+        if (!address) throw new Error(`No vault for ${hre.network.name} — pass --vault or deploy first`);
+
+        const [keeper] = await ethers.getSigners();
+        const vault = await ethers.getContractAt("vSTRC", address, keeper);
+
+        const inputs = await readRebalanceInputs(vault);
+        const plan = projectRebalance(inputs);
+
+        console.log(`\n🔎 rebalanceYield() dry run — ${hre.network.name}, block ${inputs.blockNumber}`);
+        console.log(`   Vault:          ${address}`);
+        console.log(`   Keeper:         ${keeper.address}`);
+        console.log(`   Epoch:          #${inputs.epochCount + 1n}, ${plan.pendingEpochs} pending`);
+        console.log(`   Market price:   ${formatUsd(plan.marketPrice)} (${plan.priceSource}${plan.oracleAge !== null ? `, ${plan.oracleAge}s old` : ""})`);
+        console.log(`   Target price:   ${formatUsd(inputs.targetPrice)} — ${plan.direction}`);
+        console.log(`   Rate:           ${formatBps(plan.currentRateBps)} → ${formatBps(plan.newRateBps)}`);
+        console.log(`   Epoch dividend: ${formatUsd(plan.epochDividend)}`);
+        console.log(`   Sells BTC:      ${plan.sellsBtc ? `yes, ${formatUsd(plan.btcToSell)}` : "no"}`);
+        console.log(`   USDC to vault:  ${formatUsd(plan.usdcToVault)}${plan.harvested === null && inputs.strategy ? " + unknown harvest" : ""}`);
+        if (plan.deployedToStrategy > 0n) console.log(`   USDC deployed:  ${formatUsd(plan.deployedToStrategy)}`);
+
+        if (plan.steps.length > 0) {
+            console.log("\n   Strategy calls:");
+            for (const step of plan.steps) {
+                console.log(`     strategy.${step.method}(${step.args.map(String).join(", ")})`);
+            }
+        }
+        for (const blocker of plan.blockers) console.log(`\n⚠️  Projected revert: ${blocker}`);
+        if (plan.blockers.includes("EpochNotElapsed")) {
+            console.log(`   Next epoch opens ${new Date(Number(plan.nextEpochAt) * 1000).toISOString()}`);
+        }
+
+        const hasKeeperRole = await vault.hasRole(ethers.id("KEEPER_ROLE"), keeper.address);
+        if (!hasKeeperRole) console.log(`\n⚠️  ${keeper.address} does not hold KEEPER_ROLE`);
+
+        try {
+            await vault.rebalanceYield.staticCall();
+            console.log("\n✅ Simulation succeeded");
+        } catch (err) {
+            console.log(`\n❌ Simulation reverted: ${revertName(err)}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (!execute) {
+            console.log("   Dry run only — pass --execute to send.");
+            return;
+        }
+
+        const tx = await vault.rebalanceYield();
+        console.log(`📤 ${tx.hash}`);
+        await tx.wait();
+        console.log(`✅ Epoch ${await vault.epochCount()} complete, rate ${formatBps(await vault.currentRateBps())}`);
+    });
+
+task("keeper:daemon", "Run a long-lived keeper that calls rebalanceYield() every epoch")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addOptionalParam("state", "State file (default: .keeper/<network>.json)")
+    .addOptionalParam("maxFee", "Gas cap in gwei (default: KEEPER_MAX_FEE_GWEI, else 50)")
+    .addOptionalParam("replaceAfter", "Seconds before a stuck transaction is replaced", 180, types.int)
+    .addOptionalParam("poll", "Seconds between checks while waiting on the oracle or gas", 60, types.int)
+    .addOptionalParam("staleAlert", "Seconds of stale or invalid oracle before alerting", 900, types.int)
+    .addOptionalParam("webhook", "URL that receives alerts as JSON (default: KEEPER_ALERT_WEBHOOK)")
+    .addFlag("once", "Make a single decision and exit")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const address = args.vault || readManifest(hre.network.name)?.contracts.vault?.address;
+        if (!address) throw new Error(`No vault for ${hre.network.name} — pass --vault or deploy first`);
+
+        const [signer] = await ethers.getSigners();
+        const keeper = createKeeper({
+            vault: await ethers.getContractAt("vSTRC", address, signer),
+            statePath: args.state || path.join(__dirname, "..", ".keeper", `${hre.network.name}.json`),
+            maxFeePerGas: ethers.parseUnits(args.maxFee || process.env.KEEPER_MAX_FEE_GWEI || "50", "gwei"),
+            replaceAfter: args.replaceAfter,
+            pollInterval: args.poll,
+            staleAlertAfter: args.staleAlert,
+            alertWebhook: args.webhook || process.env.KEEPER_ALERT_WEBHOOK || null,
+            log: createJsonLogger(),
+        });
+
+        if (args.once) {
+            const { event } = await keeper.tick();
+            if (event === "simulation-failed" || event === "reverted") process.exitCode = 1;
+            return;
+        }
+
+        process.once("SIGINT", keeper.stop);
+        process.once("SIGTERM", keeper.stop);
+        await keeper.run();
+    });
@@ -0,0 +1,92 @@
+const { task, types } = require("hardhat/config");
+const { readManifest } = require("../scripts/lib/manifest");
+
+/**
+ * Role membership audit rebuilt from AccessControl logs.
+ *
+ *   npx hardhat roles:audit --network sepolia
+ *   npx hardhat roles:audit --network sepolia --history
+ *
+ * Replays RoleGranted / RoleRevoked / RoleAdminChanged from the deployment
+ * block, prints the current holders of every role on the vault and (when it is
+ * a BTCStrategy) the strategy, and flags risky setups. Exits non-zero when an
+ * error-level issue is found. Shares its logic with the frontend Role Audit.
+ */
+
+// ESM module shared with the frontend
+const loadRoleAudit = () => import("../frontend/src/roleAudit.mjs");
+
+// Public RPC endpoints cap the eth_getLogs range
+async function queryChunked(contract, eventName, fromBlock, toBlock, chunkSize) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        logs.push(...await contract.queryFilter(eventName, start, Math.min(start + chunkSize - 1, toBlock)));
+    }
+    return logs;
+}
+
+task("roles:audit", "List role holders and history from AccessControl events and flag risky setups")
+    .addOptionalParam("fromBlock", "First block to scan (default: the manifest deployBlock)", undefined, types.int)
+    .addOptionalParam("chunk", "Blocks per eth_getLogs request", 9000, types.int)
+    .addFlag("history", "Print every grant, revoke and admin change")
+    .setAction(async ({ fromBlock, chunk, history }, hre) => {
+        const { ethers } = hre;
+        const { ROLE_EVENTS, auditRoles, loadAccountKinds, replayRoleEvents, roleEventRecord, roleName, sortRoleEvents } =
+            await loadRoleAudit();
+
+        const manifest = readManifest(hre.network.name);
+        if (!manifest) throw new Error(`No deployments/${hre.network.name}.json — deploy first`);
+
+        const targets = [{ name: "vSTRC", address: manifest.contracts.vault.address }];
+        const strategy = manifest.contracts.strategy;
+        if (strategy?.kind === "BTCStrategy") {
+            targets.push({ name: "BTCStrategy", address: strategy.address });
+        } else if (strategy) {
+            console.log(`ℹ️  Skipping the ${strategy.kind} strategy — it has no access control`);
+        }
+
+        const latest = await ethers.provider.getBlockNumber();
+        const start = fromBlock ?? manifest.deployBlock ?? 0;
+
+        const audited = [];
+        for (const target of targets) {
+            const contract = await ethers.getContractAt(target.name, target.address);
+            const records = [];
+            for (const eventName of ROLE_EVENTS) {
+                const logs = await queryChunked(contract, eventName, start, latest, chunk);
+                records.push(...logs.map(roleEventRecord));
+            }
+            audited.push({ ...target, roles: replayRoleEvents(sortRoleEvents(records)) });
+        }
+
+        const accounts = audited.flatMap((c) => Object.values(c.roles).flatMap((r) => r.holders.map((h) => h.account)));
+        const isContract = await loadAccountKinds(ethers.provider, accounts);
+
+        console.log(`\n🔐 Role audit — ${hre.network.name}, blocks ${start}–${latest}`);
+        for (const { name, address, roles } of audited) {
+            console.log(`\n  ${name} ${address}`);
+            for (const state of Object.values(roles)) {
+                const admin = state.admin === ethers.ZeroHash ? "" : ` (admin: ${roleName(state.admin)})`;
+                console.log(`    ${state.name}${admin}`);
+                if (state.holders.length === 0) console.log("      — none");
+                for (const holder of state.holders) {
+                    const kind = isContract[holder.account] ? "contract" : "EOA";
+                    console.log(`      ${holder.account}  ${kind}, since block ${holder.since}`);
+                }
+                if (!history) continue;
+                for (const record of state.history) {
+                    const detail = record.event === "RoleAdminChanged"
+                        ? `${roleName(record.previousAdminRole)} → ${roleName(record.newAdminRole)}`
+                        : `${record.account} by ${record.sender}`;
+                    console.log(`        #${record.block} ${record.event} ${detail}  ${record.txHash}`);
+                }
+            }
+        }
+
+        const issues = auditRoles(audited, { isContract, vault: manifest.contracts.vault.address });
+        console.log(issues.length === 0 ? "\n✅ No issues found" : "");
+        for (const issue of issues) {
+            console.log(`${issue.level === "error" ? "❌" : "⚠️ "} ${issue.contract}: ${issue.message}`);
+        }
+        if (issues.some((issue) => issue.level === "error")) process.exitCode = 1;
+    });
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { readManifest } = require("../scripts/lib/manifest");
+
+/**
+ * Safe Transaction Builder batches for admin calls made through a multisig.
+ *
+ *   npx hardhat safe:batch --network sepolia --plan ops/q3-params.json
+ *   npx hardhat safe:decode --network sepolia --file ops/q3-params.safe.json
+ *
+ * A plan lists calls by manifest contract name; bytes32 role arguments may be
+ * given by name ("KEEPER_ROLE"):
+ *
+ *   {
+ *     "name": "Q3 parameter update",
+ *     "safe": "0x…",
+ *     "calls": [
+ *       { "contract": "vault", "method": "setDividendParams", "args": [900, 2000, 100, 2500] },
+ *       { "contract": "vault", "method": "grantRole", "args": ["KEEPER_ROLE", "0x…"] }
+ *     ]
+ *   }
+ *
+ * Encoding and decoding are shared with the frontend Admin Console.
+ */
+
+// ESM module shared with the frontend
+const loadSafeBatch = () => import("../frontend/src/safeBatch.mjs");
+
+// Artifact used for each manifest entry when the plan does not name one
+const DEFAULT_ARTIFACTS = { vault: "vSTRC", strategy: "BTCStrategy" };
+
+function roleId(ethers, name) {
+    return name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name);
+}
+
+function roleNames(ethers) {
+    return Object.fromEntries(
+        ["DEFAULT_ADMIN_ROLE", "MANAGER_ROLE", "KEEPER_ROLE", "VAULT_ROLE"].map((name) => [roleId(ethers, name), name])
+    );
+}
+
+async function chainIdOf(hre) {
+    return hre.network.config.chainId ?? (await hre.ethers.provider.getNetwork()).chainId;
+}
+
+function loadManifest(hre) {
+    const manifest = readManifest(hre.network.name);
+    if (!manifest) throw new Error(`No deployments/${hre.network.name}.json — deploy first`);
+    return manifest;
+}
+
+/** Manifest contracts with an AccessControl admin surface, for decoding */
+async function knownContracts(hre, manifest) {
+    const known = [];
+    for (const [name, artifactName] of Object.entries(DEFAULT_ARTIFACTS)) {
+        const entry = manifest.contracts[name];
+        if (!entry || (entry.kind && entry.kind !== artifactName)) continue;
+        const { abi } = await hre.artifacts.readArtifact(artifactName);
+        known.push({ name: artifactName, address: entry.address, abi });
+    }
+    return known;
+}
+
+task("safe:batch", "Encode a plan of admin calls as a Safe Transaction Builder batch")
+    .addParam("plan", "Path to the plan JSON")
+    .addOptionalParam("out", "Output path (default: <plan>.safe.json)")
+    .setAction(async ({ plan: planPath, out }, hre) => {
+        const { ethers } = hre;
+        const { buildSafeBatch } = await loadSafeBatch();
+        const manifest = loadManifest(hre);
+        const plan = JSON.parse(fs.readFileSync(planPath, "utf8"));
+
+        const calls = [];
+        for (const [i, call] of plan.calls.entries()) {
+            const entry = manifest.contracts[call.contract];
+            const to = entry ? entry.address : call.contract;
+            const artifactName = call.abi || DEFAULT_ARTIFACTS[call.contract];
+            if (!ethers.isAddress(to) || !artifactName) {
+                throw new Error(`calls[${i}]: unknown contract "${call.contract}" (give a manifest name, or an address plus "abi")`);
+            }
+            if (entry?.kind && call.contract === "strategy" && entry.kind !== artifactName) {
+                throw new Error(`calls[${i}]: the ${hre.network.name} strategy is a ${entry.kind}, which has no ${call.method}()`);
+            }
+
+            const { abi } = await hre.artifacts.readArtifact(artifactName);
+            const fragment = new ethers.Interface(abi).getFunction(call.method);
+            if (!fragment) throw new Error(`calls[${i}]: ${artifactName} has no ${call.method}()`);
+            const args = (call.args || []).map((arg, j) =>
+                fragment.inputs[j]?.type === "bytes32" && /^[A-Z_]+_ROLE$/.test(arg) ? roleId(ethers, arg) : arg
+            );
+
+            calls.push({ to, abi, method: call.method, args });
+            console.log(`  ${i + 1}. ${artifactName}.${fragment.name}(${args.join(", ")})`);
+        }
+
+        const chainId = await chainIdOf(hre);
+        const batch = buildSafeBatch({
+            chainId,
+            calls,
+            safeAddress: plan.safe,
+            name: plan.name,
+            description: plan.description,
+        });
+
+        const target = out || planPath.replace(/\.json$/, "") + ".safe.json";
+        fs.writeFileSync(target, JSON.stringify(batch, null, 2) + "\n");
+        console.log(`\n📄 ${path.relative(process.cwd(), target)} — ${calls.length} call(s) for chain ${chainId}`);
+        console.log("   Import it in the Safe Transaction Builder, then review with safe:decode.");
+    });
+
+task("safe:decode", "Decode a Safe Transaction Builder batch into readable calls")
+    .addParam("file", "Path to the batch JSON")
+    .setAction(async ({ file }, hre) => {
+        const { decodeSafeBatch } = await loadSafeBatch();
+        const manifest = loadManifest(hre);
+
+        const decoded = decodeSafeBatch(fs.readFileSync(file, "utf8"), {
+            contracts: await knownContracts(hre, manifest),
+            chainId: await chainIdOf(hre),
+            roleNames: roleNames(hre.ethers),
+        });
+
+        console.log(`\n📦 ${decoded.name || "Unnamed batch"} — chain ${decoded.chainId}, ${decoded.calls.length} call(s)`);
+        for (const warning of decoded.warnings) console.log(`⚠️  ${warning}`);
+        for (const call of decoded.calls) {
+            console.log(`\n  ${call.index + 1}. ${call.target || call.to}.${call.method || "?"}`);
+            for (const arg of call.args) console.log(`       ${arg.name} (${arg.type}): ${arg.value}`);
+            for (const warning of call.warnings) console.log(`     ⚠️  ${warning}`);
+        }
+        if (decoded.warnings.length > 0 || decoded.calls.some((call) => call.warnings.length > 0)) {
+            process.exitCode = 1;
+        }
+    });
@@ -0,0 +1,601 @@
+const { task } = require("hardhat/config");
+const { readManifest, setContract, writeManifest } = require("../scripts/lib/manifest");
+const { types: units, scalePrice, formatBps, formatUsd } = require("../scripts/lib/units");
+const { createMigrationRecord, migrateStrategy, migrationRecordPath } = require("../scripts/lib/strategyMigration");
+
+/**
+ * Day-to-day operations against the contracts in deployments/<network>.json.
+ *
+ *   npx hardhat vstrc:status --network sepolia
+ *   npx hardhat vstrc:rebalance --network sepolia --dry-run
+ *   npx hardhat vstrc:set-dividend-params --network sepolia --base 8% --max 25%
+ *   npx hardhat vstrc:set-caps --network sepolia --max-total '$1,000,000' --min 10
+ *   npx hardhat vstrc:circuit-breaker --network sepolia --minting paused
+ *   npx hardhat vstrc:grant-role --network sepolia --role keeper --account 0x…
+ *   npx hardhat vstrc:revoke-role --network sepolia --role keeper --account 0x…
+ *   npx hardhat vstrc:set-oracle --network sepolia --oracle none
+ *   npx hardhat vstrc:mock-price --network sepolia --feed btc --price '$95,000'
+ *   npx hardhat vstrc:migrate-strategy --network localhost --manifest sepolia --dry-run
+ *
+ * Amounts take human units (see scripts/lib/units.js); omitted parameters
+ * keep their current value. Every change reads the affected state, simulates
+ * the call from the signer and prints before → after. --dry-run stops after
+ * the simulation and shows the projected state instead.
+ *
+ * vstrc:migrate-strategy is a sequence of transactions that cannot be
+ * simulated one call at a time. Its --dry-run runs the whole migration on a
+ * local fork as the impersonated admin instead (see scripts/lib/strategyMigration.js).
+ */
+
+// ESM module shared with the frontend
+const loadRebalancePlan = () => import("../frontend/src/rebalancePlan.mjs");
+
+const ROLE_ALIASES = {
+    admin: "DEFAULT_ADMIN_ROLE",
+    manager: "MANAGER_ROLE",
+    keeper: "KEEPER_ROLE",
+    vault: "VAULT_ROLE",
+};
+
+function revertName(err) {
+    return err.revert?.name || err.shortMessage || err.message;
+}
+
+const fmtDate = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+const yesNo = (flag) => (flag ? "yes" : "no");
+
+// ─── Shared Helpers ─────────────────────────────────────────────────
+
+/**
+ * The vault (from --vault or the manifest) and its current strategy. The
+ * strategy is typed as BTCStrategy only when it has that admin surface;
+ * MockStrategy has no AccessControl.
+ */
+async function loadTargets(hre, vaultArg) {
+    const { ethers } = hre;
+    const address = vaultArg || readManifest(hre.network.name)?.contracts.vault?.address;
+    if (!address) throw new Error(`No vault for ${hre.network.name} — pass --vault or deploy first`);
+
+    const [signer] = await ethers.getSigners();
+    const vault = await ethers.getContractAt("vSTRC", address, signer);
+
+    let strategy = null;
+    let strategyKind = null;
+    const strategyAddress = await vault.strategy();
+    if (strategyAddress !== ethers.ZeroAddress) {
+        const btc = await ethers.getContractAt("BTCStrategy", strategyAddress, signer);
+        const hasRoles = await btc.hasRole(ethers.ZeroHash, ethers.ZeroAddress).then(() => true, () => false);
+        strategyKind = hasRoles ? "BTCStrategy" : "MockStrategy";
+        strategy = hasRoles ? btc : await ethers.getContractAt("MockStrategy", strategyAddress, signer);
+    }
+    return { signer, vault, strategy, strategyKind };
+}
+
+function printState(state) {
+    const width = Math.max(...Object.keys(state).map((key) => key.length));
+    for (const [key, value] of Object.entries(state)) console.log(`     ${key.padEnd(width)}  ${value}`);
+}
+
+function printDiff(before, after) {
+    const width = Math.max(...Object.keys(before).map((key) => key.length));
+    for (const key of Object.keys(before)) {
+        const changed = before[key] !== after[key];
+        console.log(`   ${changed ? "•" : " "} ${key.padEnd(width)}  ${changed ? `${before[key]} → ${after[key]}` : before[key]}`);
+    }
+}
+
+/**
+ * Simulate, then send (unless dryRun) one admin call and print the state
+ * it touches before and after.
+ * @param {object} change
+ * @param {string} change.title
+ * @param {import("ethers").Contract} change.contract
+ * @param {string} change.method
+ * @param {Array} change.args
+ * @param {() => Promise<Object<string, string>>} change.read  Formatted state, label → value
+ * @param {Object<string, string>} change.expected  Projected values for the labels the call changes
+ * @returns {Promise<boolean>} false when the simulation reverted
+ */
+async function applyChange({ title, contract, method, args, read, expected }, dryRun) {
+    const before = await read();
+    const projected = { ...before, ...expected };
+    console.log(`\n🔧 ${title}: ${method}(${args.map(String).join(", ")})`);
+
+    if (Object.keys(expected).length > 0 && Object.keys(expected).every((key) => before[key] === expected[key])) {
+        printState(before);
+        console.log("\n   Already set — nothing to send.");
+        return true;
+    }
+
+    try {
+        await contract[method].staticCall(...args);
+    } catch (err) {
+        printState(before);
+        console.log(`\n❌ Simulation reverted: ${revertName(err)}`);
+        process.exitCode = 1;
+        return false;
+    }
+
+    if (dryRun) {
+        printDiff(before, projected);
+        console.log("\n   Dry run only — nothing sent.");
+        return true;
+    }
+
+    const tx = await contract[method](...args);
+    console.log(`📤 ${tx.hash}`);
+    await tx.wait();
+    printDiff(before, await read());
+    console.log("✅ Done");
+    return true;
+}
+
+async function readFeed(ethers, address) {
+    const feed = await ethers.getContractAt("MockPriceFeed", address);
+    const [decimals, [, answer, , updatedAt], block] = await Promise.all([
+        feed.decimals(),
+        feed.latestRoundData(),
+        ethers.provider.getBlock("latest"),
+    ]);
+    return { feed, decimals, answer, updatedAt, age: BigInt(block.timestamp) - updatedAt };
+}
+
+const feedLabel = ({ answer, decimals, age }) => `${formatUsd(answer, decimals)} (${age}s old)`;
+
+// ─── Status ─────────────────────────────────────────────────────────
+
+task("vstrc:status", "Print a snapshot of the vault, strategy, oracle and epoch state")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .setAction(async ({ vault: vaultArg }, hre) => {
+        const { ethers } = hre;
+        const { readRebalanceInputs, projectRebalance } = await loadRebalancePlan();
+        const { signer, vault, strategy, strategyKind } = await loadTargets(hre, vaultArg);
+
+        const inputs = await readRebalanceInputs(vault);
+        const plan = projectRebalance(inputs);
+        const [
+            paused, mintingPaused, redeemingPaused, totalDividendsPaid, collateralRatio,
+            maxTotalDeposits, maxSingleDeposit, minDeposit, sharePrice,
+        ] = await Promise.all([
+            vault.paused(),
+            vault.mintingPaused(),
+            vault.redeemingPaused(),
+            vault.totalDividendsPaid(),
+            vault.collateralRatio(),
+            vault.maxTotalDeposits(),
+            vault.maxSingleDeposit(),
+            vault.minDeposit(),
+            vault.convertToAssets(ethers.parseUnits("1", 6)),
+        ]);
+
+        console.log(`\n📊 vSTRC status — ${hre.network.name}, block ${inputs.blockNumber}`);
+        console.log(`\n   Vault ${await vault.getAddress()}`);
+        printState({
+            "Total assets": formatUsd(inputs.totalAssets),
+            "vSTRC supply": ethers.formatUnits(inputs.totalSupply, 6),
+            "Share value (NAV)": formatUsd(sharePrice),
+            "Collateral ratio": collateralRatio === ethers.MaxUint256 ? "∞ (no supply)" : `${(Number(collateralRatio) / 1e16).toFixed(2)}%`,
+            "Dividends paid": formatUsd(totalDividendsPaid),
+            "Paused": yesNo(paused),
+            "Minting paused": yesNo(mintingPaused),
+            "Redeeming paused": yesNo(redeemingPaused),
+            "Max total deposits": formatUsd(maxTotalDeposits),
+            "Max single deposit": formatUsd(maxSingleDeposit),
+            "Min deposit": formatUsd(minDeposit),
+        });
+
+        console.log("\n   Dividend engine");
+        printState({
+            "Current rate": formatBps(inputs.currentRateBps),
+            "Base rate": formatBps(inputs.baseRateBps),
+            "Sensitivity (K)": formatBps(inputs.sensitivityBps),
+            "Rate band": `${formatBps(inputs.minRateBps)} – ${formatBps(inputs.maxRateBps)}`,
+            "Target price": formatUsd(inputs.targetPrice),
+            "Market price": plan.blockers.includes("InvalidPrice") || plan.blockers.includes("StalePrice")
+                ? `unusable (${plan.blockers.filter((b) => b !== "EpochNotElapsed").join(", ")})`
+                : `${formatUsd(plan.marketPrice)} from ${plan.priceSource}${plan.oracleAge !== null ? `, ${plan.oracleAge}s old` : ""}`,
+            "Oracle": inputs.oracle?.address || "none (NAV pricing)",
+        });
+
+        console.log("\n   Epochs");
+        printState({
+            "Completed": inputs.epochCount.toString(),
+            "Duration": `${Number(inputs.epochDuration) / 3600}h`,
+            "Last epoch": fmtDate(inputs.lastEpochTimestamp),
+            "Next rebalance": plan.blockers.includes("EpochNotElapsed")
+                ? `opens ${fmtDate(plan.nextEpochAt)}`
+                : `due now (${plan.pendingEpochs} pending)`,
+            "Projected rate": formatBps(plan.newRateBps),
+        });
+
+        if (strategy) {
+            const [totalValue, btcValue, cashValue] = await Promise.all([
+                strategy.totalValue(),
+                strategy.btcTreasuryValue(),
+                strategy.cashReserveValue(),
+            ]);
+            console.log(`\n   ${strategyKind} ${await strategy.getAddress()}`);
+            const state = {
+                "Total value": formatUsd(totalValue),
+                "BTC treasury": formatUsd(btcValue),
+                "Cash reserve": formatUsd(cashValue),
+            };
+            if (strategyKind === "BTCStrategy") {
+                const [btcBps, cashBps, slippage, tripped, threshold, window] = await Promise.all([
+                    strategy.btcAllocationBps(),
+                    strategy.cashAllocationBps(),
+                    strategy.maxSlippageBps(),
+                    strategy.circuitBreakerTripped(),
+                    strategy.circuitBreakerThresholdBps(),
+                    strategy.circuitBreakerWindow(),
+                ]);
+                Object.assign(state, {
+                    "Allocation": `${formatBps(btcBps)} BTC / ${formatBps(cashBps)} cash`,
+                    "Max slippage": formatBps(slippage),
+                    "Circuit breaker": `${tripped ? "TRIPPED" : "armed"} (${formatBps(threshold)} drop within ${window}s)`,
+                });
+            }
+            printState(state);
+        } else {
+            console.log("\n   ⚠️  No strategy set");
+        }
+
+        const roleNames = ["DEFAULT_ADMIN_ROLE", "MANAGER_ROLE", "KEEPER_ROLE"];
+        const held = await Promise.all(roleNames.map(async (name) => vault.hasRole(await vault[name](), signer.address)));
+        console.log(`\n   Signer ${signer.address}: ${roleNames.filter((_, i) => held[i]).join(", ") || "no vault roles"}`);
+    });
+
+// ─── Rebalance ──────────────────────────────────────────────────────
+
+task("vstrc:rebalance", "Run rebalanceYield() with a dry run first (see keeper:rebalance)")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addFlag("dryRun", "Simulate only")
+    .setAction(async ({ vault: vaultArg, dryRun }, hre) => {
+        const { vault } = await loadTargets(hre, vaultArg);
+        const read = async () => {
+            const [epochCount, rate, dividends, totalAssets, last] = await Promise.all([
+                vault.epochCount(),
+                vault.currentRateBps(),
+                vault.totalDividendsPaid(),
+                vault.totalAssets(),
+                vault.lastEpochTimestamp(),
+            ]);
+            return {
+                "Epochs": epochCount.toString(),
+                "Current rate": formatBps(rate),
+                "Dividends paid": formatUsd(dividends),
+                "Total assets": formatUsd(totalAssets),
+                "Last epoch": fmtDate(last),
+            };
+        };
+
+        const before = await read();
+        const exitCode = process.exitCode;
+        await hre.run("keeper:rebalance", { vault: await vault.getAddress(), execute: !dryRun });
+        if (dryRun || process.exitCode !== exitCode) return;
+
+        console.log("");
+        printDiff(before, await read());
+    });
+
+// ─── Parameters ─────────────────────────────────────────────────────
+
+task("vstrc:set-dividend-params", "Update the base rate, sensitivity and rate band")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addOptionalParam("base", 'Base rate, e.g. "8%"', undefined, units.percent)
+    .addOptionalParam("sensitivity", 'Sensitivity K, e.g. "20%"', undefined, units.percent)
+    .addOptionalParam("min", 'Minimum rate, e.g. "1%"', undefined, units.percent)
+    .addOptionalParam("max", 'Maximum rate, e.g. "25%"', undefined, units.percent)
+    .addFlag("dryRun", "Simulate and show the projected state only")
+    .setAction(async (args, hre) => {
+        const { vault } = await loadTargets(hre, args.vault);
+        const keys = ["baseRateBps", "sensitivityBps", "minRateBps", "maxRateBps"];
+        const labels = ["Base rate", "Sensitivity (K)", "Minimum rate", "Maximum rate"];
+        const current = await Promise.all(keys.map((key) => vault[key]()));
+        const next = [args.base, args.sensitivity, args.min, args.max].map((value, i) => value ?? current[i]);
+
+        await applyChange({
+            title: "Dividend parameters",
+            contract: vault,
+            method: "setDividendParams",
+            args: next,
+            read: async () => {
+                const values = await Promise.all(keys.map((key) => vault[key]()));
+                return Object.fromEntries(labels.map((label, i) => [label, formatBps(values[i])]));
+            },
+            expected: Object.fromEntries(labels.map((label, i) => [label, formatBps(next[i])])),
+        }, args.dryRun);
+    });
+
+task("vstrc:set-caps", "Update the deposit caps")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addOptionalParam("maxTotal", 'Max total deposits, e.g. "$1,000,000" or "max"', undefined, units.usdCap)
+    .addOptionalParam("maxSingle", 'Max single deposit, e.g. "50k" or "max"', undefined, units.usdCap)
+    .addOptionalParam("min", 'Minimum deposit, e.g. "$10"', undefined, units.usd)
+    .addFlag("dryRun", "Simulate and show the projected state only")
+    .setAction(async (args, hre) => {
+        const { vault } = await loadTargets(hre, args.vault);
+        const keys = ["maxTotalDeposits", "maxSingleDeposit", "minDeposit"];
+        const labels = ["Max total deposits", "Max single deposit", "Min deposit"];
+        const current = await Promise.all(keys.map((key) => vault[key]()));
+        const next = [args.maxTotal, args.maxSingle, args.min].map((value, i) => value ?? current[i]);
+
+        const totalAssets = await vault.totalAssets();
+        if (next[0] < totalAssets) {
+            console.log(`⚠️  Max total is below current total assets (${formatUsd(totalAssets)}): deposits stay closed until assets fall under it`);
+        }
+        if (next[1] < next[2]) console.log("⚠️  Max single deposit is below the minimum: every deposit would revert");
+
+        await applyChange({
+            title: "Deposit caps",
+            contract: vault,
+            method: "setDepositCaps",
+            args: next,
+            read: async () => {
+                const values = await Promise.all(keys.map((key) => vault[key]()));
+                return Object.fromEntries(labels.map((label, i) => [label, formatUsd(values[i])]));
+            },
+            expected: Object.fromEntries(labels.map((label, i) => [label, formatUsd(next[i])])),
+        }, args.dryRun);
+    });
+
+task("vstrc:circuit-breaker", "Pause or reopen minting and redemptions; reset a tripped strategy breaker")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addOptionalParam("minting", '"paused" or "open"', undefined, units.switch)
+    .addOptionalParam("redeeming", '"paused" or "open"', undefined, units.switch)
+    .addFlag("reset", "Also call resetCircuitBreaker() on a BTCStrategy")
+    .addFlag("dryRun", "Simulate and show the projected state only")
+    .setAction(async (args, hre) => {
+        const { vault, strategy, strategyKind } = await loadTargets(hre, args.vault);
+        if (args.minting === undefined && args.redeeming === undefined && !args.reset) {
+            throw new Error("Nothing to do — pass --minting, --redeeming and/or --reset");
+        }
+        const state = (flag) => (flag ? "paused" : "open");
+
+        if (args.minting !== undefined || args.redeeming !== undefined) {
+            const next = [
+                args.minting ?? await vault.mintingPaused(),
+                args.redeeming ?? await vault.redeemingPaused(),
+            ];
+            if (next[1]) console.log("⚠️  Holders will not be able to withdraw or redeem");
+
+            const ok = await applyChange({
+                title: "Vault circuit breaker",
+                contract: vault,
+                method: "setCircuitBreaker",
+                args: next,
+                read: async () => ({
+                    "Minting": state(await vault.mintingPaused()),
+                    "Redeeming": state(await vault.redeemingPaused()),
+                }),
+                expected: { "Minting": state(next[0]), "Redeeming": state(next[1]) },
+            }, args.dryRun);
+            if (!ok) return;
+        }
+
+        if (args.reset) {
+            if (strategyKind !== "BTCStrategy") throw new Error(`The strategy is a ${strategyKind || "zero address"}; only BTCStrategy has a circuit breaker`);
+            await applyChange({
+                title: "Strategy circuit breaker",
+                contract: strategy,
+                method: "resetCircuitBreaker",
+                args: [],
+                read: async () => ({
+                    "Tripped": yesNo(await strategy.circuitBreakerTripped()),
+                    "Reference BTC price": formatUsd(await strategy.lastBtcPrice(), 8),
+                }),
+                // The reference price moves to the feed's current answer
+                expected: { "Tripped": "no" },
+            }, args.dryRun);
+        }
+    });
+
+// ─── Roles ──────────────────────────────────────────────────────────
+
+function roleTask(name, method, description) {
+    task(name, description)
+        .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+        .addParam("role", "admin, manager, keeper or vault (or the full *_ROLE name)")
+        .addParam("account", "Account address")
+        .addOptionalParam("on", 'Contract: "vault" or "strategy" (default: strategy for VAULT_ROLE, else vault)')
+        .addFlag("dryRun", "Simulate and show the projected state only")
+        .setAction(async (args, hre) => {
+            const { ethers } = hre;
+            const { vault, strategy, strategyKind } = await loadTargets(hre, args.vault);
+
+            const role = ROLE_ALIASES[args.role.toLowerCase()] || args.role.toUpperCase();
+            if (!Object.values(ROLE_ALIASES).includes(role)) throw new Error(`Unknown role "${args.role}"`);
+            const on = args.on || (role === "VAULT_ROLE" ? "strategy" : "vault");
+            if (on === "strategy" && strategyKind !== "BTCStrategy") {
+                throw new Error(`The strategy is a ${strategyKind || "zero address"} and has no roles`);
+            }
+            const contract = on === "strategy" ? strategy : vault;
+            if (!contract.interface.getFunction(role)) throw new Error(`${role} does not exist on the ${on}`);
+            const account = ethers.getAddress(args.account);
+            const roleId = await contract[role]();
+
+            if (method === "revokeRole" && role === "DEFAULT_ADMIN_ROLE") {
+                console.log("⚠️  Revoking the last DEFAULT_ADMIN_ROLE holder makes roles permanent");
+            }
+            if (method === "revokeRole" && role === "VAULT_ROLE") {
+                console.log("⚠️  Without VAULT_ROLE the vault can no longer deploy to or withdraw from the strategy");
+            }
+
+            const label = `${role} on ${on}`;
+            await applyChange({
+                title: `${method === "grantRole" ? "Grant" : "Revoke"} ${role}`,
+                contract,
+                method,
+                args: [roleId, account],
+                read: async () => ({ [label]: yesNo(await contract.hasRole(roleId, account)) }),
+                expected: { [label]: yesNo(method === "grantRole") },
+            }, args.dryRun);
+        });
+}
+
+roleTask("vstrc:grant-role", "grantRole", "Grant a role on the vault or strategy");
+roleTask("vstrc:revoke-role", "revokeRole", "Revoke a role on the vault or strategy");
+
+// ─── Oracles ────────────────────────────────────────────────────────
+
+task("vstrc:set-oracle", "Point the vault at a vSTRC/USD feed, or at NAV pricing")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addParam("oracle", 'Feed address, or "none" for NAV pricing')
+    .addFlag("dryRun", "Simulate and show the projected state only")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { vault } = await loadTargets(hre, args.vault);
+        const oracle = args.oracle.toLowerCase() === "none" ? ethers.ZeroAddress : ethers.getAddress(args.oracle);
+
+        const describe = async (address) => {
+            if (address === ethers.ZeroAddress) return "none (NAV pricing)";
+            const feed = await readFeed(ethers, address).catch(() => null);
+            return feed ? `${address}, ${feedLabel(feed)}` : `${address} (not a price feed)`;
+        };
+
+        if (oracle !== ethers.ZeroAddress) {
+            const feed = await readFeed(ethers, oracle).catch(() => null);
+            if (!feed) {
+                console.log("⚠️  latestRoundData() failed on the new oracle: rebalanceYield() would revert");
+            } else {
+                if (feed.decimals !== 6n) console.log(`⚠️  The feed has ${feed.decimals} decimals; the vault reads prices as 6-decimal USDC`);
+                if (feed.age > 3600n) console.log(`⚠️  The feed is ${feed.age}s old; rebalanceYield() reverts with StalePrice past 3600s`);
+            }
+        }
+
+        await applyChange({
+            title: "vSTRC price oracle",
+            contract: vault,
+            method: "setVSTRCOracle",
+            args: [oracle],
+            read: async () => ({ "Oracle": await describe(await vault.vSTRCPriceOracle()) }),
+            expected: { "Oracle": await describe(oracle) },
+        }, args.dryRun);
+    });
+
+task("vstrc:mock-price", "Set the answer of a MockPriceFeed (testnets and local nodes)")
+    .addOptionalParam("vault", "Vault address (default: deployments/<network>.json)")
+    .addOptionalParam("feed", 'vstrc, btc, usdc or a feed address', "vstrc")
+    .addParam("price", 'New price, e.g. "$95,000" or "99.5"', undefined, units.price)
+    .addFlag("dryRun", "Simulate and show the projected state only")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const manifest = readManifest(hre.network.name);
+        const { vault, strategy, strategyKind } = await loadTargets(hre, args.vault);
+
+        const nonZero = (address) => (address === ethers.ZeroAddress ? null : address);
+        const resolvers = {
+            vstrc: async () => manifest?.contracts.vstrcUsdFeed?.address || nonZero(await vault.vSTRCPriceOracle()),
+            btc: async () => manifest?.contracts.btcUsdFeed?.address
+                || (strategyKind === "BTCStrategy" ? strategy.btcUsdPriceFeed() : null),
+            usdc: async () => manifest?.contracts.usdcUsdFeed?.address
+                || (strategyKind === "BTCStrategy" ? strategy.usdcUsdPriceFeed() : null),
+        };
+        const resolve = resolvers[args.feed.toLowerCase()];
+        const address = resolve ? await resolve() : ethers.getAddress(args.feed);
+        if (!address) throw new Error(`No ${args.feed} feed on ${hre.network.name} — pass its address`);
+
+        const { feed, decimals } = await readFeed(ethers, address);
+        const answer = scalePrice(args.price, decimals);
+
+        await applyChange({
+            title: `${await feed.description().catch(() => "Price feed")} ${address}`,
+            contract: feed,
+            method: "setPrice",
+            args: [answer],
+            read: async () => ({ "Answer": feedLabel(await readFeed(ethers, address)) }),
+            expected: { "Answer": `${formatUsd(answer, decimals)} (0s old)` },
+        }, args.dryRun);
+    });
+
+// ─── Strategy migration ─────────────────────────────────────────────
+
+task("vstrc:migrate-strategy", "Move the vault's funds to a new strategy, verify the share price and reopen")
+    .addOptionalParam("to", "Existing strategy to attach (default: deploy a new one)")
+    .addOptionalParam("kind", "Strategy to deploy: MockStrategy or BTCStrategy (default: the current kind)")
+    .addFlag("emergency", "Empty the old BTCStrategy with emergencyWithdraw() instead of withdraw()")
+    .addFlag("acceptWbtc", "With --emergency, leave the old strategy's WBTC with the signer and verify without it")
+    .addFlag("keeperStopped", "Confirm the keeper is stopped; rebalanceYield() is not paused during the migration")
+    .addOptionalParam("tolerance", 'Allowed drift of total assets and share price, e.g. "0.5%"', 100n, units.percent)
+    .addFlag("dryRun", "Rehearse on a local fork (--network localhost) as the impersonated admin")
+    .addOptionalParam("manifest", "Network to migrate, for a dry run on a fork (default: --network)")
+    .addOptionalParam("as", "Account to impersonate in a dry run (default: ADMIN_ADDRESS, else the manifest deployer)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const networkName = args.manifest || hre.network.name;
+        const manifest = readManifest(networkName);
+        if (!manifest) throw new Error(`No deployments/${networkName}.json — deploy first`);
+        const { chainId } = await ethers.provider.getNetwork();
+
+        let signer;
+        if (args.dryRun) {
+            if (chainId !== 31337n) {
+                throw new Error("--dry-run needs a local fork: npx hardhat node --fork <RPC URL>, then --network localhost --manifest <network>");
+            }
+            const operator = ethers.getAddress(args.as || process.env.ADMIN_ADDRESS || manifest.deployer);
+            await hre.network.provider.send("hardhat_impersonateAccount", [operator]);
+            await hre.network.provider.send("hardhat_setBalance", [operator, ethers.toQuantity(ethers.parseEther("100"))]);
+            signer = await ethers.getSigner(operator);
+        } else {
+            if (networkName !== hre.network.name) throw new Error("--manifest is only for a --dry-run on a fork");
+            [signer] = await ethers.getSigners();
+        }
+
+        const vault = await ethers.getContractAt("vSTRC", manifest.contracts.vault.address, signer);
+        const record = createMigrationRecord({
+            network: networkName,
+            chainId,
+            dryRun: args.dryRun,
+            operator: signer.address,
+            vault: manifest.contracts.vault.address,
+            mode: args.emergency ? "emergency" : "withdraw",
+            toleranceBps: args.tolerance,
+        });
+
+        console.log(`\n🚚 Strategy migration — ${networkName}${args.dryRun ? ` (dry run on ${hre.network.name})` : ""}`);
+        console.log(`   Vault:     ${record.vault}`);
+        console.log(`   Operator:  ${record.operator}`);
+        console.log(`   Tolerance: ${formatBps(args.tolerance)}`);
+
+        // The in-process hardhat network disappears when the task exits
+        const persist = hre.network.name !== "hardhat";
+        try {
+            await migrateStrategy(hre, {
+                vault,
+                signer,
+                target: { address: args.to ? ethers.getAddress(args.to) : null, kind: args.kind },
+                manifest,
+                emergency: args.emergency,
+                acceptWbtc: args.acceptWbtc,
+                // No keeper runs against a local fork
+                keeperStopped: args.keeperStopped || args.dryRun,
+                toleranceBps: args.tolerance,
+                record,
+                persist,
+            });
+        } finally {
+            if (persist && record.steps.length > 0) console.log(`\n📄 Audit record: ${migrationRecordPath(record)}`);
+        }
+
+        console.log(`\n   ${record.from.kind} ${record.from.address} → ${record.to.kind} ${record.to.address}`);
+
+        if (record.status !== "completed") {
+            console.log("\n❌ Verification failed (drift beyond the tolerance, or a rebalance mid-migration) — the vault stays paused.");
+            console.log("   Check the audit record, then reopen with vstrc:circuit-breaker once the difference is explained.");
+            process.exitCode = 1;
+            return;
+        }
+        if (record.custody) {
+            console.log(`   ${formatUsd(record.custody.amount)} passed through ${record.custody.holder} between the withdraw and the fund steps.`);
+        }
+        if (record.wbtc?.amount > 0n) {
+            console.log(`\n⚠️  ${ethers.formatUnits(record.wbtc.amount, 8)} WBTC (${formatUsd(record.wbtc.value)}) is with ${record.operator}.`);
+            console.log("   The share price excludes it until it is sold and the USDC deployed into the new strategy.");
+        }
+        if (args.dryRun) {
+            console.log("\n✅ Dry run passed — nothing written to the manifest.");
+            return;
+        }
+        setContract(manifest, "strategy", record.to);
+        console.log(`✅ Migrated. ${writeManifest(manifest)} updated; rebuild the frontend to pick up the new strategy.`);
+    });
@@ -0,0 +1,37 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const { ABI_EXPORTS, readExportedAbi } = require("../scripts/lib/abi");
+
+describe("Frontend ABIs", function () {
+    for (const { file, artifact } of ABI_EXPORTS) {
+        it(`frontend/src/abis/${file} matches the compiled contract`, async function () {
+            const { abi } = await artifacts.readArtifact(artifact);
+            expect(
+                readExportedAbi(file),
+                `${file} is out of date — run \`npm run compile\` and commit frontend/src/abis`
+            ).to.deep.equal(abi);
+        });
+    }
+
+    it("has a message for every custom error the frontend decodes", async function () {
+        const { ERROR_MESSAGES, describeError } = await import("../frontend/src/errorMessages.mjs");
+        const names = new Set(["vSTRC.json", "BTCStrategy.json"]
+            .flatMap((file) => readExportedAbi(file))
+            .filter((fragment) => fragment.type === "error")
+            .map((fragment) => fragment.name));
+        const missing = [...names].filter((name) => !Object.hasOwn(ERROR_MESSAGES, name));
+        expect(missing, "add them to frontend/src/errorMessages.mjs").to.deep.equal([]);
+
+        expect(describeError("SomeNewError", [42n, "0xabc"]).message).to.equal("Transaction reverted with SomeNewError(42, 0xabc).");
+    });
+
+    it("quotes ERC20 shortfalls in base units, since the token may be USDC, WBTC or vSTRC", async function () {
+        const { describeError } = await import("../frontend/src/errorMessages.mjs");
+        const account = "0x00000000000000000000000000000000000000a1";
+        // 0.5 WBTC held, 1 WBTC needed
+        expect(describeError("ERC20InsufficientBalance", [account, 50000000n, 100000000n]).message)
+            .to.equal(`Insufficient token balance: ${account} has 50000000 base units, needs 100000000.`);
+        expect(describeError("ERC20InsufficientAllowance", [account, 0n, 1000000n]).message)
+            .to.equal(`Allowance too low: ${account} is approved for 0 base units, needs 1000000.`);
+    });
+});
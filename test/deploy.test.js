@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadProfile } = require("../scripts/lib/profiles");
+const { createJournal, journalMismatch, runPipeline } = require("../scripts/lib/deployPipeline");
+
+describe("Deployment pipeline", function () {
+    const { ethers } = hre;
+    let deployer, admin, keeper;
+    let profile;
+
+    const silent = () => {};
+    const newJournal = async (roles = {}) => createJournal({
+        network: "hardhat",
+        profile: "hardhat",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        deployer: deployer.address,
+        admin: roles.admin || deployer.address,
+        keeper: roles.keeper || deployer.address,
+    });
+
+    beforeEach(async function () {
+        [deployer, admin, keeper] = await ethers.getSigners();
+        profile = loadProfile("hardhat", "hardhat");
+    });
+
+    it("should deploy, link and fund the mock profile", async function () {
+        const { addresses, journal } = await runPipeline(hre, { profile, journal: await newJournal(), log: silent });
+
+        const vault = await ethers.getContractAt("vSTRC", addresses.vault);
+        expect(await vault.strategy()).to.equal(addresses.strategy);
+        expect(await vault.vSTRCPriceOracle()).to.equal(addresses.vstrcUsdFeed);
+        expect(await vault.asset()).to.equal(addresses.usdc);
+
+        const usdc = await ethers.getContractAt("MockERC20", addresses.usdc);
+        expect(await usdc.balanceOf(deployer.address)).to.equal(ethers.parseUnits("1000000", 6));
+        expect(journal.completedAt).to.not.equal(null);
+        expect(Object.values(journal.steps).every((s) => s.status === "done")).to.equal(true);
+    });
+
+    it("should resume without redeploying finished or in-flight steps", async function () {
+        const journal = await newJournal();
+        const first = await runPipeline(hre, { profile, journal, log: silent });
+
+        // Simulate a run that died while the strategy deploy was in flight
+        const strategyTx = journal.steps["deploy:strategy"].tx;
+        journal.steps["deploy:strategy"] = { status: "pending", tx: strategyTx };
+        for (const id of ["config:strategy", "config:oracle", "mint:usdc"]) delete journal.steps[id];
+        journal.completedAt = null;
+
+        const nonce = await ethers.provider.getTransactionCount(deployer.address);
+        const second = await runPipeline(hre, { profile, journal, log: silent });
+
+        expect(second.addresses).to.deep.equal(first.addresses);
+        expect(journal.steps["deploy:strategy"]).to.include({ status: "done", tx: strategyTx });
+        // The vault is already linked; only the mint is sent again
+        expect(journal.steps["config:strategy"].tx).to.equal(null);
+        expect(journal.steps["config:oracle"].tx).to.equal(null);
+        expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 1);
+    });
+
+    it("should hand admin and keeper roles over and renounce the deployer's", async function () {
+        const { addresses } = await runPipeline(hre, {
+            profile,
+            journal: await newJournal({ admin: admin.address, keeper: keeper.address }),
+            log: silent,
+        });
+        const vault = await ethers.getContractAt("vSTRC", addresses.vault);
+        const [adminRole, managerRole, keeperRole] = await Promise.all([
+            vault.DEFAULT_ADMIN_ROLE(), vault.MANAGER_ROLE(), vault.KEEPER_ROLE(),
+        ]);
+
+        expect(await vault.hasRole(adminRole, admin.address)).to.equal(true);
+        expect(await vault.hasRole(managerRole, admin.address)).to.equal(true);
+        expect(await vault.hasRole(keeperRole, keeper.address)).to.equal(true);
+        for (const role of [adminRole, managerRole, keeperRole]) {
+            expect(await vault.hasRole(role, deployer.address)).to.equal(false);
+        }
+    });
+
+    it("should refuse to resume a journal from another run", async function () {
+        const journal = await newJournal();
+        expect(journalMismatch(journal, { ...journal })).to.equal(null);
+        expect(journalMismatch(journal, { ...journal, admin: admin.address })).to.match(/^admin was/);
+        expect(() => loadProfile("mainnet-fork", "hardhat")).to.throw(/--network localhost/);
+    });
+});
@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const { loadProfile } = require("../scripts/lib/profiles");
+const { createJournal, runPipeline } = require("../scripts/lib/deployPipeline");
+
+/**
+ * Deployments shared by the test suites. Pass them to loadFixture() from
+ * @nomicfoundation/hardhat-network-helpers: each one is deployed once and
+ * restored from a snapshot before every test that asks for it.
+ */
+const { ethers } = hre;
+const parseUSDC = (amount) => ethers.parseUnits(amount.toString(), 6);
+
+// USDC and a vSTRC whose roles are all held by the first signer
+async function deployVault() {
+    const [deployer] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    const VSTRC = await ethers.getContractFactory("vSTRC");
+    const vault = await VSTRC.deploy(await usdc.getAddress(), deployer.address);
+    return { deployer, usdc, vault };
+}
+
+// deployVault() linked to a MockStrategy and a $100 vSTRC / USD feed
+async function deployVaultWithStrategy() {
+    const base = await deployVault();
+    const { usdc, vault } = base;
+    const MockStrategy = await ethers.getContractFactory("MockStrategy");
+    const strategy = await MockStrategy.deploy(await usdc.getAddress(), await vault.getAddress());
+    const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const vstrcFeed = await MockPriceFeed.deploy(parseUSDC("100"), 6, "vSTRC / USD");
+    await vault.setStrategy(await strategy.getAddress());
+    await vault.setVSTRCOracle(await vstrcFeed.getAddress());
+    return { ...base, strategy, vstrcFeed };
+}
+
+// deployVaultWithStrategy() with a KEEPER_ROLE holder and 10,000 USDC deposited by alice
+async function deployFundedVault() {
+    const base = await deployVaultWithStrategy();
+    const { usdc, vault } = base;
+    const [, alice, keeper] = await ethers.getSigners();
+    await vault.grantRole(await vault.KEEPER_ROLE(), keeper.address);
+    await usdc.mint(alice.address, parseUSDC("10000"));
+    await usdc.connect(alice).approve(await vault.getAddress(), parseUSDC("10000"));
+    await vault.connect(alice).deposit(parseUSDC("10000"), alice.address);
+    return { ...base, alice, keeper };
+}
+
+// The "hardhat" deploy profile, handed over to a separate admin and keeper
+async function deployProfile() {
+    const [deployer, admin, keeper] = await ethers.getSigners();
+    const journal = createJournal({
+        network: "hardhat",
+        profile: "hardhat",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        deployer: deployer.address,
+        admin: admin.address,
+        keeper: keeper.address,
+    });
+    const { addresses } = await runPipeline(hre, { profile: loadProfile("hardhat", "hardhat"), journal, log: () => {} });
+    return { deployer, admin, keeper, addresses };
+}
+
+module.exports = {
+    parseUSDC,
+    deployVault,
+    deployVaultWithStrategy,
+    deployFundedVault,
+    deployProfile,
+};
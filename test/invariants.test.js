@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { checkInvariants, expectedStatePath, readExpectedState } = require("../scripts/lib/invariants");
+const { deployProfile } = require("./fixtures");
+
+describe("Deployment invariants", function () {
+    const { ethers } = hre;
+    let deployer, admin, keeper;
+    let vault, manifest, expected;
+
+    const failures = async () => (await checkInvariants(hre, { manifest, expected }))
+        .filter((result) => !result.ok)
+        .map((result) => `${result.target} ${result.check}`);
+
+    beforeEach(async function () {
+        let addresses;
+        ({ deployer, admin, keeper, addresses } = await loadFixture(deployProfile));
+        vault = await ethers.getContractAt("vSTRC", addresses.vault, admin);
+
+        manifest = {
+            deployer: deployer.address,
+            contracts: Object.fromEntries(Object.entries(addresses).map(([name, address]) => [name, { address }])),
+        };
+        // The Sepolia file describes the same mock profile; only the role holders differ
+        expected = readExpectedState(expectedStatePath("sepolia"));
+        expected.accounts = { admin: admin.address, keeper: keeper.address };
+    });
+
+    it("should pass a deployment that matches the expected state", async function () {
+        const results = await checkInvariants(hre, { manifest, expected });
+        expect(results.length).to.be.greaterThan(20);
+        expect(await failures()).to.deep.equal([]);
+    });
+
+    it("should flag an unset oracle, drifted params, a leftover admin and a stale feed", async function () {
+        await vault.setVSTRCOracle(ethers.ZeroAddress);
+        await vault.setDividendParams(900, 2000, 100, 2500);
+        await vault.grantRole(ethers.ZeroHash, deployer.address);
+        await time.increase(2 * 3600);
+
+        expect(await failures()).to.deep.equal([
+            "vault vSTRCPriceOracle",
+            "vault baseRateBps",
+            `vault DEFAULT_ADMIN_ROLE → deployer (${deployer.address})`,
+            "vstrcUsdFeed age",
+        ]);
+    });
+
+    it("should report a deployer that kept the admin and manager roles", async function () {
+        await vault.grantRole(ethers.ZeroHash, deployer.address);
+        await vault.grantRole(await vault.MANAGER_ROLE(), deployer.address);
+
+        expect(await failures()).to.deep.equal([
+            `vault DEFAULT_ADMIN_ROLE → deployer (${deployer.address})`,
+            `vault MANAGER_ROLE → deployer (${deployer.address})`,
+        ]);
+    });
+
+    it("should refuse the checked-in template until its accounts are filled in", async function () {
+        const template = readExpectedState(expectedStatePath("sepolia"));
+        const error = await checkInvariants(hre, { manifest, expected: template }).then(() => null, (err) => err.message);
+        expect(error).to.match(/accounts\.admin is not filled in/);
+    });
+
+    it("should flag a strategy of the wrong kind", async function () {
+        expected.strategy = { kind: "BTCStrategy", params: { btcAllocationBps: "80%" } };
+        expect(await failures()).to.deep.equal(["strategy kind"]);
+    });
+
+    it("should reject a malformed expected state", async function () {
+        const error = () => checkInvariants(hre, { manifest, expected }).then(() => null, (err) => err.message);
+
+        expected.vault.params.baseRateBps = "8";
+        expect(await error()).to.match(/^vault\.params\.baseRateBps: Invalid value "8"/);
+
+        expected.vault.params.baseRateBps = "8%";
+        expected.vault.links.strategy = "btcStrategy";
+        expect(await error()).to.match(/"btcStrategy"/);
+    });
+});
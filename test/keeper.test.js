@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployFundedVault, parseUSDC } = require("./fixtures");
+
+describe("rebalanceYield dry run", function () {
+    let vault, vstrcFeed;
+    let keeper;
+    let readRebalanceInputs, projectRebalance;
+
+    const EPOCH = 7 * 24 * 60 * 60;
+
+    before(async function () {
+        ({ readRebalanceInputs, projectRebalance } = await import("../frontend/src/rebalancePlan.mjs"));
+    });
+
+    beforeEach(async function () {
+        ({ vault, vstrcFeed, keeper } = await loadFixture(deployFundedVault));
+    });
+
+    it("should project the rate, dividend and funding the call produces", async function () {
+        await time.increase(EPOCH);
+        await vstrcFeed.setPrice(parseUSDC("90"));
+
+        const plan = projectRebalance(await readRebalanceInputs(vault.connect(keeper)));
+        expect(plan.blockers).to.be.empty;
+        expect(plan.direction).to.equal("below");
+        expect(plan.steps.map((s) => s.method)).to.include("withdraw");
+
+        await expect(vault.connect(keeper).rebalanceYield())
+            .to.emit(vault, "YieldRebalanced").withArgs(plan.newRateBps, plan.marketPrice, parseUSDC("100"))
+            .and.to.emit(vault, "DividendDistributed").withArgs(1, plan.epochDividend, plan.newRateBps)
+            .and.to.emit(vault, "DividendFunded").withArgs(1, plan.epochDividend, plan.fundedToVault);
+    });
+
+    it("should report the reverts the simulation hits", async function () {
+        let plan = projectRebalance(await readRebalanceInputs(vault));
+        expect(plan.blockers).to.deep.equal(["EpochNotElapsed"]);
+        await expect(vault.connect(keeper).rebalanceYield.staticCall())
+            .to.be.revertedWithCustomError(vault, "EpochNotElapsed");
+
+        // The feed was last updated at deployment
+        await time.increase(EPOCH);
+        plan = projectRebalance(await readRebalanceInputs(vault));
+        expect(plan.blockers).to.deep.equal(["StalePrice"]);
+        await expect(vault.connect(keeper).rebalanceYield.staticCall())
+            .to.be.revertedWithCustomError(vault, "StalePrice");
+    });
+});
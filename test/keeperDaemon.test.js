@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createKeeper } = require("../scripts/lib/keeperDaemon");
+const { deployFundedVault, parseUSDC } = require("./fixtures");
+
+describe("Keeper daemon", function () {
+    let vault, vstrcFeed;
+    let keeper;
+    let events, clock, statePath;
+
+    const EPOCH = 7 * 24 * 60 * 60;
+
+    const newKeeper = (opts = {}) => createKeeper({
+        vault: vault.connect(keeper),
+        statePath,
+        maxFeePerGas: ethers.parseUnits("100", "gwei"),
+        staleAlertAfter: 600,
+        log: (level, event, fields) => events.push({ level, event, ...fields }),
+        clock: () => clock,
+        ...opts,
+    });
+
+    beforeEach(async function () {
+        ({ vault, vstrcFeed, keeper } = await loadFixture(deployFundedVault));
+
+        events = [];
+        clock = 1_000_000;
+        statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")), "state.json");
+    });
+
+    afterEach(async function () {
+        await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    // Tick until the keeper goes back to sleeping on the epoch timer
+    async function runUntilIdle(daemon) {
+        const seen = [];
+        for (let i = 0; i < 20; i++) {
+            const { event } = await daemon.tick();
+            seen.push(event);
+            if (event === "wait-epoch") return seen;
+        }
+        throw new Error(`Keeper never went idle: ${seen.join(", ")}`);
+    }
+
+    it("should sleep until the epoch opens by chain time", async function () {
+        const { event, wait } = await newKeeper({ maxSleep: 30 * 24 * 3600 }).tick();
+        expect(event).to.equal("wait-epoch");
+        const opensAt = (await vault.lastEpochTimestamp()) + (await vault.epochDuration());
+        expect(BigInt(wait)).to.equal(opensAt - BigInt(await time.latest()));
+    });
+
+    it("should rebalance once the epoch opens and catch up on overdue epochs", async function () {
+        await time.increase(3 * EPOCH);
+        await vstrcFeed.setPrice(parseUSDC("95"));
+
+        const daemon = newKeeper();
+        const seen = await runUntilIdle(daemon);
+        expect(seen.filter((e) => e === "sent")).to.have.length(3);
+        expect(await vault.epochCount()).to.equal(3n);
+        expect(daemon.state().lastRebalance.epoch).to.equal(3);
+        expect(daemon.state().pending).to.equal(null);
+    });
+
+    it("should wait on a stale oracle without sending, then alert once", async function () {
+        await time.increase(EPOCH);
+        const daemon = newKeeper();
+        const nonce = await ethers.provider.getTransactionCount(keeper.address);
+
+        expect((await daemon.tick()).event).to.equal("oracle-unusable");
+        clock += 600;
+        await daemon.tick();
+        clock += 60;
+        await daemon.tick();
+        expect(events.filter((e) => e.level === "alert")).to.have.length(1);
+        expect(await ethers.provider.getTransactionCount(keeper.address)).to.equal(nonce);
+
+        await vstrcFeed.setPrice(parseUSDC("100"));
+        expect((await daemon.tick()).event).to.equal("sent");
+        expect(events.map((e) => e.event)).to.include("oracle-recovered");
+    });
+
+    it("should not send above the gas cap", async function () {
+        await time.increase(EPOCH);
+        await vstrcFeed.setPrice(parseUSDC("100"));
+        const daemon = newKeeper({ maxFeePerGas: 1n });
+        const nonce = await ethers.provider.getTransactionCount(keeper.address);
+        expect((await daemon.tick()).event).to.equal("gas-cap");
+        expect(await ethers.provider.getTransactionCount(keeper.address)).to.equal(nonce);
+    });
+
+    it("should replace a stuck transaction and resume it after a restart", async function () {
+        await time.increase(EPOCH);
+        await vstrcFeed.setPrice(parseUSDC("100"));
+        const nonce = await ethers.provider.getTransactionCount(keeper.address);
+        await network.provider.send("evm_setAutomine", [false]);
+
+        const first = newKeeper({ replaceAfter: 120 });
+        expect((await first.tick()).event).to.equal("sent");
+        expect((await first.tick()).event).to.equal("pending");
+
+        // A restarted keeper picks the transaction up from the state file
+        clock += 120;
+        const second = newKeeper({ replaceAfter: 120 });
+        expect((await second.tick()).event).to.equal("replaced");
+        const { pending } = second.state();
+        expect(pending.hashes).to.have.length(2);
+        expect(BigInt(pending.fees.maxFeePerGas)).to.be.greaterThan(0n);
+
+        await network.provider.send("evm_mine");
+        expect((await second.tick()).event).to.equal("confirmed");
+        expect(second.state().lastRebalance.hash).to.equal(pending.hashes[1]);
+        expect(await vault.epochCount()).to.equal(1n);
+        expect(await ethers.provider.getTransactionCount(keeper.address)).to.equal(nonce + 1);
+    });
+
+    it("should resend a transaction the node has lost at the nonce it accepts", async function () {
+        await time.increase(EPOCH);
+        await vstrcFeed.setPrice(parseUSDC("100"));
+        const nonce = await ethers.provider.getTransactionCount(keeper.address);
+
+        // State left by a keeper whose transactions the node has since dropped
+        fs.writeFileSync(statePath, JSON.stringify({
+            version: 1,
+            chainId: 31337,
+            vault: await vault.getAddress(),
+            keeper: keeper.address,
+            pending: {
+                nonce: nonce + 2,
+                hashes: [ethers.id("dropped")],
+                fees: { maxFeePerGas: ethers.parseUnits("2", "gwei").toString(), maxPriorityFeePerGas: ethers.parseUnits("1", "gwei").toString() },
+                gasLimit: "500000",
+                sentAt: clock,
+            },
+            oracleDownSince: null,
+            alerts: {},
+            lastRebalance: null,
+            rebalances: 0,
+        }));
+
+        const daemon = newKeeper({ replaceAfter: 120 });
+        expect((await daemon.tick()).event).to.equal("pending");
+        clock += 120;
+        expect((await daemon.tick()).event).to.equal("replaced");
+        expect(events.find((e) => e.event === "nonce-rewound")).to.include({ from: nonce + 2, to: nonce });
+        expect(daemon.state().pending.nonce).to.equal(nonce);
+
+        expect((await daemon.tick()).event).to.equal("confirmed");
+        expect(await vault.epochCount()).to.equal(1n);
+    });
+});
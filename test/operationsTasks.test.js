@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { MAX_UINT256, types, scalePrice } = require("../scripts/lib/units");
+const { deployVaultWithStrategy, parseUSDC } = require("./fixtures");
+
+describe("vstrc:* operations tasks", function () {
+    const { ethers } = hre;
+    let vault, vstrcFeed;
+    let keeper;
+
+    describe("human-unit arguments", function () {
+        it("should parse rates as basis points", function () {
+            expect(types.percent.parse("base", "8%")).to.equal(800n);
+            expect(types.percent.parse("base", "8.25%")).to.equal(825n);
+            expect(types.percent.parse("base", "825bps")).to.equal(825n);
+            expect(() => types.percent.parse("base", "8")).to.throw(/--base/);
+            expect(() => types.percent.parse("base", "8.125%")).to.throw(/--base/);
+        });
+
+        it("should parse USDC amounts, caps and prices", function () {
+            expect(types.usd.parse("min", "$1,000,000")).to.equal(parseUSDC("1000000"));
+            expect(types.usd.parse("min", "50k")).to.equal(parseUSDC("50000"));
+            expect(types.usd.parse("min", "2.5m")).to.equal(parseUSDC("2500000"));
+            expect(types.usd.parse("min", "12.5")).to.equal(parseUSDC("12.5"));
+            expect(types.usdCap.parse("maxTotal", "max")).to.equal(MAX_UINT256);
+            expect(scalePrice(types.price.parse("price", "$97,000"), 8)).to.equal(ethers.parseUnits("97000", 8));
+            expect(() => types.usd.parse("min", "ten")).to.throw(/--min/);
+        });
+
+        it("should parse switches", function () {
+            expect(types.switch.parse("minting", "paused")).to.equal(true);
+            expect(types.switch.parse("minting", "open")).to.equal(false);
+            expect(() => types.switch.parse("minting", "constructor")).to.throw(/--minting/);
+        });
+
+        it("should validate parsed values, not operator text", function () {
+            expect(() => types.percent.validate("base", 800n)).to.not.throw();
+            expect(() => types.usdCap.validate("maxTotal", MAX_UINT256)).to.not.throw();
+            expect(() => types.price.validate("price", types.price.parse("price", "$97,000"))).to.not.throw();
+            expect(() => types.switch.validate("minting", true)).to.not.throw();
+            expect(() => types.duration.validate("window", 3600n)).to.not.throw();
+            expect(() => types.percent.validate("base", "8%")).to.throw(/--base/);
+            expect(() => types.usd.validate("min", -1n)).to.throw(/--min/);
+            expect(() => types.price.validate("price", "$97,000")).to.throw(/--price/);
+            expect(() => types.switch.validate("minting", "paused")).to.throw(/--minting/);
+        });
+    });
+
+    describe("tasks", function () {
+        let log;
+
+        beforeEach(async function () {
+            ({ vault, vstrcFeed } = await loadFixture(deployVaultWithStrategy));
+            [, keeper] = await ethers.getSigners();
+
+            // Task output is not under test
+            log = console.log;
+            console.log = () => {};
+        });
+
+        afterEach(function () {
+            console.log = log;
+            process.exitCode = undefined;
+        });
+
+        it("should leave state untouched on --dry-run", async function () {
+            const address = await vault.getAddress();
+            await hre.run("vstrc:set-dividend-params", { vault: address, base: 900n, dryRun: true });
+            expect(await vault.baseRateBps()).to.equal(800n);
+
+            await hre.run("vstrc:set-dividend-params", { vault: address, base: 900n });
+            expect(await vault.baseRateBps()).to.equal(900n);
+            // Omitted parameters keep their value
+            expect(await vault.maxRateBps()).to.equal(2500n);
+        });
+
+        it("should stop on a reverting simulation", async function () {
+            await hre.run("vstrc:set-dividend-params", { vault: await vault.getAddress(), base: 3000n });
+            expect(process.exitCode).to.equal(1);
+            expect(await vault.baseRateBps()).to.equal(800n);
+        });
+
+        it("should set caps, switches, roles and mock prices", async function () {
+            const address = await vault.getAddress();
+            await hre.run("vstrc:set-caps", { vault: address, maxTotal: parseUSDC("1000000"), min: parseUSDC("10") });
+            expect(await vault.maxTotalDeposits()).to.equal(parseUSDC("1000000"));
+            expect(await vault.maxSingleDeposit()).to.equal(ethers.MaxUint256);
+            expect(await vault.minDeposit()).to.equal(parseUSDC("10"));
+
+            await hre.run("vstrc:circuit-breaker", { vault: address, minting: true });
+            expect(await vault.mintingPaused()).to.equal(true);
+            expect(await vault.redeemingPaused()).to.equal(false);
+
+            await hre.run("vstrc:grant-role", { vault: address, role: "keeper", account: keeper.address });
+            expect(await vault.hasRole(await vault.KEEPER_ROLE(), keeper.address)).to.equal(true);
+
+            await hre.run("vstrc:mock-price", { vault: address, price: "97.5" });
+            expect(await vstrcFeed.price()).to.equal(parseUSDC("97.5"));
+
+            await hre.run("vstrc:set-oracle", { vault: address, oracle: "none" });
+            expect(await vault.vSTRCPriceOracle()).to.equal(ethers.ZeroAddress);
+            expect(process.exitCode).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+
+describe("Portfolio accounting", function () {
+    let buildPortfolio, attributeBoostedGain;
+
+    const ME = "0x00000000000000000000000000000000000000a1";
+    const OTHER = "0x00000000000000000000000000000000000000b2";
+    const DAY = 24 * 60 * 60;
+    const usdc = (amount) => BigInt(Math.round(amount * 1e6));
+
+    // Events as usePortfolio normalises them: raw units as decimal strings
+    const deposit = (day, assets, shares) =>
+        ({ kind: "Deposit", owner: ME, assets: String(usdc(assets)), shares: String(usdc(shares)), timestamp: day * DAY });
+    const withdraw = (day, assets, shares) =>
+        ({ kind: "Withdraw", owner: ME, assets: String(usdc(assets)), shares: String(usdc(shares)), timestamp: day * DAY });
+    const transfer = (day, from, to, shares, assets) =>
+        ({ kind: "Transfer", from, to, shares: String(usdc(shares)), assets: assets === null ? null : String(usdc(assets)), timestamp: day * DAY });
+
+    const build = (records, { shares, value, day }) =>
+        buildPortfolio(records, { account: ME, shares: usdc(shares), value: usdc(value), now: day * DAY });
+
+    before(async function () {
+        ({ buildPortfolio, attributeBoostedGain } = await import("../frontend/src/portfolio.mjs"));
+    });
+
+    it("should take a proportional slice of the basis on a partial withdraw", function () {
+        const portfolio = build([
+            deposit(0, 1000, 1000),
+            withdraw(10, 440, 400),
+        ], { shares: 600, value: 660, day: 20 });
+
+        expect(portfolio.reconciled).to.equal(true);
+        expect(portfolio.costBasis).to.equal(usdc(600));
+        expect(portfolio.realized).to.equal(usdc(40));
+        expect(portfolio.unrealized).to.equal(usdc(60));
+        expect(portfolio.totalGain).to.equal(usdc(100));
+        expect(portfolio.deposited).to.equal(usdc(1000));
+        expect(portfolio.withdrawn).to.equal(usdc(440));
+        expect(portfolio.rows.map((row) => row.gain)).to.deep.equal([null, usdc(40)]);
+        expect(portfolio.twr).to.be.closeTo(0.1, 1e-9);
+    });
+
+    it("should move the basis with shares transferred in and out", function () {
+        const portfolio = build([
+            transfer(0, OTHER, ME, 500, 500),
+            transfer(5, ME, OTHER, 200, 220),
+            // Unpriced: carried at the last price seen (1.10)
+            transfer(8, OTHER, ME, 100, null),
+        ], { shares: 400, value: 440, day: 10 });
+
+        expect(portfolio.rows.map((row) => row.type)).to.deep.equal(["transfer-in", "transfer-out", "transfer-in"]);
+        expect(portfolio.shares).to.equal(usdc(400));
+        expect(portfolio.costBasis).to.equal(usdc(410));
+        expect(portfolio.approximate).to.equal(true);
+        expect(portfolio.realized).to.equal(0n);
+        expect(portfolio.deposited).to.equal(0n);
+        expect(portfolio.withdrawn).to.equal(0n);
+        expect(portfolio.unrealized).to.equal(usdc(30));
+    });
+
+    it("should start a new holding period after a close and reopen", function () {
+        const portfolio = build([
+            deposit(0, 1000, 1000),
+            withdraw(10, 1050, 1000),
+            deposit(27, 1050, 1000),
+        ], { shares: 1000, value: 1050, day: 30 });
+
+        expect(portfolio.timeline.map((point) => point.shares)).to.deep.equal([usdc(1000), 0n, usdc(1000)]);
+        expect(portfolio.costBasis).to.equal(usdc(1050));
+        expect(portfolio.realized).to.equal(usdc(50));
+        expect(portfolio.unrealized).to.equal(0n);
+        // Held for 3 days since the reopen, not 30 since the first deposit
+        expect(portfolio.annualizedTwr).to.equal(null);
+    });
+
+    it("should split the gain by the epochs that boosted the rate", function () {
+        const portfolio = build([deposit(0, 1000, 1000)], { shares: 1000, value: 1070, day: 30 });
+
+        // Equal exposure at 8%, 8% and 12%: 12/28 of the rate-weighted time is boosted
+        const epochs = [{ timestamp: 10 * DAY, rateBps: 800 }, { timestamp: 20 * DAY, rateBps: 1200 }];
+        const split = attributeBoostedGain(portfolio, epochs, 800, 30 * DAY);
+
+        expect(split.boostedEpochs).to.equal(1);
+        expect(Number(split.boostedGain)).to.be.closeTo(30e6, 100);
+        expect(Number(split.boostPremium)).to.be.closeTo(10e6, 100);
+
+        const flat = build([deposit(0, 1000, 1000)], { shares: 1000, value: 1000, day: 30 });
+        expect(attributeBoostedGain(flat, epochs, 800, 30 * DAY)).to.equal(null);
+    });
+});
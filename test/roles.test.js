@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault } = require("./fixtures");
+
+describe("Role audit", function () {
+    let vault, deployer, bot, safe;
+    let ROLE_IDS, auditRoles, replayRoleEvents, roleEventRecord, sortRoleEvents, ROLE_EVENTS;
+
+    before(async function () {
+        ({ ROLE_IDS, ROLE_EVENTS, auditRoles, replayRoleEvents, roleEventRecord, sortRoleEvents } =
+            await import("../frontend/src/roleAudit.mjs"));
+    });
+
+    beforeEach(async function () {
+        ({ deployer, vault } = await loadFixture(deployVault));
+        [, bot, safe] = await ethers.getSigners();
+    });
+
+    async function vaultRoles() {
+        const records = [];
+        for (const eventName of ROLE_EVENTS) {
+            records.push(...(await vault.queryFilter(eventName)).map(roleEventRecord));
+        }
+        return replayRoleEvents(sortRoleEvents(records));
+    }
+
+    it("should flag the constructor's single admin, manager and keeper", async function () {
+        const roles = await vaultRoles();
+        for (const role of ["DEFAULT_ADMIN_ROLE", "MANAGER_ROLE", "KEEPER_ROLE"]) {
+            expect(roles[ROLE_IDS[role]].holders.map((h) => h.account)).to.deep.equal([deployer.address]);
+        }
+
+        const issues = auditRoles([{ name: "vSTRC", address: await vault.getAddress(), roles }]);
+        expect(issues).to.have.lengthOf(1);
+        expect(issues[0].level).to.equal("error");
+        expect(issues[0].message).to.match(/constructor default/);
+    });
+
+    it("should replay grants and revokes into current holders", async function () {
+        await vault.grantRole(ROLE_IDS.KEEPER_ROLE, bot.address);
+        await vault.revokeRole(ROLE_IDS.KEEPER_ROLE, deployer.address);
+        await vault.grantRole(ROLE_IDS.MANAGER_ROLE, safe.address);
+        await vault.grantRole(ROLE_IDS.DEFAULT_ADMIN_ROLE, safe.address);
+        await vault.renounceRole(ROLE_IDS.MANAGER_ROLE, deployer.address);
+        await vault.renounceRole(ROLE_IDS.DEFAULT_ADMIN_ROLE, deployer.address);
+
+        const roles = await vaultRoles();
+        const keeper = roles[ROLE_IDS.KEEPER_ROLE];
+        expect(keeper.holders.map((h) => h.account)).to.deep.equal([bot.address]);
+        expect(keeper.history.map((r) => r.event)).to.deep.equal(["RoleGranted", "RoleGranted", "RoleRevoked"]);
+        expect(roles[ROLE_IDS.DEFAULT_ADMIN_ROLE].holders.map((h) => h.account)).to.deep.equal([safe.address]);
+
+        // Signers are EOAs — pretend the new admin is a multisig
+        const audit = async () => auditRoles(
+            [{ name: "vSTRC", address: await vault.getAddress(), roles: await vaultRoles() }],
+            { isContract: { [safe.address]: true, [bot.address]: false } }
+        );
+        expect(await audit()).to.be.empty;
+
+        await vault.connect(safe).grantRole(ROLE_IDS.MANAGER_ROLE, bot.address);
+        expect((await audit()).map((i) => i.message)).to.deep.equal([
+            `${bot.address} holds MANAGER_ROLE and KEEPER_ROLE; a keeper key should hold nothing else.`,
+            `MANAGER_ROLE is held by an externally owned account (${bot.address}).`,
+        ]);
+    });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVault } = require("./fixtures");
+
+describe("Safe Transaction Builder batches", function () {
+    let vault, deployer, bot;
+    let buildSafeBatch, decodeSafeBatch;
+
+    const KEEPER_ROLE = ethers.id("KEEPER_ROLE");
+
+    before(async function () {
+        ({ buildSafeBatch, decodeSafeBatch } = await import("../frontend/src/safeBatch.mjs"));
+    });
+
+    beforeEach(async function () {
+        ({ deployer, vault } = await loadFixture(deployVault));
+        [, bot] = await ethers.getSigners();
+    });
+
+    async function exampleBatch() {
+        const to = await vault.getAddress();
+        const abi = vault.interface;
+        return buildSafeBatch({
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            calls: [
+                { to, abi, method: "setDividendParams", args: [900, 2000, 100, 2500] },
+                { to, abi, method: "setDepositCaps", args: [ethers.parseUnits("5000000", 6), ethers.parseUnits("250000", 6), ethers.parseUnits("1", 6)] },
+                { to, abi, method: "grantRole", args: [KEEPER_ROLE, bot.address] },
+            ],
+        });
+    }
+
+    it("should encode calldata that executes as the listed calls", async function () {
+        const batch = await exampleBatch();
+        expect(batch.chainId).to.equal("31337");
+
+        // The deployer holds the roles here; on a live network the Safe does
+        for (const tx of batch.transactions) {
+            await deployer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+        }
+
+        expect(await vault.baseRateBps()).to.equal(900);
+        expect(await vault.maxSingleDeposit()).to.equal(ethers.parseUnits("250000", 6));
+        expect(await vault.hasRole(KEEPER_ROLE, bot.address)).to.be.true;
+    });
+
+    it("should decode a batch back into readable calls", async function () {
+        const batch = await exampleBatch();
+        const decoded = decodeSafeBatch(JSON.stringify(batch), {
+            contracts: [{ name: "vSTRC", address: await vault.getAddress(), abi: vault.interface }],
+            chainId: 31337,
+            roleNames: { [KEEPER_ROLE]: "KEEPER_ROLE" },
+        });
+
+        expect(decoded.warnings).to.be.empty;
+        expect(decoded.calls.map((c) => c.method)).to.deep.equal(["setDividendParams", "setDepositCaps", "grantRole"]);
+        expect(decoded.calls[2].args[0].value).to.equal("KEEPER_ROLE");
+        expect(decoded.calls.every((c) => c.target === "vSTRC" && c.warnings.length === 0)).to.be.true;
+    });
+
+    it("should flag calldata that disagrees with the listed inputs", async function () {
+        const batch = await exampleBatch();
+        batch.transactions[0].contractInputsValues._baseRate = "2400";
+
+        const decoded = decodeSafeBatch(batch, {
+            contracts: [{ name: "vSTRC", address: await vault.getAddress(), abi: vault.interface }],
+            chainId: 1,
+        });
+
+        expect(decoded.warnings[0]).to.match(/chain 31337, expected 1/);
+        expect(decoded.calls[0].warnings).to.include("Calldata does not match the listed method and inputs.");
+    });
+});
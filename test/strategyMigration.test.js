@@ -0,0 +1,196 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createManifest, manifestPath, readManifest, setContract, writeManifest } = require("../scripts/lib/manifest");
+const { createMigrationRecord, migrateStrategy } = require("../scripts/lib/strategyMigration");
+const { deployFundedVault, parseUSDC } = require("./fixtures");
+
+describe("Strategy migration", function () {
+    const { ethers } = hre;
+    let usdc, vault, strategy, vstrcFeed;
+    let deployer, alice, keeper;
+
+    const migrate = async (opts = {}) => {
+        const record = createMigrationRecord({
+            network: "hardhat",
+            chainId: 31337,
+            dryRun: false,
+            operator: deployer.address,
+            vault: await vault.getAddress(),
+            mode: "withdraw",
+            toleranceBps: 100n,
+        });
+        await migrateStrategy(hre, {
+            vault,
+            signer: deployer,
+            target: {},
+            manifest: { contracts: {} },
+            keeperStopped: true,
+            toleranceBps: 100n,
+            record,
+            log: () => {},
+            ...opts,
+        });
+        return record;
+    };
+
+    beforeEach(async function () {
+        ({ deployer, alice, keeper, usdc, vault, strategy, vstrcFeed } = await loadFixture(deployFundedVault));
+    });
+
+    it("should move the funds, keep the share price and reopen the vault", async function () {
+        const totalAssets = await vault.totalAssets();
+        const sharePrice = await vault.convertToAssets(parseUSDC("1"));
+
+        const record = await migrate();
+        expect(record.status).to.equal("completed");
+        expect(record.steps.map((s) => s.id)).to.deep.equal(["pause", "withdraw", "deploy", "link", "fund", "revoke", "verify", "unpause"]);
+
+        const next = await ethers.getContractAt("MockStrategy", record.to.address);
+        expect(await vault.strategy()).to.equal(record.to.address);
+        expect(await strategy.totalValue()).to.equal(0n);
+        expect(await next.totalValue()).to.equal(record.withdrawn);
+        expect(await vault.totalAssets()).to.equal(totalAssets);
+        expect(await vault.convertToAssets(parseUSDC("1"))).to.equal(sharePrice);
+        expect(await vault.mintingPaused()).to.equal(false);
+        expect(await vault.redeemingPaused()).to.equal(false);
+    });
+
+    it("should stay paused when the share price moves beyond the tolerance", async function () {
+        // Value the old strategy reports but cannot pay out
+        await strategy.setBtcValue((await strategy.mockBtcValue()) + parseUSDC("500"));
+
+        const record = await migrate();
+        expect(record.status).to.equal("verification-failed");
+        expect(record.steps.at(-1).id).to.equal("verify");
+        expect(Number(record.driftBps.sharePrice)).to.be.greaterThan(100);
+        expect(await vault.mintingPaused()).to.equal(true);
+        expect(await vault.redeemingPaused()).to.equal(true);
+    });
+
+    it("should record the USDC that passed through the operator", async function () {
+        const record = await migrate();
+        expect(record.custody.holder).to.equal(deployer.address);
+        expect(record.custody.amount).to.equal(record.withdrawn);
+        expect(record.custody.releasedAt).to.be.a("string");
+        expect(await usdc.balanceOf(deployer.address)).to.equal(0n);
+    });
+
+    it("should refuse to start until the keeper is stopped", async function () {
+        const error = await migrate({ keeperStopped: false }).then(() => null, (err) => err.message);
+        expect(error).to.match(/stop the keeper.*--keeper-stopped/);
+        expect(await vault.mintingPaused()).to.equal(false);
+    });
+
+    it("should stay paused when the keeper rebalances mid-migration", async function () {
+        await time.increase(7 * 24 * 60 * 60);
+        await vstrcFeed.setPrice(parseUSDC("100"));
+
+        // The keeper lands a rebalance just before the vault is pointed at the new strategy
+        const racing = new Proxy(vault, {
+            get: (target, prop) => (prop === "setStrategy"
+                ? async (...args) => {
+                    await vault.connect(keeper).rebalanceYield();
+                    return target.setStrategy(...args);
+                }
+                : target[prop]),
+        });
+
+        const record = await migrate({ vault: racing });
+        expect(record.status).to.equal("verification-failed");
+        expect(record.after.lastEpochTimestamp).to.be.greaterThan(record.before.lastEpochTimestamp);
+        expect(record.steps.at(-1).note).to.match(/rebalanceYield\(\) ran during the migration/);
+        expect(await vault.mintingPaused()).to.equal(true);
+    });
+
+    it("should refuse a strategy built for another vault before pausing", async function () {
+        const MockStrategy = await ethers.getContractFactory("MockStrategy");
+        const stray = await MockStrategy.deploy(await usdc.getAddress(), alice.address);
+
+        const error = await migrate({ target: { address: await stray.getAddress() } }).then(() => null, (err) => err.message);
+        expect(error).to.match(/built for vault/);
+        expect(await vault.mintingPaused()).to.equal(false);
+        expect(await vault.strategy()).to.equal(await strategy.getAddress());
+    });
+
+    describe("emergencyWithdraw() with WBTC", function () {
+        let btcStrategy, wbtc;
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+            const aUsdc = await MockERC20.deploy("Aave USDC", "aUSDC", 6);
+            const MockPriceFeed = await ethers.getContractFactory("MockPriceFeed");
+            const btcFeed = await MockPriceFeed.deploy(ethers.parseUnits("97000", 8), 8, "BTC / USD");
+            const usdcFeed = await MockPriceFeed.deploy(ethers.parseUnits("1", 8), 8, "USDC / USD");
+
+            // Router and pool are never called: emergencyWithdraw() only transfers
+            const BTCStrategy = await ethers.getContractFactory("BTCStrategy");
+            btcStrategy = await BTCStrategy.deploy(
+                await usdc.getAddress(), await wbtc.getAddress(), await aUsdc.getAddress(),
+                await btcFeed.getAddress(), await usdcFeed.getAddress(), alice.address, alice.address,
+                await vault.getAddress(), deployer.address,
+            );
+            await vault.setStrategy(await btcStrategy.getAddress());
+            await wbtc.mint(await btcStrategy.getAddress(), ethers.parseUnits("0.5", 8));
+        });
+
+        it("should refuse to strand WBTC with the operator unless accepted", async function () {
+            const error = await migrate({ emergency: true, target: { kind: "MockStrategy" } }).then(() => null, (err) => err.message);
+            expect(error).to.match(/holds 0\.5 WBTC.*--accept-wbtc/);
+            expect(await vault.mintingPaused()).to.equal(false);
+            expect(await vault.strategy()).to.equal(await btcStrategy.getAddress());
+        });
+
+        it("should record the WBTC and verify the rest once accepted", async function () {
+            const record = await migrate({ emergency: true, acceptWbtc: true, target: { kind: "MockStrategy" } });
+            expect(record.status).to.equal("completed");
+            expect(record.wbtc.amount).to.equal(ethers.parseUnits("0.5", 8));
+            expect(record.wbtc.value).to.equal(await btcStrategy.btcTreasuryValue());
+            expect(await wbtc.balanceOf(deployer.address)).to.equal(ethers.parseUnits("0.5", 8));
+            expect(await vault.strategy()).to.equal(record.to.address);
+        });
+    });
+
+    describe("vstrc:migrate-strategy", function () {
+        let log;
+
+        beforeEach(async function () {
+            const manifest = createManifest({ network: "hardhat", chainId: 31337, deployer: deployer.address });
+            setContract(manifest, "usdc", { address: await usdc.getAddress(), kind: "MockERC20" });
+            setContract(manifest, "vault", { address: await vault.getAddress(), kind: "vSTRC" });
+            setContract(manifest, "strategy", { address: await strategy.getAddress(), kind: "MockStrategy" });
+            writeManifest(manifest);
+
+            // Task output is not under test
+            log = console.log;
+            console.log = () => {};
+        });
+
+        afterEach(function () {
+            console.log = log;
+            process.exitCode = undefined;
+            fs.rmSync(manifestPath("hardhat"), { force: true });
+        });
+
+        it("should verify against --tolerance and record the new strategy", async function () {
+            // 5% of total assets the old strategy reports but cannot pay out
+            await strategy.setBtcValue((await strategy.mockBtcValue()) + parseUSDC("500"));
+
+            await hre.run("vstrc:migrate-strategy", { tolerance: 100n, keeperStopped: true });
+            expect(process.exitCode).to.equal(1);
+            expect(await vault.mintingPaused()).to.equal(true);
+            expect(readManifest("hardhat").contracts.strategy.address).to.equal(await strategy.getAddress());
+
+            process.exitCode = undefined;
+            await vault.setCircuitBreaker(false, false);
+            await hre.run("vstrc:migrate-strategy", { tolerance: 1000n, keeperStopped: true });
+            expect(process.exitCode).to.equal(undefined);
+            expect(await vault.mintingPaused()).to.equal(false);
+            const { contracts, history } = readManifest("hardhat");
+            expect(contracts.strategy.address).to.equal(await vault.strategy());
+            expect(history.map((entry) => entry.address)).to.deep.equal([await strategy.getAddress()]);
+        });
+    });
+});
@@ -77,6 +77,65 @@ describe("vSTRC Protocol", function () {
         });
     });
 
+    describe("EIP-2612 Permit Deposits", function () {
+        const signPermit = async (owner, spender, value, deadline) => {
+            const domain = {
+                name: await usdc.name(),
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await usdc.getAddress(),
+            };
+            const types = {
+                Permit: [
+                    { name: "owner", type: "address" },
+                    { name: "spender", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                ],
+            };
+            const nonce = await usdc.nonces(owner.address);
+            const signature = await owner.signTypedData(domain, types, {
+                owner: owner.address, spender, value, nonce, deadline,
+            });
+            return ethers.Signature.from(signature);
+        };
+
+        it("should approve and deposit in a single transaction", async function () {
+            const amount = parseUSDC("5000");
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(alice, await vault.getAddress(), amount, deadline);
+
+            await vault.connect(alice).depositWithPermit(amount, alice.address, deadline, v, r, s);
+
+            expect(await vault.balanceOf(alice.address)).to.be.gt(0);
+            expect(await usdc.allowance(alice.address, await vault.getAddress())).to.equal(0);
+        });
+
+        it("should still deposit when the permit was front-run", async function () {
+            const amount = parseUSDC("5000");
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(alice, await vault.getAddress(), amount, deadline);
+
+            // Anyone can submit the signature first; the nonce is then spent
+            await usdc.connect(bob).permit(alice.address, await vault.getAddress(), amount, deadline, v, r, s);
+
+            await expect(
+                vault.connect(alice).depositWithPermit(amount, alice.address, deadline, v, r, s)
+            ).to.emit(vault, "Deposit");
+        });
+
+        it("should revert when the permit does not cover the amount", async function () {
+            const amount = parseUSDC("5000");
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(alice, await vault.getAddress(), amount - 1n, deadline);
+
+            await expect(
+                vault.connect(alice).depositWithPermit(amount, alice.address, deadline, v, r, s)
+            ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+        });
+    });
+
     describe("Self-Tuning Dividend Logic", function () {
         beforeEach(async function () {
             // Alice deposits